@@ -1,48 +1,35 @@
-// non-blocking toast helper (micro-copy of main.js helper)
+// All Cameras grid — camera sources, catalog parsing and toast are shared with the map via /camera-catalog.js and /camera-providers.js;
+// players (and hls.js loading) go through /player-manager.js
 (function () {
-  function _injectToastStyles() {
-    if (document.getElementById('site-toast-styles')) return;
-    var s = document.createElement('style');
-    s.id = 'site-toast-styles';
-  s.textContent = '\n.site-toast{position:fixed;right:20px;bottom:20px;background:linear-gradient(180deg, rgba(0,0,0,0.92), rgba(0,0,0,0.86));color:#fff;padding:10px 14px;border-radius:8px;font-size:15px;line-height:1.25;z-index:1000000;opacity:0;transform:translateY(10px);transition:opacity .22s,transform .22s;box-shadow:0 6px 20px rgba(0,0,0,0.35);max-width:420px;text-align:left}\n.site-toast.visible{opacity:1;transform:translateY(0)}\n';
-    document.head.appendChild(s);
-  }
-  function showToast(msg, ms) {
-    try {
-      _injectToastStyles();
-      ms = typeof ms === 'number' ? ms : 4500;
-      var t = document.createElement('div');
-      t.className = 'site-toast';
-      t.textContent = String(msg || '');
-      document.body.appendChild(t);
-      requestAnimationFrame(function () { t.classList.add('visible'); });
-      setTimeout(function () { t.classList.remove('visible'); }, ms - 300);
-      setTimeout(function () { try { t.remove(); } catch (e) {} }, ms);
-      return t;
-    } catch (e) { console.warn('showToast failed', e); }
-  }
+  var showToast = CameraCatalog.showToast;
 
   // show initial load message once on page open
   try { if (document.readyState === 'complete' || document.readyState === 'interactive') { showToast('Due to high demand, camera data may take a few minutes to initially load', 11000); } else { window.addEventListener('DOMContentLoaded', function () { showToast('Due to high demand, camera data may take a few minutes to initially load', 11000); }); } } catch (e) {}
-  // Ordered camera IDs copied from main app
-  var orderedCameraIds = [3498,3416,3415,3414,3413,3882,3909,3410,3412,3411,4036,4029];
-
-  // NV Roads endpoint proxied through the provided workers.dev proxy to bypass CORS
-  var nvDefault = 'https://wispy-flower-cdf3.100brightli.workers.dev/?url=https://www.nvroads.com/List/GetData/Cameras?query=%7B%22columns%22%3A%5B%7B%22data%22%3Anull%2C%22name%22%3A%22%22%7D%2C%7B%22name%22%3A%22sortOrder%22%2C%22s%22%3Atrue%7D%2C%7B%22name%22%3A%22region%22%2C%22s%22%3Atrue%7D%2C%7B%22name%22%3A%22roadway%22%2C%22s%22%3Atrue%7D%2C%7B%22data%22%3A4%2C%22name%22%3A%22%22%7D%5D%2C%22order%22%3A%5B%7B%22column%22%3A1%2C%22dir%22%3A%22asc%22%7D%2C%7B%22column%22%3A2%2C%22dir%22%3A%22asc%22%7D%2C%7B%22column%22%3A3%2C%22dir%22%3A%22asc%22%7D%5D%2C%22start%22%3A0%2C%22length%22%3A17%2C%22search%22%3A%7B%22value%22%3A%22f1%22%7D%7D&lang=en-US';
+  // Ordered camera IDs shared with the main app
+  var orderedCameraIds = CameraCatalog.orderedCameraIds;
 
   var grid = document.getElementById('grid');
+  // a second click this soon after the first makes a double-click (spotlight), not play/pause
+  var DBLCLICK_MS = 250;
 
-  function ensureHls() {
-    return new Promise(function (resolve) {
-      if (window.Hls) return resolve(window.Hls);
-      var s = document.createElement('script');
-      s.src = 'https://cdn.jsdelivr.net/npm/hls.js@1.4.2/dist/hls.min.js';
-      s.async = true;
-      s.onload = function () { resolve(window.Hls); };
-      s.onerror = function () { resolve(null); };
-      document.head.appendChild(s);
-    });
-  }
+  // CORS proxy chain (data-proxies etc. on <body>, or ?proxy= in the URL); see /proxy-chain.js
+  try {
+    ProxyChain.configure(ProxyChain.resolveConfig(document.body.dataset));
+    ProxyChain.checkAll();
+  } catch (e) { console.warn('Proxy chain setup failed', e); }
+  // Concurrent players (data-max-players on <body>, or ?maxPlayers=); see /player-manager.js
+  try { PlayerManager.configure(PlayerManager.resolveConfig(document.body.dataset)); } catch (e) { console.warn('Player manager setup failed', e); }
+  try { StillImage.configure(StillImage.resolveConfig(document.body.dataset)); } catch (e) { console.warn('Still image setup failed', e); }
+
+  // header button switching every cell's wall clock (see /live-clock.js)
+  try {
+    var clockToggle = document.getElementById('clock-toggle');
+    if (clockToggle) {
+      clockToggle.setAttribute('aria-pressed', String(LiveClock.enabled()));
+      clockToggle.addEventListener('click', function () { LiveClock.toggle(); });
+      LiveClock.onChange(function (on) { clockToggle.setAttribute('aria-pressed', String(on)); });
+    }
+  } catch (e) {}
 
   // Helper to create a cell for a camera
   function makeCell(cam, idx) {
@@ -54,8 +41,12 @@
     v.style.background = '#000';
     cell.appendChild(v);
 
+  // refreshed still JPEG laid over the video while the stream is unavailable (see /still-image.js)
+  var still = null;
+  try { still = StillImage.attach(cell, cam.imageUrl); } catch (e) {}
+
   // clear status when video actually starts playing or can play
-  v.addEventListener('playing', function () { try { setStatus(''); } catch (e) {} });
+  v.addEventListener('playing', function () { try { setStatus(''); if (still) still.hide(); } catch (e) {} });
   v.addEventListener('canplay', function () { try { setStatus(''); } catch (e) {} });
   v.addEventListener('loadeddata', function () { try { setStatus(''); } catch (e) {} });
 
@@ -93,17 +84,65 @@
 
   var idxEl = document.createElement('div'); idxEl.className = 'index'; idxEl.textContent = (typeof idx === 'number' ? (idx + 1) : '') ; cell.appendChild(idxEl);
 
-    cell.addEventListener('click', function () {
-      try {
-        if (v.paused) v.play().catch(function(){}); else v.pause();
-      } catch(e){}
+  // current quality cap (see /player-manager.js); hidden until the stream's levels are known
+  var qualityEl = document.createElement('div'); qualityEl.className = 'quality'; qualityEl.hidden = true; cell.appendChild(qualityEl);
+  function showQuality(q) {
+    qualityEl.textContent = PlayerManager.qualityLabel(q);
+    qualityEl.title = PlayerManager.qualityTitle(q);
+    qualityEl.hidden = !q;
+    qualityEl.classList.toggle('limited', !!(q && q.limitedBy === 'bandwidth'));
+  }
+
+  // delay behind real time ("LIVE −4.2s"), shown while the cell plays
+  var latencyEl = document.createElement('div'); latencyEl.className = 'latency'; latencyEl.textContent = 'LIVE'; latencyEl.hidden = true; cell.appendChild(latencyEl);
+
+  // set by the player manager's watchdog while the picture is frozen; stays up through recovery attempts
+  var frozenEl = document.createElement('div'); frozenEl.className = 'frozen'; frozenEl.hidden = true; cell.appendChild(frozenEl);
+  function showFrozen(info, p) {
+    frozenEl.textContent = PlayerManager.frozenLabel(p);
+    frozenEl.title = PlayerManager.frozenTitle(p);
+    frozenEl.hidden = !info;
+    cell.classList.toggle('is-frozen', !!info);
+  }
+
+  // snapshot of this cell's picture (see /frame-snapshot.js); Shift+click copies it
+  var cellPlayer = null;
+  var snapBtn = document.createElement('button'); snapBtn.type = 'button'; snapBtn.className = 'snap'; snapBtn.textContent = '📷';
+  snapBtn.title = 'Save a snapshot (Shift+click to copy it)';
+  snapBtn.addEventListener('click', function (e) {
+    e.stopPropagation();
+    FrameSnapshot.fromEvent(e, v, { title: cam.title || ('Camera ' + cam.id), id: cam.id, player: cellPlayer }, showToast);
+  });
+  cell.appendChild(snapBtn);
+
+  // stats for nerds over this cell (see /stats-overlay.js), under the label
+  var stats = null;
+  try { stats = StatsOverlay.attach({ host: cell, player: function () { return cellPlayer; }, style: { top: '30px', fontSize: '10px' } }); } catch (e) {}
+  var statsBtn = document.createElement('button'); statsBtn.type = 'button'; statsBtn.className = 'stats-btn'; statsBtn.textContent = '📊';
+  statsBtn.title = 'Stats for nerds';
+  statsBtn.addEventListener('click', function (e) {
+    e.stopPropagation();
+    if (stats) statsBtn.setAttribute('aria-pressed', String(stats.toggle()));
+  });
+  cell.appendChild(statsBtn);
+
+    // play/pause waits out a possible double-click, which spotlights the cell instead
+    var clickTimer = null;
+    cell.addEventListener('click', function (e) {
+      clearTimeout(clickTimer);
+      if (e.detail > 1) return;
+      clickTimer = setTimeout(function () {
+        try {
+          if (v.paused) v.play().catch(function(){}); else v.pause();
+        } catch(e){}
+      }, DBLCLICK_MS);
     });
 
     // attach player (Hls or native), but first probe the URL to surface network activity/CORS
     (function (videoEl, camObj) {
       var url = camObj.videoUrl;
       if (!url) {
-        setStatus('No stream URL');
+        setStatus(camObj.note || 'No stream URL');
         return; // no stream
       }
 
@@ -114,7 +153,7 @@
         return new Promise(function (resolve) {
           var done = false;
           var timer = setTimeout(function () { if (!done) { done = true; resolve({ ok: false, reason: 'timeout' }); } }, timeoutMs || 6000);
-          fetch(u, { method: 'GET', mode: 'cors', cache: 'no-store' }).then(function (r) {
+          fetch(ProxyChain.streamUrl(u), { method: 'GET', mode: 'cors', cache: 'no-store' }).then(function (r) {
             if (done) return;
             done = true; clearTimeout(timer);
             resolve({ ok: !!(r && r.ok), status: r && r.status });
@@ -127,6 +166,15 @@
       };
 
       probe(url, 5000).then(function (res) {
+        // forbidden or gone may just mean the stream moved: ask for the camera's current URL first
+        if (!res || [401, 403, 404].indexOf(res.status) === -1) return res;
+        setStatus('HTTP ' + res.status + ' · looking for a new stream URL…');
+        return PlayerManager.refreshUrl(camObj.id, url).then(function (fresh) {
+          if (!fresh || fresh === url) return res;
+          url = fresh;
+          return { ok: true, status: 200 };
+        });
+      }).then(function (res) {
         try {
           if (res && res.ok) {
             setStatus('Loading stream…');
@@ -141,184 +189,640 @@
           } catch (e) {
             try { videoEl.src = url; videoEl.play().catch(function(){}); } catch (er) { setStatus('Error'); }
           }
-        // attempt to attach player regardless (so Hls will attempt manifest fetch too)
-        ensureHls().then(function (Hls) {
-          try {
-            if (Hls && Hls.isSupported() && String(url).indexOf('.m3u8') !== -1) {
-                var h = new Hls({ enableWorker:true });
-                  h.on && h.on(Hls.Events.MANIFEST_PARSED, function () { try { setStatus(''); } catch (e) {} });
-                  h.on && h.on(Hls.Events.ERROR, function (ev, data) {
-                    try {
-                      console.warn('HLS error', data);
-                      // Only react to fatal errors; debounce showing the UI in case recovery succeeds
-                      if (!data) return;
-                      // clear previous debounce timer
-                      try { if (videoEl._errorTimer) { clearTimeout(videoEl._errorTimer); videoEl._errorTimer = null; } } catch (e) {}
-
-                      // initialize retry counter
-                      videoEl._hlsRetries = videoEl._hlsRetries || 0;
-
-                      if (data.fatal) {
-                        // Try best-effort recoveries depending on type
-                        if (data.type === 'mediaError' && typeof h.recoverMediaError === 'function') {
-                          try { h.recoverMediaError(); } catch (e) { console.warn('recoverMediaError failed', e); }
-                        } else if (data.type === 'networkError') {
-                          try { h.startLoad && h.startLoad(); } catch (e) { console.warn('startLoad failed', e); }
-                        } else {
-                          // generic attempt: restart loading
-                          try { h.startLoad && h.startLoad(); } catch (e) { }
-                        }
-
-                        // show a transient 'attempting recovery' status and increment retry counter
-                        videoEl._hlsRetries++;
-                        var attempt = videoEl._hlsRetries;
-                        setStatus('Attempting recovery (' + attempt + '/3)…');
-
-                        // If we've retried a few times and still failing, recreate the Hls instance as a last resort
-                        if (attempt >= 3) {
-                          // give a moment for any recover to happen, then replace
-                          setTimeout(function () {
-                            try {
-                              // destroy current instance
-                              h.destroy && h.destroy();
-                            } catch (e) {}
-                            try {
-                              // fallback to native src then re-create Hls after short delay
-                              videoEl.src = url;
-                              videoEl.load();
-                              videoEl.play().catch(function () {});
-                            } catch (e) {}
-                            // final UI state
-                            setStatus('Stream unavailable');
-                          }, 1200);
-                        } else {
-                          // schedule a follow-up: if still failing after 2s show 'Stream error'
-                          videoEl._errorTimer = setTimeout(function () {
-                            try { setStatus('Stream error'); } catch (e) {}
-                            videoEl._errorTimer = null;
-                          }, 2000);
-                        }
-                      } else {
-                        // non-fatal: show a warning briefly
-                        videoEl._errorTimer = setTimeout(function () { try { setStatus('Stream hiccup'); } catch (e) {} videoEl._errorTimer = null; }, 800);
-                      }
-                    } catch (e) { console.warn('HLS error handler failed', e); }
-                  });
-                  // When fragments buffer, clear any pending error indicator
-                  h.on && h.on(Hls.Events.FRAG_BUFFERED, function () { try { if (videoEl._errorTimer) { clearTimeout(videoEl._errorTimer); videoEl._errorTimer = null; } setStatus(''); } catch (e) {} });
-                h.loadSource(url);
-                h.attachMedia(videoEl);
-                videoEl.play().catch(function(){});
-                // store h on element to cleanup later
-                videoEl._hls = h;
-
-                // Live-sync: if player is behind live edge by >1.5s, jump to live.
-                // Use Hls.liveSyncPosition when available, otherwise estimate from buffered end.
-                var liveCheck = function () {
-                  try {
-                    var livePos = (h && h.liveSyncPosition) || null;
-                    // fallback: try to compute buffered end - some streams expose target duration
-                    if (livePos == null && videoEl.buffered && videoEl.buffered.length) {
-                      livePos = videoEl.buffered.end(videoEl.buffered.length - 1);
-                    }
-                    if (!livePos || !isFinite(livePos)) return;
-                    var cur = videoEl.currentTime || 0;
-                    var lag = livePos - cur;
-                    if (lag > 1.5) {
-                      // jump to the live position (slightly behind to avoid rebuffer)
-                      var target = Math.max(0, livePos - 0.5);
-                      try { videoEl.currentTime = target; } catch (e) { try { videoEl.seek && videoEl.seek(target); } catch (er) {} }
-                    }
-                  } catch (e) {}
-                };
-                // run once per second while element is in DOM
-                videoEl._liveInterval = setInterval(liveCheck, 1000);
-
-                // cleanup on video error or when the element is removed
-                var cleanup = function () {
-                  try { if (videoEl._liveInterval) { clearInterval(videoEl._liveInterval); videoEl._liveInterval = null; } } catch (e) {}
-                  try { if (videoEl._hls) { videoEl._hls.destroy && videoEl._hls.destroy(); videoEl._hls = null; } } catch (e) {}
-                };
-                videoEl.addEventListener('error', cleanup);
-
-                // observe removal from DOM to cleanup resources
-                var mo = new MutationObserver(function () {
-                  if (!document.body.contains(videoEl)) {
-                    cleanup();
-                    try { mo.disconnect(); } catch (e) {}
-                  }
-                });
-                mo.observe(document.body, { childList:true, subtree:true });
+        // the cell may have been replaced while the probe was in flight
+        if (!document.body.contains(videoEl)) return;
+        // attach the player regardless (so Hls will attempt manifest fetch too). The player manager
+        // owns the Hls instance, its error recovery and its teardown; this cell only reports status.
+        var player = PlayerManager.acquire({
+          key: camObj.id,
+          url: url,
+          role: 'grid',
+          video: videoEl,
+          maxHeight: spotlightMaxHeight(camObj.id),
+          onQuality: showQuality,
+          onFrozen: showFrozen,
+          onState: function (state) {
+            try {
+              if (state !== 'active') showQuality(null);
+              if (state === 'released') showFrozen(null);
+              if (state === 'waiting') setStatus('Waiting for a free player…');
+              else if (state === 'parked') setStatus('Paused');
+              else if (state === 'active' && (status.textContent === 'Waiting for a free player…' || status.textContent === 'Paused')) setStatus('Loading stream…');
+              else if (state === 'fallback') setStatus('Trying native playback…');
+              else if (state === 'unavailable') {
+                // live video is retried in the background; the still stays up until it plays
+                if (still) { setStatus(''); still.show(); } else setStatus('Stream unavailable');
+              }
+            } catch (e) {}
+          }
+        });
+        if (!player) return;
+        cellPlayer = player;
+        // latency badge and the optional wall clock under the label
+        var liveClock = null;
+        try { liveClock = LiveClock.attach({ player: player, badge: latencyEl, autoHide: true, host: cell, clockStyle: { right: 'auto', left: '8px', top: '30px' } }); } catch (e) {}
+        player.ready.then(function (p) {
+          if (!p.Hls) return;
+          var Hls = p.Hls;
+          p.on(Hls.Events.MANIFEST_PARSED, function () { try { setStatus(''); } catch (e) {} });
+          p.on(Hls.Events.ERROR, function (ev, data) {
+            try {
+              console.warn('HLS error', data);
+              // Only react to fatal errors; debounce showing the UI in case recovery succeeds
+              if (!data || p.native || (still && still.shown())) return;
+              // clear previous debounce timer
+              try { if (videoEl._errorTimer) { clearTimeout(videoEl._errorTimer); videoEl._errorTimer = null; } } catch (e) {}
+
+              if (data.fatal) {
+                // the player manager has just counted this error and started a recovery
+                setStatus('Attempting recovery (' + p.fatalErrors + '/3)…');
+                // schedule a follow-up: if still failing after 2s show 'Stream error'
+                videoEl._errorTimer = setTimeout(function () {
+                  try { setStatus('Stream error'); } catch (e) {}
+                  videoEl._errorTimer = null;
+                }, 2000);
               } else {
-                videoEl.src = url;
-                videoEl.addEventListener('loadeddata', function () { try { setStatus(''); } catch (e) {} });
-                videoEl.addEventListener('error', function () { try { setStatus('Playback error'); } catch (e) {} });
-                videoEl.play().catch(function(){});
+                // non-fatal: show a warning briefly
+                videoEl._errorTimer = setTimeout(function () { try { setStatus('Stream hiccup'); } catch (e) {} videoEl._errorTimer = null; }, 800);
               }
-          } catch (e) {
-            try { videoEl.src = url; videoEl.play().catch(function(){}); } catch (er) { setStatus('Error'); }
+            } catch (e) { console.warn('HLS error handler failed', e); }
+          });
+          // When fragments buffer, clear any pending error indicator
+          p.on(Hls.Events.FRAG_BUFFERED, function () { try { if (videoEl._errorTimer) { clearTimeout(videoEl._errorTimer); videoEl._errorTimer = null; } setStatus(''); } catch (e) {} });
+        });
+        videoEl.addEventListener('error', function () { try { if (player.native && !still) setStatus('Playback error'); } catch (e) {} });
+
+        // Live-sync: if player is behind live edge by >1.5s, jump to live.
+        // Use Hls.liveSyncPosition when available, otherwise estimate from buffered end.
+        var liveCheck = function () {
+          try {
+            if (player.state !== 'active') return;
+            var livePos = (player.hls && player.hls.liveSyncPosition) || null;
+            // fallback: try to compute buffered end - some streams expose target duration
+            if (livePos == null && videoEl.buffered && videoEl.buffered.length) {
+              livePos = videoEl.buffered.end(videoEl.buffered.length - 1);
+            }
+            if (!livePos || !isFinite(livePos)) return;
+            var cur = videoEl.currentTime || 0;
+            var lag = livePos - cur;
+            if (lag > 1.5) {
+              // jump to the live position (slightly behind to avoid rebuffer)
+              var target = Math.max(0, livePos - 0.5);
+              try { videoEl.currentTime = target; } catch (e) { try { videoEl.seek && videoEl.seek(target); } catch (er) {} }
+            }
+          } catch (e) {}
+        };
+        // run once per second while the video plays; off-screen and hidden-tab players are paused
+        // by the player manager, which stops the check with them
+        var stopLiveCheck = function () { if (videoEl._liveInterval) { clearInterval(videoEl._liveInterval); videoEl._liveInterval = null; } };
+        videoEl.addEventListener('play', function () { stopLiveCheck(); videoEl._liveInterval = setInterval(liveCheck, 1000); });
+        videoEl.addEventListener('pause', stopLiveCheck);
+
+        // give the player back when the cell is removed from the grid
+        var cleanup = function () {
+          try { stopLiveCheck(); } catch (e) {}
+          try { if (videoEl._errorTimer) { clearTimeout(videoEl._errorTimer); videoEl._errorTimer = null; } } catch (e) {}
+          try { player.release(); } catch (e) {}
+          try { if (still) still.destroy(); } catch (e) {}
+          try { if (liveClock) liveClock.destroy(); } catch (e) {}
+          try { if (stats) stats.destroy(); } catch (e) {}
+        };
+
+        // observe removal from DOM to cleanup resources
+        var mo = new MutationObserver(function () {
+          if (!document.body.contains(videoEl)) {
+            cleanup();
+            try { mo.disconnect(); } catch (e) {}
           }
-  }).catch(function () { try { videoEl.src = url; videoEl.play().catch(function(){}); } catch (e) { setStatus('Error'); } });
+        });
+        mo.observe(document.body, { childList:true, subtree:true });
       });
     })(v, cam);
 
     return cell;
   }
 
-  // Simple fetch of cameras, then build grid using orderedCameraIds
-  (async function () {
-    var payload = null;
-    try {
-      var r = await fetch(nvDefault, { cache:'no-store', mode:'cors' });
-      if (r && r.ok) payload = await r.json();
-    } catch (e) { /* ignore */ }
+  // Staleness note under the header; pass null to clear it
+  function setCatalogStatus(text) {
+    var el = document.getElementById('catalog-status');
+    if (!el) return;
+    el.textContent = text || '';
+    el.hidden = !text;
+  }
+
+  // Staleness and failed-source note for a loaded catalog (same wording as the map)
+  function catalogStatusFor(result) {
+    var notes = [];
+    if (result.fromCache) notes.push('Using cached camera list from ' + CameraCatalog.formatSavedAt(result.savedAt));
+    var failed = CameraProviders.describeFailures(result);
+    if (failed) notes.push('Unavailable: ' + failed);
+    return notes.join('. ') || null;
+  }
+
+  // Cells shown when the camera query doesn't include any of the ordered race cameras
+  var GRID_SIZE = orderedCameraIds.length;
 
-    // normalize to array of items
-    var arr = null;
-    if (Array.isArray(payload)) arr = payload;
-    else if (payload && Array.isArray(payload.data)) arr = payload.data;
-    else if (payload && Array.isArray(payload.rows)) arr = payload.rows;
+  // Layouts of the header's picker. "All" is the responsive grid of every camera; the others fill the
+  // window with a fixed number of cells (big: where the large cell of "1 + n" goes). Free-form cells
+  // sit on a FREE_UNITS × FREE_UNITS grid and can be moved and resized.
+  var FREE_UNITS = 12;
+  var MAX_FREE_CELLS = 16;
+  var LAYOUTS = {
+    all: { label: 'All', title: 'Every camera, as many columns as fit' },
+    '2x2': { label: '2×2', title: '4 cameras', slots: 4, columns: 'repeat(2, 1fr)', rows: 'repeat(2, 1fr)' },
+    '3x3': { label: '3×3', title: '9 cameras', slots: 9, columns: 'repeat(3, 1fr)', rows: 'repeat(3, 1fr)' },
+    '4x3': { label: '4×3', title: '12 cameras', slots: 12, columns: 'repeat(4, 1fr)', rows: 'repeat(3, 1fr)' },
+    '1+5': { label: '1+5', title: 'One large camera and 5 small ones', slots: 6, columns: 'repeat(3, 1fr)', rows: 'repeat(3, 1fr)', big: '1 / 3' },
+    '1+7': { label: '1+7', title: 'One large camera and 7 small ones', slots: 8, columns: 'repeat(4, 1fr)', rows: 'repeat(4, 1fr)', big: '1 / 4' },
+    free: { label: 'Free', title: 'Free-form: drag ✥ to move a cell and its corner to resize it', columns: 'repeat(' + FREE_UNITS + ', 1fr)', rows: 'repeat(' + FREE_UNITS + ', 1fr)' }
+  };
+  var LAYOUT_ORDER = ['all', '2x2', '3x3', '4x3', '1+5', '1+7', 'free'];
 
-    // build a simple map id->item for quick lookups
+  // Spotlight: one camera enlarged over a filmstrip of the others, null while the grid shows normally.
+  // The spotlighted player may pick any rendition; the filmstrip's keep playing on the lowest one.
+  var spotlightId = null;
+  var FILMSTRIP_MAX_HEIGHT = 0;
+  // the filmstrip is at least this many cells wide, so a few cameras don't get huge thumbnails
+  var FILMSTRIP_MIN_COLUMNS = 6;
+
+  // Quality ceiling for a cell's player under the current spotlight (null: the grid role's)
+  function spotlightMaxHeight(id) {
+    if (spotlightId == null) return null;
+    return String(id) === String(spotlightId) ? Infinity : FILMSTRIP_MAX_HEIGHT;
+  }
+
+  // Fetch cameras from the configured sources (same URL parameters as the map, including the
+  // camera query and ?source=), then build the grid using orderedCameraIds
+  (async function () {
     var byId = {};
-    if (Array.isArray(arr)) {
-      arr.forEach(function (it) { if (it && it.id != null) byId[it.id] = it; });
-    }
+    var cameras = [];
+    try {
+      var result = await CameraProviders.loadAll(CameraProviders.resolveSources(null));
+      cameras = result.cameras;
+      byId = CameraCatalog.indexById(cameras);
+      setCatalogStatus(catalogStatusFor(result));
+    } catch (e) { /* ignore */ }
 
     // If fetch failed or items missing, attempt to read from parent page's camera-json element
     if (!Object.keys(byId).length) {
       try {
         var el = window.opener ? window.opener.document.getElementById('camera-json') : document.getElementById('camera-json');
-        if (el) {
-          var txt = el.textContent || el.innerText || '';
-          if (txt) {
-            try {
-              var parsed = JSON.parse(txt);
-              var src = Array.isArray(parsed) ? parsed : (parsed && parsed.data) || null;
-              if (Array.isArray(src)) src.forEach(function (it) { if (it && it.id != null) byId[it.id] = it; });
-            } catch (e) {}
-          }
+        var embedded = CameraCatalog.readEmbedded(el);
+        if (embedded) {
+          cameras = embedded.cameras;
+          byId = CameraCatalog.indexById(cameras);
         }
       } catch (e) {}
     }
 
-    // Build the grid — use orderedCameraIds array and create placeholder cells for missing items
-    orderedCameraIds.forEach(function (id, i) {
-      var item = byId[id] || { id: id, title: 'Camera ' + id, videoUrl: null };
-      // try to extract video URL field from common payload shapes
-      if (!item.videoUrl) {
-        try {
-          if (item.images && item.images.length && item.images[0].videoUrl) item.videoUrl = item.images[0].videoUrl;
-          else if (item.videoUrl) item.videoUrl = item.videoUrl;
-        } catch (e) {}
-      }
-      var c = makeCell({ id: id, title: item.location || item.roadway || item.title || ('Camera ' + id), videoUrl: item.videoUrl }, i);
-      grid.appendChild(c);
+    // Custom cameras (custom-cameras.js) always follow the catalog's cells
+    function customCameras() {
+      try { return CustomCameras.list(); } catch (e) { return []; }
+    }
+    // last catalog seen, so custom-camera changes can be applied without refetching
+    var catalogCameras = cameras;
+    var custom = customCameras();
+    Object.assign(byId, CameraCatalog.indexById(custom));
+
+    // A stream answering 401/403/404 may have moved: look the camera up in its source again (see
+    // /player-manager.js). The cell's camera keeps the new URL, so a later refresh doesn't rebuild it.
+    PlayerManager.setUrlRefresher(function (key) {
+      var cam = byId[key];
+      if (!cam || CustomCameras.isCustom(key)) return null;
+      return CameraProviders.freshCamera(CameraProviders.resolveSources(null), cam).then(function (fresh) {
+        if (!fresh || !fresh.videoUrl) return null;
+        cam.videoUrl = fresh.videoUrl;
+        return fresh.videoUrl;
+      });
     });
 
+    // Cameras the "All" layout shows — use orderedCameraIds array and create placeholder cells for missing items.
+    // A query for other cameras (none of the ordered ids present) shows the first cameras it returned.
+    var baseIds = orderedCameraIds;
+    var hasOrdered = orderedCameraIds.some(function (id) { return !!byId[id]; });
+    if (!hasOrdered && cameras.length) {
+      baseIds = cameras.filter(function (c) { return c.id != null; }).slice(0, GRID_SIZE).map(function (c) { return c.id; });
+    }
+    function defaultIds() {
+      return baseIds.concat(customCameras().map(function (c) { return c.id; }));
+    }
+    // Cells currently on screen: { id, cam, el, box }. cam.videoUrl is null for placeholders, id is null
+    // for an empty cell and box is the free-form position.
+    var cells = [];
+    var layout = 'all';
+
+    function cameraFor(id) {
+      if (id == null) return { id: null, title: 'Empty', videoUrl: null, note: 'Empty · choose a camera with ⇄' };
+      return byId[id] || { id: id, title: 'Camera ' + id, videoUrl: null };
+    }
+
+    // A cell plus the controls for picking its camera and arranging it; they find the cell's entry when used
+    function buildCell(cam, i) {
+      var c = makeCell(cam, i);
+      function entryOf() { return cells.filter(function (x) { return x.el === c; })[0]; }
+
+      var pickBtn = document.createElement('button'); pickBtn.type = 'button'; pickBtn.className = 'pick'; pickBtn.textContent = '⇄';
+      pickBtn.title = 'Choose the camera for this cell';
+      pickBtn.addEventListener('click', function (e) { e.stopPropagation(); var en = entryOf(); if (en) openPicker(en); });
+      c.appendChild(pickBtn);
+
+      var spotBtn = document.createElement('button'); spotBtn.type = 'button'; spotBtn.className = 'spot'; spotBtn.textContent = '⛶';
+      spotBtn.title = 'Spotlight this camera (or double-click the cell; arrow keys cycle, Esc goes back to the grid)';
+      spotBtn.addEventListener('click', function (e) { e.stopPropagation(); var en = entryOf(); if (en) toggleSpotlight(en); });
+      c.appendChild(spotBtn);
+      c.addEventListener('dblclick', function () { var en = entryOf(); if (en) toggleSpotlight(en); });
+
+      var dragEl = document.createElement('div'); dragEl.className = 'drag'; dragEl.textContent = '✥'; dragEl.title = 'Drag to move this cell';
+      var resizeEl = document.createElement('div'); resizeEl.className = 'resize'; resizeEl.title = 'Drag to resize this cell';
+      var removeBtn = document.createElement('button'); removeBtn.type = 'button'; removeBtn.className = 'remove'; removeBtn.textContent = '✕';
+      removeBtn.title = 'Remove this cell';
+      removeBtn.addEventListener('click', function (e) { e.stopPropagation(); var en = entryOf(); if (en) { removeCell(en); layoutCells(); writeHash(); } });
+      [dragEl, resizeEl].forEach(function (h) {
+        h.addEventListener('click', function (e) { e.stopPropagation(); });
+        h.addEventListener('pointerdown', function (e) { var en = entryOf(); if (en) startArrange(e, en, h === resizeEl); });
+      });
+      c.appendChild(dragEl);
+      c.appendChild(resizeEl);
+      c.appendChild(removeBtn);
+      return c;
+    }
+
+    // Show these cameras (ids, null for an empty cell) in this order. Cells already showing one of them
+    // are moved rather than rebuilt, so their streams keep playing.
+    function showCells(nextIds, boxes) {
+      var pool = cells.slice();
+      var next = nextIds.map(function (id, i) {
+        var entry = null;
+        for (var j = 0; id != null && j < pool.length; j++) {
+          if (String(pool[j].id) === String(id)) { entry = pool.splice(j, 1)[0]; break; }
+        }
+        if (!entry) {
+          var cam = cameraFor(id);
+          entry = { id: id, cam: cam, el: buildCell(cam, i) };
+        }
+        entry.box = (boxes && boxes[i]) || null;
+        return entry;
+      });
+      pool.forEach(function (entry) { try { grid.removeChild(entry.el); } catch (e) {} });
+      cells = next;
+      cells.forEach(function (entry) { grid.appendChild(entry.el); });
+      layoutCells();
+    }
+
+    // Grid template of the layout (or the spotlight), each cell's place in it and the index badges
+    function layoutCells() {
+      var lay = LAYOUTS[layout];
+      var spot = spotlightId == null ? null : cells.filter(function (entry) { return entry.id != null && String(entry.id) === String(spotlightId); })[0];
+      // the spotlighted camera's cell is gone
+      if (spotlightId != null && !spot) { setSpotlight(null); return; }
+      grid.classList.toggle('fixed', layout !== 'all');
+      grid.classList.toggle('free', layout === 'free');
+      grid.classList.toggle('spotlight', !!spot);
+      // spotlight: the camera takes the first row across the whole width, the others flow into the rows below
+      grid.style.gridTemplateColumns = spot ? 'repeat(' + Math.max(cells.length - 1, FILMSTRIP_MIN_COLUMNS) + ', minmax(0, 1fr))' : (lay.columns || '');
+      grid.style.gridTemplateRows = spot ? 'minmax(0, 1fr)' : (lay.rows || '');
+      cells.forEach(function (entry, i) {
+        var b = layout === 'free' && !spot ? entry.box : null;
+        var big = spot ? (entry === spot ? '1 / -1' : '') : (i === 0 && lay.big);
+        entry.el.style.gridColumn = b ? (b.x + 1) + ' / span ' + b.w : (big || '');
+        entry.el.style.gridRow = b ? (b.y + 1) + ' / span ' + b.h : (spot ? (entry === spot ? '1' : '') : (big || ''));
+        entry.el.classList.toggle('spotlit', entry === spot);
+        try { entry.el.querySelector('.index').textContent = i + 1; } catch (e) {}
+      });
+    }
+
+    // Enlarge a camera over the filmstrip of the others (null: back to the grid) and set every
+    // cell's quality to match
+    function setSpotlight(id) {
+      spotlightId = id;
+      cells.forEach(function (entry) {
+        if (entry.id == null) return;
+        try { PlayerManager.setMaxHeight(PlayerManager.find(entry.id, 'grid'), spotlightMaxHeight(entry.id)); } catch (e) {}
+      });
+      layoutCells();
+    }
+
+    function toggleSpotlight(entry) {
+      if (entry.id == null) return;
+      setSpotlight(spotlightId != null && String(spotlightId) === String(entry.id) ? null : entry.id);
+    }
+
+    // Spotlight the next (step 1) or previous (-1) camera in grid order, skipping empty cells
+    function cycleSpotlight(step) {
+      var list = cells.filter(function (entry) { return entry.id != null; });
+      if (!list.length) return;
+      var i = -1;
+      list.forEach(function (entry, j) { if (String(entry.id) === String(spotlightId)) i = j; });
+      setSpotlight(list[(i + step + list.length) % list.length].id);
+    }
+
+    document.addEventListener('keydown', function (e) {
+      if (spotlightId == null || e.ctrlKey || e.metaKey || e.altKey) return;
+      var t = e.target;
+      if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+      if (e.key === 'Escape') { e.preventDefault(); setSpotlight(null); return; }
+      var step = (e.key === 'ArrowRight' || e.key === 'ArrowDown') ? 1 : ((e.key === 'ArrowLeft' || e.key === 'ArrowUp') ? -1 : 0);
+      if (!step) return;
+      e.preventDefault();
+      cycleSpotlight(step);
+    });
+
+    // The first n of the chosen cameras; unless pad is off, missing cells get cameras not on screen yet
+    function fillIds(chosen, n, pad) {
+      var out = chosen.slice(0, n);
+      var spare = pad === false ? [] : defaultIds().filter(function (id) {
+        return !out.some(function (x) { return x != null && String(x) === String(id); });
+      });
+      while (out.length < n) out.push(spare.length ? spare.shift() : null);
+      return out;
+    }
+
+    // Free-form cells start as an even tiling of the 12×12 grid
+    function tileBox(i, n) {
+      var cols = Math.ceil(Math.sqrt(n)), rows = Math.ceil(n / cols);
+      var w = Math.max(1, Math.floor(FREE_UNITS / cols)), h = Math.max(1, Math.floor(FREE_UNITS / rows));
+      return { x: (i % cols) * w, y: Math.floor(i / cols) * h, w: w, h: h };
+    }
+
+    // cams/boxes come from the URL hash; without them the cells on screen carry over
+    function setLayout(name, cams, boxes) {
+      if (!LAYOUTS[name]) name = 'all';
+      // a new layout starts without a spotlight
+      if (spotlightId != null) setSpotlight(null);
+      var from = cells.map(function (entry) { return entry.id; });
+      var fromBoxes = cells.map(function (entry) { return entry.box; });
+      layout = name;
+      var ids;
+      if (name === 'all') ids = defaultIds();
+      else if (name === 'free') ids = cams || from;
+      else ids = fillIds(cams || from, LAYOUTS[name].slots, !cams);
+      if (name === 'free') {
+        ids = ids.slice(0, MAX_FREE_CELLS);
+        boxes = ids.map(function (id, i) { return (boxes && boxes[i]) || (!cams && fromBoxes[i]) || tileBox(i, ids.length); });
+      }
+      showCells(ids, boxes);
+      showLayoutPicker();
+      writeHash();
+    }
+
+    // #layout=3x3&cams=3498,3416,,3415 (an empty entry is an empty cell); free-form adds
+    // &boxes=0.0.6.4,6.0.6.4 (column.row.width.height of each cell on the 12×12 grid)
+    function readHash() {
+      var params = new URLSearchParams(location.hash.replace(/^#/, ''));
+      // a hand-typed "1+5" arrives as "1 5"
+      var name = (params.get('layout') || 'all').replace(/ /g, '+');
+      var cams = params.get('cams');
+      var boxes = params.get('boxes');
+      return {
+        layout: LAYOUTS[name] ? name : 'all',
+        cams: cams != null ? cams.split(',').map(function (id) { return id || null; }) : null,
+        boxes: boxes ? boxes.split(',').map(parseBox) : null
+      };
+    }
+
+    function parseBox(str) {
+      var n = String(str).split('.').map(function (v) { return parseInt(v, 10); });
+      if (n.length !== 4 || n.some(function (v) { return !isFinite(v); })) return null;
+      var w = Math.max(1, Math.min(FREE_UNITS, n[2])), h = Math.max(1, Math.min(FREE_UNITS, n[3]));
+      return { x: Math.max(0, Math.min(FREE_UNITS - w, n[0])), y: Math.max(0, Math.min(FREE_UNITS - h, n[1])), w: w, h: h };
+    }
+
+    function writeHash() {
+      var hash = '';
+      if (layout !== 'all') {
+        hash = '#layout=' + encodeURIComponent(layout) + '&cams=' + cells.map(function (entry) {
+          return entry.id == null ? '' : encodeURIComponent(entry.id);
+        }).join(',');
+        if (layout === 'free') hash += '&boxes=' + cells.map(function (entry) {
+          var b = entry.box;
+          return [b.x, b.y, b.w, b.h].join('.');
+        }).join(',');
+      }
+      try { history.replaceState(history.state, '', location.pathname + location.search + hash); } catch (e) {}
+    }
+
+    function applyHash() {
+      var h = readHash();
+      setLayout(h.layout, h.cams, h.boxes);
+    }
+
+    // Header buttons for the layouts, plus "add cell" in free-form
+    var picker = document.getElementById('layout-picker');
+    var addCellBtn = null;
+    function showLayoutPicker() {
+      if (!picker) return;
+      Array.prototype.forEach.call(picker.querySelectorAll('[data-layout]'), function (b) {
+        b.setAttribute('aria-pressed', String(b.dataset.layout === layout));
+      });
+      if (addCellBtn) addCellBtn.hidden = layout !== 'free' || cells.length >= MAX_FREE_CELLS;
+    }
+    if (picker) {
+      LAYOUT_ORDER.forEach(function (name) {
+        var b = document.createElement('button'); b.type = 'button'; b.dataset.layout = name;
+        b.textContent = LAYOUTS[name].label; b.title = LAYOUTS[name].title;
+        b.addEventListener('click', function () { setLayout(name); });
+        picker.appendChild(b);
+      });
+      addCellBtn = document.createElement('button'); addCellBtn.type = 'button'; addCellBtn.textContent = '+ Cell';
+      addCellBtn.title = 'Add a cell to the free-form layout';
+      addCellBtn.addEventListener('click', addFreeCell);
+      picker.appendChild(addCellBtn);
+    }
+
+    // A new free-form cell for the next camera not on screen, in the first free 4×4 spot
+    function addFreeCell() {
+      if (layout !== 'free' || cells.length >= MAX_FREE_CELLS) return;
+      var ids = cells.map(function (entry) { return entry.id; });
+      ids = fillIds(ids, ids.length + 1);
+      var boxes = cells.map(function (entry) { return entry.box; });
+      boxes.push(freeSpot(4, 4));
+      showCells(ids, boxes);
+      showLayoutPicker();
+      writeHash();
+    }
+
+    function freeSpot(w, h) {
+      function overlaps(x, y) {
+        return cells.some(function (entry) {
+          var b = entry.box;
+          return b && x < b.x + b.w && b.x < x + w && y < b.y + b.h && b.y < y + h;
+        });
+      }
+      for (var y = 0; y <= FREE_UNITS - h; y++) {
+        for (var x = 0; x <= FREE_UNITS - w; x++) if (!overlaps(x, y)) return { x: x, y: y, w: w, h: h };
+      }
+      return { x: 0, y: 0, w: w, h: h };
+    }
+
+    // Move (or, from the corner handle, resize) a free-form cell in whole grid units
+    function startArrange(e, entry, resizing) {
+      if (layout !== 'free' || !entry.box) return;
+      e.preventDefault();
+      e.stopPropagation();
+      var handle = e.currentTarget;
+      var rect = grid.getBoundingClientRect();
+      var unitW = rect.width / FREE_UNITS, unitH = rect.height / FREE_UNITS;
+      var start = { x: e.clientX, y: e.clientY, box: Object.assign({}, entry.box) };
+      entry.el.classList.add('arranging');
+      try { handle.setPointerCapture(e.pointerId); } catch (er) {}
+      function move(ev) {
+        var dx = Math.round((ev.clientX - start.x) / unitW), dy = Math.round((ev.clientY - start.y) / unitH);
+        var b = start.box;
+        if (resizing) {
+          entry.box = { x: b.x, y: b.y, w: Math.max(1, Math.min(FREE_UNITS - b.x, b.w + dx)), h: Math.max(1, Math.min(FREE_UNITS - b.y, b.h + dy)) };
+        } else {
+          entry.box = { x: Math.max(0, Math.min(FREE_UNITS - b.w, b.x + dx)), y: Math.max(0, Math.min(FREE_UNITS - b.h, b.y + dy)), w: b.w, h: b.h };
+        }
+        layoutCells();
+      }
+      function end() {
+        handle.removeEventListener('pointermove', move);
+        handle.removeEventListener('pointerup', end);
+        handle.removeEventListener('pointercancel', end);
+        entry.el.classList.remove('arranging');
+        writeHash();
+      }
+      handle.addEventListener('pointermove', move);
+      handle.addEventListener('pointerup', end);
+      handle.addEventListener('pointercancel', end);
+    }
+
+    // Camera picker laid over a cell: the race cameras first, then the rest by name
+    function openPicker(entry) {
+      var old = entry.el.querySelector('.pick-select');
+      if (old) { old.focus(); return; }
+      var sel = document.createElement('select'); sel.className = 'pick-select';
+      var opt = document.createElement('option'); opt.value = ''; opt.textContent = 'Empty cell'; sel.appendChild(opt);
+      var ordered = orderedCameraIds.filter(function (id) { return !!byId[id]; }).map(String);
+      var rest = Object.keys(byId).filter(function (id) { return ordered.indexOf(id) === -1; }).sort(function (a, b) {
+        return String(byId[a].title || '').localeCompare(String(byId[b].title || ''));
+      });
+      ordered.concat(rest).forEach(function (id) {
+        var o = document.createElement('option'); o.value = id; o.textContent = byId[id].title || ('Camera ' + id); sel.appendChild(o);
+      });
+      sel.value = entry.id == null ? '' : String(entry.id);
+      sel.addEventListener('click', function (e) { e.stopPropagation(); });
+      sel.addEventListener('change', function () {
+        var id = sel.value ? byId[sel.value].id : null;
+        closePicker();
+        setCellCamera(entry, id);
+      });
+      sel.addEventListener('blur', closePicker);
+      sel.addEventListener('keydown', function (e) { if (e.key === 'Escape') closePicker(); });
+      function closePicker() { if (sel.parentNode) sel.parentNode.removeChild(sel); }
+      entry.el.appendChild(sel);
+      sel.focus();
+    }
+
+    // Put a camera in a cell; one already on screen trades places with it
+    function setCellCamera(entry, id) {
+      var other = id == null ? null : cells.filter(function (x) { return x !== entry && x.id != null && String(x.id) === String(id); })[0];
+      if (other) {
+        var a = cells.indexOf(entry), b = cells.indexOf(other);
+        var ids = cells.map(function (x) { return x.id; });
+        ids[a] = other.id; ids[b] = entry.id;
+        // the boxes stay where they are; the cameras move
+        showCells(ids, cells.map(function (x) { return x.box; }));
+      } else {
+        entry.id = id;
+        replaceCell(entry, cameraFor(id));
+        layoutCells();
+      }
+      writeHash();
+    }
+
+    applyHash();
+    // a bookmarked or edited hash while the page is open
+    window.addEventListener('hashchange', applyHash);
+
     // if no streams available, show a message
     if (grid.children.length === 0) {
       var p = document.createElement('div'); p.textContent = 'No camera data available.'; document.body.appendChild(p);
     }
+
+    // Swap a cell for a freshly built one; removing the old element tears its player down
+    function replaceCell(entry, cam) {
+      var i = cells.indexOf(entry);
+      var c = buildCell(cam, i);
+      try { grid.replaceChild(c, entry.el); } catch (e) { grid.appendChild(c); }
+      entry.cam = cam;
+      entry.el = c;
+    }
+
+    function removeCell(entry) {
+      try { grid.removeChild(entry.el); } catch (e) {}
+      cells.splice(cells.indexOf(entry), 1);
+    }
+
+    // Patch only the cells whose camera changed. `list` is the full set to show (catalog plus
+    // custom cameras); when it's incomplete, missing catalog cameras are kept.
+    function applyCameras(list, complete) {
+      var d = CameraCatalog.diff(byId, list);
+      if (!complete) d.removed = d.removed.filter(function (id) { return CustomCameras.isCustom(id); });
+      if (CameraCatalog.diffIsEmpty(d)) return;
+      var next = CameraCatalog.indexById(list);
+
+      cells.slice().forEach(function (entry) {
+        var cam = next[entry.id];
+        if (!cam) {
+          // a deleted custom camera has no placeholder to keep, unless a picked layout holds its place
+          if (d.removed.indexOf(entry.id) !== -1 && CustomCameras.isCustom(entry.id) && layout === 'all') {
+            removeCell(entry);
+          } else if (d.removed.indexOf(entry.id) !== -1 && entry.cam.videoUrl) {
+            replaceCell(entry, { id: entry.id, title: entry.cam.title, videoUrl: null, note: 'Removed from camera list' });
+          }
+          return;
+        }
+        if (!entry.cam.videoUrl || entry.cam.videoUrl !== cam.videoUrl) {
+          replaceCell(entry, cam);
+        } else if (entry.cam.title !== cam.title) {
+          entry.cam = cam;
+          try { entry.el.querySelector('.label').textContent = cam.title; } catch (e) {}
+        }
+      });
+
+      // in the "All" layout new custom cameras always get a cell; when showing "first cameras of the
+      // query", new catalog cameras fill any free slots. Picked layouts keep the cameras they were given.
+      var catalogCells = cells.filter(function (entry) { return !CustomCameras.isCustom(entry.id); }).length;
+      d.added.forEach(function (cam) {
+        if (cam.id == null || layout !== 'all') return;
+        var isCustom = CustomCameras.isCustom(cam.id);
+        if (!isCustom && (hasOrdered || catalogCells >= GRID_SIZE)) return;
+        var c = buildCell(cam, cells.length);
+        var entry = { id: cam.id, cam: cam, el: c, box: null };
+        // keep custom cells after the catalog's
+        var firstCustom = isCustom ? null : cells.filter(function (x) { return CustomCameras.isCustom(x.id); })[0];
+        if (firstCustom) {
+          grid.insertBefore(c, firstCustom.el);
+          cells.splice(cells.indexOf(firstCustom), 0, entry);
+        } else {
+          grid.appendChild(c);
+          cells.push(entry);
+        }
+        if (!isCustom) catalogCells++;
+      });
+
+      Object.keys(byId).forEach(function (k) { delete byId[k]; });
+      Object.assign(byId, next);
+      console.info('Grid cameras updated', d);
+      showToast('Cameras updated: ' + CameraCatalog.describeDiff(d), 6000);
+    }
+
+    // Background refresh of the catalog
+    async function refreshGrid() {
+      var result;
+      try {
+        result = await CameraProviders.loadAll(CameraProviders.resolveSources(null), { cache: false });
+      } catch (e) { console.warn('Camera catalog refresh failed; keeping current cells', e); return; }
+      setCatalogStatus(catalogStatusFor(result));
+      catalogCameras = result.cameras;
+      applyCameras(catalogCameras.concat(customCameras()), result.complete);
+    }
+
+    // custom cameras added, edited or deleted on the map (or in another tab)
+    CustomCameras.onChange(function () { applyCameras(catalogCameras.concat(customCameras()), false); });
+
+    var refreshMs = CameraCatalog.resolveRefreshInterval(null);
+    if (refreshMs) setInterval(refreshGrid, refreshMs);
   })();
 })();
@@ -0,0 +1,447 @@
+// camera-catalog.js — shared camera catalog used by the map (main.js) and the All Cameras grid
+// Normalizes the NV Roads DataTables payload (and the other shapes we've seen) into one camera
+// model, and hosts the small helpers both pages used to carry their own copies of.
+// Load after idb-store.js (last-known-good catalog cache) and proxy-chain.js (CORS proxy failover);
+// camera-providers.js builds on it to load other camera feeds.
+(function () {
+    'use strict';
+
+    // Minimal toast notification helper (non-blocking)
+    function _injectToastStyles() {
+        if (document.getElementById('site-toast-styles')) return;
+        var s = document.createElement('style');
+        s.id = 'site-toast-styles';
+        s.textContent = '\n.site-toast{position:fixed;right:20px;bottom:20px;background:linear-gradient(180deg, rgba(0,0,0,0.92), rgba(0,0,0,0.86));color:#fff;padding:10px 14px;border-radius:8px;font-size:15px;line-height:1.25;z-index:1000000;opacity:0;transform:translateY(10px);transition:opacity .22s,transform .22s;box-shadow:0 6px 20px rgba(0,0,0,0.35);max-width:420px;text-align:left}\n.site-toast.visible{opacity:1;transform:translateY(0)}\n';
+        document.head.appendChild(s);
+    }
+
+    function showToast(msg, ms) {
+        try {
+            _injectToastStyles();
+            ms = typeof ms === 'number' ? ms : 4500;
+            var t = document.createElement('div');
+            t.className = 'site-toast';
+            t.textContent = String(msg || '');
+            document.body.appendChild(t);
+            // allow CSS to apply
+            requestAnimationFrame(function () { t.classList.add('visible'); });
+            setTimeout(function () { t.classList.remove('visible'); }, ms - 300);
+            setTimeout(function () { try { t.remove(); } catch (e) {} }, ms);
+            return t;
+        } catch (e) { try { console.warn('showToast failed', e); } catch (er) {} }
+    }
+
+    // Dynamically load hls.js for playing .m3u8 in non-Safari browsers (the local copy in fixture mode).
+    // The promise is shared so concurrent callers don't inject the script twice.
+    var hlsPromise = null;
+    function ensureHls() {
+        if (window.Hls) return Promise.resolve(window.Hls);
+        if (hlsPromise) return hlsPromise;
+        hlsPromise = new Promise(function (resolve) {
+            var s = document.createElement('script');
+            s.src = (window.Fixtures && Fixtures.enabled) ? Fixtures.vendor('hls.js/hls.min.js') : 'https://cdn.jsdelivr.net/npm/hls.js@1.4.2/dist/hls.min.js';
+            s.async = true;
+            s.onload = function () { resolve(window.Hls); };
+            s.onerror = function () { hlsPromise = null; resolve(null); };
+            document.head.appendChild(s);
+        });
+        return hlsPromise;
+    }
+
+    // The ordered camera list used for fullscreen navigation and the All Cameras grid
+    var orderedCameraIds = [3498,3416,3415,3414,3413,3882,3909,3410,3412,3411,4036,4029];
+
+    // NV Roads camera list endpoint. Requests reach it through the CORS proxy chain
+    // (proxy-chain.js), so the URLs built here are the plain NV Roads ones.
+    var NV_ENDPOINT = 'https://www.nvroads.com/List/GetData/Cameras';
+
+    // Structured camera query. Each field maps onto the DataTables request NV Roads expects:
+    //   search  - global search text (search.value)
+    //   region  - per-column search on the region column
+    //   roadway - per-column search on the roadway column
+    //   sort    - ordered sort columns; prefix a name with '-' for descending
+    //   length  - page size (the loader follows pagination, so this only sets request size)
+    var DEFAULT_QUERY = { search: 'f1', region: '', roadway: '', sort: ['sortOrder', 'region', 'roadway'], length: 17 };
+
+    // Column layout of the NV Roads camera list view; sortable columns are addressed by name
+    var NV_COLUMNS = [{ data: null, name: '' }, { name: 'sortOrder', s: true }, { name: 'region', s: true }, { name: 'roadway', s: true }, { data: 4, name: '' }];
+    var SORTABLE = ['sortOrder', 'region', 'roadway'];
+
+    // Accept a comma string ("region,-roadway") or an array and keep only known column names
+    function parseSort(sort) {
+        var list = Array.isArray(sort) ? sort : String(sort || '').split(',');
+        return list.map(function (s) { return String(s).trim(); }).filter(function (s) {
+            return SORTABLE.indexOf(s.replace(/^-/, '')) !== -1;
+        });
+    }
+
+    function normalizeQuery(q) {
+        q = Object.assign({}, DEFAULT_QUERY, q || {});
+        var length = parseInt(q.length, 10);
+        return {
+            search: String(q.search == null ? '' : q.search).trim(),
+            region: String(q.region || '').trim(),
+            roadway: String(q.roadway || '').trim(),
+            sort: parseSort(q.sort),
+            length: (Number.isFinite(length) && length > 0) ? Math.min(length, 500) : DEFAULT_QUERY.length
+        };
+    }
+
+    // Structured query -> DataTables request object
+    function buildNvQuery(q) {
+        q = normalizeQuery(q);
+        var columns = NV_COLUMNS.map(function (c) {
+            var col = Object.assign({}, c);
+            if (c.name === 'region' && q.region) col.search = { value: q.region };
+            if (c.name === 'roadway' && q.roadway) col.search = { value: q.roadway };
+            return col;
+        });
+        var order = q.sort.map(function (s) {
+            var desc = s.charAt(0) === '-';
+            var name = desc ? s.slice(1) : s;
+            var idx = -1;
+            NV_COLUMNS.forEach(function (c, i) { if (c.name === name) idx = i; });
+            return { column: idx, dir: desc ? 'desc' : 'asc' };
+        });
+        return { columns: columns, order: order, start: 0, length: q.length, search: { value: q.search } };
+    }
+
+    // Structured query -> NV Roads catalog URL
+    function buildEndpoint(q) {
+        return NV_ENDPOINT + '?query=' + encodeURIComponent(JSON.stringify(buildNvQuery(q))) + '&lang=en-US';
+    }
+
+    var DEFAULT_ENDPOINT = buildEndpoint(DEFAULT_QUERY);
+
+    // Page URL parameters that carry the chosen query (q, region, roadway, sort, length)
+    var QUERY_URL_PARAMS = { search: 'q', region: 'region', roadway: 'roadway', sort: 'sort', length: 'length' };
+
+    function hasUrlQuery(search) {
+        var params = new URLSearchParams(search == null ? location.search : search);
+        return Object.keys(QUERY_URL_PARAMS).some(function (k) { return params.has(QUERY_URL_PARAMS[k]); });
+    }
+
+    // Resolve the active query: defaults < data-camera-* attributes < page URL parameters
+    function resolveQuery(dataset, search) {
+        var q = Object.assign({}, DEFAULT_QUERY);
+        var ds = dataset || {};
+        if (ds.cameraSearch != null) q.search = ds.cameraSearch;
+        if (ds.cameraRegion != null) q.region = ds.cameraRegion;
+        if (ds.cameraRoadway != null) q.roadway = ds.cameraRoadway;
+        if (ds.cameraSort != null) q.sort = ds.cameraSort;
+        if (ds.cameraLength != null) q.length = ds.cameraLength;
+        var params = new URLSearchParams(search == null ? location.search : search);
+        Object.keys(QUERY_URL_PARAMS).forEach(function (k) {
+            if (params.has(QUERY_URL_PARAMS[k])) q[k] = params.get(QUERY_URL_PARAMS[k]);
+        });
+        return normalizeQuery(q);
+    }
+
+    // Write the query into URL parameters, leaving out fields that match the defaults so
+    // the default view keeps a clean URL. Other parameters in `search` are preserved.
+    function queryToSearch(q, search) {
+        q = normalizeQuery(q);
+        var def = normalizeQuery(DEFAULT_QUERY);
+        var params = new URLSearchParams(search == null ? location.search : search);
+        Object.keys(QUERY_URL_PARAMS).forEach(function (k) {
+            var val = k === 'sort' ? q.sort.join(',') : String(q[k]);
+            var defVal = k === 'sort' ? def.sort.join(',') : String(def[k]);
+            if (val === defVal) params.delete(QUERY_URL_PARAMS[k]);
+            else params.set(QUERY_URL_PARAMS[k], val);
+        });
+        var out = params.toString();
+        return out ? '?' + out : '';
+    }
+
+    // Catalog URL for a page: a raw data-camera-endpoint still wins unless the page URL
+    // carries an explicit query, otherwise the URL is generated from the resolved query.
+    function endpointFor(dataset, search) {
+        if (dataset && dataset.cameraEndpoint && !hasUrlQuery(search)) return dataset.cameraEndpoint;
+        return buildEndpoint(resolveQuery(dataset, search));
+    }
+
+    // Parse WKT POINT like "POINT (-115.16383 36.11436)" -> [lat, lng]
+    function parseWktPoint(wkt) {
+        if (!wkt || typeof wkt !== 'string') return null;
+        var m = /POINT\s*\(\s*([\-0-9\.]+)\s+([\-0-9\.]+)\s*\)/i.exec(wkt.trim());
+        if (!m) return null;
+        var lng = parseFloat(m[1]);
+        var lat = parseFloat(m[2]);
+        if (!isFinite(lat) || !isFinite(lng)) return null;
+        return [lat, lng];
+    }
+
+    // Pull the camera array out of a payload: the full DataTables-like object ({ data } or { rows })
+    // or the inner array itself. Returns null when no array can be found.
+    function extractItems(payload) {
+        if (Array.isArray(payload)) return payload;
+        if (payload && Array.isArray(payload.data)) return payload.data;
+        if (payload && Array.isArray(payload.rows)) return payload.rows;
+        return null;
+    }
+
+    // Turn one raw catalog item into the shared camera model:
+    // { id, title, coords: [lat, lng] | null, videoUrl, imageUrl, raw }
+    function normalizeCamera(it) {
+        if (!it || typeof it !== 'object') return null;
+        var wkt = it.latLng && it.latLng.geography && it.latLng.geography.wellKnownText;
+        var videoUrl = null;
+        if (it.images && it.images.length && it.images[0] && it.images[0].videoUrl) videoUrl = it.images[0].videoUrl;
+        if (!videoUrl && it.videoUrl) videoUrl = it.videoUrl;
+        // still JPEG published next to the stream, shown when the stream can't be played
+        var imageUrl = (it.images && it.images[0] && it.images[0].imageUrl) || it.imageUrl || null;
+        var id = (it.id != null) ? it.id : null;
+        return {
+            id: id,
+            // stable human-readable title so the UI never falls back to the bare numeric id
+            title: it.location || it.roadway || it.name || it.cameraName || it.title || ('Camera ' + (id != null ? id : '')),
+            coords: parseWktPoint(wkt),
+            videoUrl: videoUrl,
+            imageUrl: imageUrl,
+            raw: it
+        };
+    }
+
+    // Normalize any supported payload shape. recordsTotal/recordsFiltered are passed through
+    // when the payload carries them (DataTables responses do).
+    function normalizePayload(payload) {
+        var items = extractItems(payload);
+        if (!items) return null;
+        var cameras = [];
+        items.forEach(function (it) { var c = normalizeCamera(it); if (c) cameras.push(c); });
+        var out = { cameras: cameras, recordsTotal: null, recordsFiltered: null };
+        if (payload && !Array.isArray(payload)) {
+            if (Number.isInteger(payload.recordsTotal)) out.recordsTotal = payload.recordsTotal;
+            if (Number.isInteger(payload.recordsFiltered)) out.recordsFiltered = payload.recordsFiltered;
+        }
+        return out;
+    }
+
+    // NV Roads takes its DataTables request as a URL-encoded JSON blob in the `query` parameter.
+    // These read and rewrite that blob in place, which works whether or not the URL is wrapped
+    // in a `?url=` proxy (the proxy passes the NV Roads query string through untouched).
+    var QUERY_PARAM_RE = /([?&]query=)([^&]*)/;
+
+    function readQuery(url) {
+        var m = QUERY_PARAM_RE.exec(String(url || ''));
+        if (!m) return null;
+        try { return JSON.parse(decodeURIComponent(m[2])); } catch (e) { return null; }
+    }
+
+    function withQuery(url, query) {
+        return String(url).replace(QUERY_PARAM_RE, function (all, prefix) { return prefix + encodeURIComponent(JSON.stringify(query)); });
+    }
+
+    // Hard stop so a misbehaving server can't keep us paging forever
+    var MAX_PAGES = 50;
+
+    // Catalog requests go through the proxy chain when it's loaded (it fails over between proxies).
+    // Files served alongside the page (e.g. a local GeoJSON source) don't need a CORS proxy.
+    function catalogFetch(url) {
+        var opts = { cache: 'no-store', mode: 'cors' };
+        var sameOrigin = false;
+        try { sameOrigin = new URL(url, location.href).origin === location.origin; } catch (e) {}
+        return (window.ProxyChain && !sameOrigin) ? ProxyChain.fetch(url, opts) : fetch(url, opts);
+    }
+
+    async function fetchPage(url) {
+        var r = await catalogFetch(url);
+        if (!r.ok) throw new Error('Camera catalog response not ok: ' + r.status);
+        var result = normalizePayload(await r.json());
+        if (!result) throw new Error('Camera catalog returned no usable camera array');
+        return result;
+    }
+
+    // Fetch and normalize the catalog. When the response reports more records than it carried
+    // (recordsFiltered/recordsTotal), further pages are requested by advancing `start` until the
+    // whole result set is in. Rejects if the first page fails so callers can fall back; a later
+    // page failing keeps what was loaded and sets `complete: false`.
+    async function load(url) {
+        url = url || DEFAULT_ENDPOINT;
+        var first = await fetchPage(url);
+        var cameras = first.cameras.slice();
+        var seen = indexById(cameras);
+        var expected = first.recordsFiltered != null ? first.recordsFiltered : first.recordsTotal;
+        var query = readQuery(url);
+        var complete = true;
+
+        if (query && Number.isInteger(expected) && cameras.length < expected) {
+            var start = (Number(query.start) || 0) + first.cameras.length;
+            var pages = 1;
+            while (start < expected && pages < MAX_PAGES) {
+                var pageQuery = Object.assign({}, query, { start: start });
+                var page;
+                try {
+                    page = await fetchPage(withQuery(url, pageQuery));
+                } catch (e) {
+                    console.warn('Camera catalog page at start=' + start + ' failed; keeping ' + cameras.length + ' of ' + expected, e);
+                    complete = false;
+                    break;
+                }
+                pages++;
+                if (!page.cameras.length) break;
+                page.cameras.forEach(function (c) {
+                    if (c.id != null && seen[c.id]) return;
+                    if (c.id != null) seen[c.id] = c;
+                    cameras.push(c);
+                });
+                start += page.cameras.length;
+            }
+            if (cameras.length < expected) complete = false;
+        }
+
+        var result = { cameras: cameras, recordsTotal: first.recordsTotal, recordsFiltered: first.recordsFiltered, complete: complete };
+        // every successful load becomes the last-known-good copy for this endpoint
+        if (cameras.length) saveCache(url, result);
+        return result;
+    }
+
+    // Last-known-good catalog cache (IndexedDB, keyed by endpoint so each query keeps its own
+    // copy). Failures are logged and swallowed: the cache only ever makes things better.
+    var cacheStore = window.IdbStore ? new IdbStore('f1lv-camera-catalog', 'catalogs') : null;
+
+    function saveCache(url, result) {
+        if (!cacheStore) return Promise.resolve(false);
+        var entry = { url: url, savedAt: Date.now(), cameras: result.cameras, recordsTotal: result.recordsTotal, recordsFiltered: result.recordsFiltered };
+        return cacheStore.put(url, entry).then(function () { return true; }).catch(function (e) {
+            console.warn('Could not cache camera catalog', e);
+            return false;
+        });
+    }
+
+    function readCache(url) {
+        if (!cacheStore) return Promise.resolve(null);
+        return cacheStore.get(url).then(function (entry) {
+            return (entry && Array.isArray(entry.cameras) && entry.cameras.length) ? entry : null;
+        }).catch(function (e) {
+            console.warn('Could not read cached camera catalog', e);
+            return null;
+        });
+    }
+
+    // Load the catalog, falling back to the cached copy when the network (proxy or NV Roads)
+    // fails. Cached results carry fromCache: true and savedAt (ms) for staleness indicators.
+    // `loader` replaces load() for other camera providers (see camera-providers.js).
+    async function loadWithCache(url, loader) {
+        url = url || DEFAULT_ENDPOINT;
+        try {
+            var fresh = await (loader || load)(url);
+            fresh.fromCache = false;
+            return fresh;
+        } catch (err) {
+            var cached = await readCache(url);
+            if (!cached) throw err;
+            console.warn('Camera catalog load failed; using cached copy from ' + new Date(cached.savedAt).toISOString(), err);
+            return { cameras: cached.cameras, recordsTotal: cached.recordsTotal, recordsFiltered: cached.recordsFiltered, complete: true, fromCache: true, savedAt: cached.savedAt };
+        }
+    }
+
+    // "14:32" for today, "Nov 21 14:32" for older copies
+    function formatSavedAt(ms) {
+        var d = new Date(ms);
+        var time = d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        if (d.toDateString() === new Date().toDateString()) return time;
+        return d.toLocaleDateString([], { month: 'short', day: 'numeric' }) + ' ' + time;
+    }
+
+    // Read a catalog payload embedded in the page as <script type="application/json">
+    function readEmbedded(el) {
+        try {
+            if (!el) return null;
+            var txt = el.textContent || el.innerText || '';
+            if (!txt) return null;
+            return normalizePayload(JSON.parse(txt));
+        } catch (e) {
+            console.warn('Failed to parse embedded camera catalog, skipping', e);
+            return null;
+        }
+    }
+
+    // Build an id -> camera lookup (cameras without an id are left out)
+    function indexById(cameras) {
+        var byId = {};
+        (cameras || []).forEach(function (c) { if (c && c.id != null) byId[c.id] = c; });
+        return byId;
+    }
+
+    // Compare a fresh catalog against the cameras currently shown (id -> camera with .coords,
+    // .title, .videoUrl). Cameras without coordinates count as present but never as moved.
+    //   added   - cameras in the new catalog that aren't shown yet
+    //   removed - ids shown now that the new catalog no longer lists
+    //   moved   - cameras whose coordinates changed
+    //   changed - cameras whose title or stream URL changed
+    var MOVE_EPSILON = 1e-6;
+    function diff(prevById, cameras) {
+        var next = indexById(cameras);
+        var out = { added: [], removed: [], moved: [], changed: [] };
+        Object.keys(next).forEach(function (id) {
+            var c = next[id];
+            var p = prevById && prevById[id];
+            if (!p) { out.added.push(c); return; }
+            var a = p.coords, b = c.coords;
+            if (a && b && (Math.abs(a[0] - b[0]) > MOVE_EPSILON || Math.abs(a[1] - b[1]) > MOVE_EPSILON)) out.moved.push(c);
+            if ((p.title || '') !== (c.title || '') || (p.videoUrl || null) !== (c.videoUrl || null)) out.changed.push(c);
+        });
+        Object.keys(prevById || {}).forEach(function (id) { if (!next[id]) out.removed.push(prevById[id].id != null ? prevById[id].id : id); });
+        return out;
+    }
+
+    function diffIsEmpty(d) {
+        return !d || (!d.added.length && !d.removed.length && !d.moved.length && !d.changed.length);
+    }
+
+    // One-line summary for toasts, e.g. "2 added, 1 removed, 3 moved"
+    function describeDiff(d) {
+        var parts = [];
+        if (d.added.length) parts.push(d.added.length + ' added');
+        if (d.removed.length) parts.push(d.removed.length + ' removed');
+        if (d.moved.length) parts.push(d.moved.length + ' moved');
+        if (d.changed.length) parts.push(d.changed.length + ' updated');
+        return parts.join(', ');
+    }
+
+    // Background refresh interval in ms: data-catalog-refresh (seconds) on the page, overridden by
+    // the `refresh` URL parameter. 0 turns refreshing off.
+    var DEFAULT_REFRESH_SECONDS = 120;
+    function resolveRefreshInterval(dataset, search) {
+        var secs = DEFAULT_REFRESH_SECONDS;
+        if (dataset && dataset.catalogRefresh != null && dataset.catalogRefresh !== '') secs = Number(dataset.catalogRefresh);
+        var params = new URLSearchParams(search == null ? location.search : search);
+        if (params.has('refresh')) secs = Number(params.get('refresh'));
+        if (!Number.isFinite(secs) || secs <= 0) return 0;
+        // don't hammer NV Roads (or the proxy) more than every 15s
+        return Math.max(15, secs) * 1000;
+    }
+
+    window.CameraCatalog = {
+        DEFAULT_ENDPOINT: DEFAULT_ENDPOINT,
+        DEFAULT_QUERY: DEFAULT_QUERY,
+        orderedCameraIds: orderedCameraIds,
+        showToast: showToast,
+        ensureHls: ensureHls,
+        parseWktPoint: parseWktPoint,
+        extractItems: extractItems,
+        normalizeCamera: normalizeCamera,
+        normalizePayload: normalizePayload,
+        normalizeQuery: normalizeQuery,
+        buildNvQuery: buildNvQuery,
+        buildEndpoint: buildEndpoint,
+        resolveQuery: resolveQuery,
+        queryToSearch: queryToSearch,
+        endpointFor: endpointFor,
+        readQuery: readQuery,
+        withQuery: withQuery,
+        catalogFetch: catalogFetch,
+        load: load,
+        loadWithCache: loadWithCache,
+        saveCache: saveCache,
+        readCache: readCache,
+        formatSavedAt: formatSavedAt,
+        readEmbedded: readEmbedded,
+        indexById: indexById,
+        diff: diff,
+        diffIsEmpty: diffIsEmpty,
+        describeDiff: describeDiff,
+        resolveRefreshInterval: resolveRefreshInterval
+    };
+})();
@@ -0,0 +1,594 @@
+// camera-providers.js — registry of camera sources that feed the map and the All Cameras grid
+// A provider turns one source's payload into cameras in the shared model (see camera-catalog.js);
+// several sources can be loaded side by side and are merged into a single catalog.
+// Load after camera-catalog.js.
+//
+// Provider interface (CameraProviders.register(name, provider)):
+//   label   - human-readable name for status messages
+//   format  - 'json' or 'text': how a fetched body is read before parse()
+//   detect  - optional; (data) -> true when a payload looks like this provider's format
+//   parse   - (data) -> { cameras, recordsTotal?, recordsFiltered?, errors?, rows? } or null if
+//             unusable; errors are { row, message } and rows[i] is the row camera i came from
+//   load    - optional; (url) -> Promise of the same shape, for sources that need more than one
+//             request (NV Roads paginates). Without it the URL is fetched once and parsed.
+//   extensions, mime, serialize - optional; file import/export: the file extensions the format
+//             uses, its MIME type and (cameras) -> file text for exporting the shared model
+//
+// Built-in providers:
+//   nvroads - NV Roads DataTables JSON (WKT points); its URL defaults to the page's camera query
+//             (the recorded fixtures/cameras.json in fixture mode, see fixtures.js)
+//   geojson - FeatureCollection of Point features; properties.stream holds the HLS URL
+//   csv     - rows of id,name,lat,lng,url (a header row may name and reorder the columns)
+//   kml     - Placemarks with a Point; the stream URL is an ExtendedData field named "stream"
+//
+// Sources (page dataset, replaced by URL parameters):
+//   data-camera-sources   JSON array of { provider, url, id?, label?, prefix? } objects or
+//                         "provider:url" strings, e.g. ["nvroads", "geojson:/cams/monaco.geojson"]
+//   ?source=provider:url  repeatable; replaces the configured list (add source=nvroads to keep it)
+// Camera ids from sources other than NV Roads are prefixed with the source id ("monaco:12") so
+// two feeds can't collide; set prefix to override.
+(function () {
+    'use strict';
+
+    var providers = {};
+    var order = [];
+
+    function register(name, provider) {
+        if (!name || !provider || typeof provider.parse !== 'function') throw new Error('Camera provider needs a name and a parse() function');
+        if (!providers[name]) order.push(name);
+        providers[name] = Object.assign({ name: name, label: name, format: 'json' }, provider);
+        return providers[name];
+    }
+
+    function get(name) { return providers[name] || null; }
+
+    function names() { return order.slice(); }
+
+    // Find the provider whose detect() accepts a payload (registration order)
+    function detect(data) {
+        for (var i = 0; i < order.length; i++) {
+            var p = providers[order[i]];
+            try { if (p.detect && p.detect(data)) return p; } catch (e) {}
+        }
+        return null;
+    }
+
+    function toNumber(v) {
+        if (v == null || v === '') return NaN;
+        return typeof v === 'number' ? v : parseFloat(String(v).trim());
+    }
+
+    // Text formats carry every id as a string; keep numeric ids numeric so they match NV Roads ids
+    function normalizeId(id) {
+        return (typeof id === 'string' && /^\d+$/.test(id)) ? Number(id) : id;
+    }
+
+    // Id for a row that has none: namespaced so it can't collide with a real (numeric) camera id
+    function rowId(row) {
+        return 'row:' + row;
+    }
+
+    // [lat, lng] when both values are real coordinates, otherwise null
+    function toCoords(lat, lng) {
+        lat = toNumber(lat);
+        lng = toNumber(lng);
+        if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+        return [lat, lng];
+    }
+
+    // ---- GeoJSON ---------------------------------------------------------------------------
+
+    function parseGeoJson(data) {
+        if (typeof data === 'string') {
+            try { data = JSON.parse(data); } catch (e) { return null; }
+        }
+        if (!data || typeof data !== 'object') return null;
+        var features = data.type === 'FeatureCollection' ? data.features : (data.type === 'Feature' ? [data] : null);
+        if (!Array.isArray(features)) return null;
+        var cameras = [];
+        var rows = [];
+        var errors = [];
+        features.forEach(function (f, i) {
+            var row = i + 1;
+            if (!f || f.type !== 'Feature') { errors.push({ row: row, message: 'not a Feature' }); return; }
+            rows.push(row);
+            var props = f.properties || {};
+            var g = f.geometry;
+            var coords = null;
+            if (g && g.type === 'Point' && Array.isArray(g.coordinates)) coords = toCoords(g.coordinates[1], g.coordinates[0]);
+            if (!coords) errors.push({ row: row, message: 'no usable Point geometry' });
+            var id = props.id != null ? props.id : (f.id != null ? f.id : rowId(row));
+            cameras.push({
+                id: id,
+                title: props.name || props.title || props.location || ('Camera ' + id),
+                coords: coords,
+                videoUrl: props.stream || props.videoUrl || props.url || null,
+                raw: f
+            });
+        });
+        return { cameras: cameras, recordsTotal: null, recordsFiltered: null, errors: errors, rows: rows };
+    }
+
+    // ---- NV Roads --------------------------------------------------------------------------
+
+    // CameraCatalog.normalizePayload() with per-row errors, for imported files
+    function parseNvRoads(data) {
+        var items = CameraCatalog.extractItems(data);
+        if (!items) return null;
+        var cameras = [];
+        var rows = [];
+        var errors = [];
+        items.forEach(function (it, i) {
+            var row = i + 1;
+            var c = CameraCatalog.normalizeCamera(it);
+            if (!c) { errors.push({ row: row, message: 'not a camera object' }); return; }
+            rows.push(row);
+            var wkt = it.latLng && it.latLng.geography && it.latLng.geography.wellKnownText;
+            if (c.id == null) errors.push({ row: row, message: 'missing id' });
+            if (!c.coords) errors.push({ row: row, message: wkt ? 'invalid WKT point "' + wkt + '"' : 'missing WKT point' });
+            if (!c.videoUrl) errors.push({ row: row, message: 'missing stream URL' });
+            cameras.push(c);
+        });
+        var out = { cameras: cameras, recordsTotal: null, recordsFiltered: null, errors: errors, rows: rows };
+        if (!Array.isArray(data)) {
+            if (Number.isInteger(data.recordsTotal)) out.recordsTotal = data.recordsTotal;
+            if (Number.isInteger(data.recordsFiltered)) out.recordsFiltered = data.recordsFiltered;
+        }
+        return out;
+    }
+
+    // ---- CSV -------------------------------------------------------------------------------
+
+    // Split CSV text into rows of fields (quoted fields may contain commas, quotes and newlines)
+    function splitCsv(text) {
+        var rows = [];
+        var row = [];
+        var field = '';
+        var quoted = false;
+        text = String(text || '').replace(/^\uFEFF/, '');
+        for (var i = 0; i < text.length; i++) {
+            var ch = text.charAt(i);
+            if (quoted) {
+                if (ch === '"') {
+                    if (text.charAt(i + 1) === '"') { field += '"'; i++; } else quoted = false;
+                } else field += ch;
+            } else if (ch === '"') quoted = true;
+            else if (ch === ',') { row.push(field); field = ''; }
+            else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text.charAt(i + 1) === '\n') i++;
+                row.push(field); rows.push(row); row = []; field = '';
+            } else field += ch;
+        }
+        if (field !== '' || row.length) { row.push(field); rows.push(row); }
+        return rows;
+    }
+
+    // Header names accepted for each column
+    var CSV_COLUMNS = {
+        id: ['id', 'camera_id', 'cameraid'],
+        name: ['name', 'title', 'location'],
+        lat: ['lat', 'latitude'],
+        lng: ['lng', 'lon', 'long', 'longitude'],
+        url: ['url', 'stream', 'videourl', 'video_url', 'm3u8']
+    };
+    var CSV_DEFAULT_ORDER = { id: 0, name: 1, lat: 2, lng: 3, url: 4 };
+
+    // Column positions from a header row, or null when the row isn't a header
+    function csvHeader(cells) {
+        var names = cells.map(function (c) { return String(c).trim().toLowerCase(); });
+        var idx = {};
+        Object.keys(CSV_COLUMNS).forEach(function (key) {
+            for (var i = 0; i < names.length; i++) {
+                if (CSV_COLUMNS[key].indexOf(names[i]) !== -1) { idx[key] = i; break; }
+            }
+        });
+        return (idx.lat != null && idx.lng != null) ? idx : null;
+    }
+
+    function parseCsv(text) {
+        if (typeof text !== 'string') return null;
+        var rows = splitCsv(text).filter(function (r) { return r.some(function (c) { return String(c).trim() !== ''; }); });
+        if (!rows.length) return null;
+        // row numbers in errors match the file's line numbers (blank lines aside)
+        var cols = csvHeader(rows[0]);
+        var firstRow = 1;
+        if (cols) {
+            rows = rows.slice(1);
+            firstRow = 2;
+        } else cols = CSV_DEFAULT_ORDER;
+        var cameras = [];
+        var rowNumbers = [];
+        var errors = [];
+        rows.forEach(function (r, i) {
+            var row = i + firstRow;
+            rowNumbers.push(row);
+            function cell(key) { return cols[key] != null && r[cols[key]] != null ? String(r[cols[key]]).trim() : ''; }
+            var coords = toCoords(cell('lat'), cell('lng'));
+            if (!coords) errors.push({ row: row, message: 'invalid lat/lng "' + cell('lat') + ', ' + cell('lng') + '"' });
+            if (cols.id != null && cell('id') === '') errors.push({ row: row, message: 'missing id' });
+            var id = cell('id') !== '' ? normalizeId(cell('id')) : rowId(row);
+            cameras.push({
+                id: id,
+                title: cell('name') || ('Camera ' + id),
+                coords: coords,
+                videoUrl: cell('url') || null,
+                raw: r
+            });
+        });
+        return { cameras: cameras, recordsTotal: null, recordsFiltered: null, errors: errors, rows: rowNumbers };
+    }
+
+    // ---- KML -------------------------------------------------------------------------------
+
+    // Text of the first descendant element with this local name (KML may or may not be namespaced)
+    function kmlText(el, name) {
+        var found = el.getElementsByTagNameNS ? el.getElementsByTagNameNS('*', name) : el.getElementsByTagName(name);
+        return found && found.length ? String(found[0].textContent || '').trim() : '';
+    }
+
+    // ExtendedData fields of a Placemark: <Data name="..."><value> and <SimpleData name="...">
+    function kmlData(el) {
+        var out = {};
+        ['Data', 'SimpleData'].forEach(function (tag) {
+            var list = el.getElementsByTagNameNS ? el.getElementsByTagNameNS('*', tag) : el.getElementsByTagName(tag);
+            Array.prototype.forEach.call(list, function (d) {
+                var key = (d.getAttribute('name') || '').toLowerCase();
+                if (!key) return;
+                out[key] = tag === 'Data' ? kmlText(d, 'value') : String(d.textContent || '').trim();
+            });
+        });
+        return out;
+    }
+
+    function parseKml(text) {
+        if (typeof text !== 'string' || typeof DOMParser === 'undefined') return null;
+        var doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) return null;
+        var placemarks = doc.getElementsByTagNameNS ? doc.getElementsByTagNameNS('*', 'Placemark') : doc.getElementsByTagName('Placemark');
+        var cameras = [];
+        var errors = [];
+        Array.prototype.forEach.call(placemarks, function (pm, i) {
+            var row = i + 1;
+            var data = kmlData(pm);
+            var coords = null;
+            var point = pm.getElementsByTagNameNS ? pm.getElementsByTagNameNS('*', 'Point')[0] : pm.getElementsByTagName('Point')[0];
+            if (point) {
+                var parts = kmlText(point, 'coordinates').split(',');
+                coords = toCoords(parts[1], parts[0]);
+            }
+            if (!coords) errors.push({ row: row, message: 'no usable Point coordinates' });
+            var kmlId = data.id != null && data.id !== '' ? data.id : pm.getAttribute('id');
+            var id = kmlId != null && kmlId !== '' ? normalizeId(kmlId) : rowId(row);
+            cameras.push({
+                id: id,
+                title: kmlText(pm, 'name') || ('Camera ' + id),
+                coords: coords,
+                videoUrl: data.stream || data.url || data.videourl || null,
+                raw: { id: id, name: kmlText(pm, 'name'), data: data }
+            });
+        });
+        return { cameras: cameras, recordsTotal: null, recordsFiltered: null, errors: errors };
+    }
+
+    // ---- export ----------------------------------------------------------------------------
+
+    function toGeoJson(cameras) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            features: cameras.map(function (c) {
+                return {
+                    type: 'Feature',
+                    id: c.id,
+                    properties: { id: c.id, name: c.title || '', stream: c.videoUrl || null, source: c.source || null },
+                    geometry: c.coords ? { type: 'Point', coordinates: [c.coords[1], c.coords[0]] } : null
+                };
+            })
+        }, null, 2);
+    }
+
+    function csvField(v) {
+        v = v == null ? '' : String(v);
+        return /[",\r\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v;
+    }
+
+    function toCsv(cameras) {
+        var lines = ['id,name,lat,lng,url'];
+        cameras.forEach(function (c) {
+            lines.push([c.id, c.title, c.coords ? c.coords[0] : '', c.coords ? c.coords[1] : '', c.videoUrl].map(csvField).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    function xmlEscape(v) {
+        return String(v == null ? '' : v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    // Cameras without coordinates have no place in a KML file and are left out
+    function toKml(cameras) {
+        var out = ['<?xml version="1.0" encoding="UTF-8"?>', '<kml xmlns="http://www.opengis.net/kml/2.2">', '<Document>', '<name>Cameras</name>'];
+        cameras.forEach(function (c) {
+            if (!c.coords) return;
+            out.push('<Placemark>',
+                '<name>' + xmlEscape(c.title) + '</name>',
+                '<ExtendedData>',
+                '<Data name="id"><value>' + xmlEscape(c.id) + '</value></Data>',
+                c.videoUrl ? '<Data name="stream"><value>' + xmlEscape(c.videoUrl) + '</value></Data>' : '',
+                '</ExtendedData>',
+                '<Point><coordinates>' + c.coords[1] + ',' + c.coords[0] + '</coordinates></Point>',
+                '</Placemark>');
+        });
+        out.push('</Document>', '</kml>');
+        return out.filter(Boolean).join('\n') + '\n';
+    }
+
+    // NV Roads DataTables shape; cameras that came from NV Roads keep their other original fields
+    function toNvRoads(cameras) {
+        var data = cameras.map(function (c) {
+            var raw = (c.raw && (c.raw.latLng || c.raw.images)) ? c.raw : {};
+            var item = Object.assign({}, raw, { id: c.id, location: c.title || '' });
+            item.latLng = c.coords ? { geography: { wellKnownText: 'POINT (' + c.coords[1] + ' ' + c.coords[0] + ')' } } : null;
+            var image = Object.assign({}, (raw.images && raw.images[0]) || {}, { videoUrl: c.videoUrl || null });
+            item.images = [image].concat((raw.images || []).slice(1));
+            return item;
+        });
+        return JSON.stringify({ draw: 1, recordsTotal: data.length, recordsFiltered: data.length, data: data }, null, 2);
+    }
+
+    // ---- built-ins -------------------------------------------------------------------------
+
+    register('nvroads', {
+        label: 'NV Roads',
+        format: 'json',
+        detect: function (data) {
+            var items = CameraCatalog.extractItems(data);
+            return !!(items && items.length && items[0] && (items[0].latLng || items[0].images));
+        },
+        parse: parseNvRoads,
+        load: CameraCatalog.load,
+        extensions: ['.json'],
+        mime: 'application/json',
+        serialize: toNvRoads,
+        defaultUrl: function (dataset, search) {
+            if (window.Fixtures && Fixtures.enabled) return Fixtures.url('cameras.json');
+            return CameraCatalog.endpointFor(dataset, search);
+        }
+    });
+
+    register('geojson', {
+        label: 'GeoJSON',
+        format: 'json',
+        detect: function (data) { return !!data && typeof data === 'object' && (data.type === 'FeatureCollection' || data.type === 'Feature'); },
+        parse: parseGeoJson,
+        extensions: ['.geojson', '.json'],
+        mime: 'application/geo+json',
+        serialize: toGeoJson
+    });
+
+    register('csv', {
+        label: 'CSV',
+        format: 'text',
+        // plain text whose first line has at least one comma
+        detect: function (data) { return typeof data === 'string' && !/^\s*[{\[<]/.test(data) && /^[^\n]*,/.test(data); },
+        parse: parseCsv,
+        extensions: ['.csv', '.txt'],
+        mime: 'text/csv',
+        serialize: toCsv
+    });
+
+    register('kml', {
+        label: 'KML',
+        format: 'text',
+        detect: function (data) { return typeof data === 'string' && /<kml[\s>]/i.test(data); },
+        parse: parseKml,
+        extensions: ['.kml'],
+        mime: 'application/vnd.google-earth.kml+xml',
+        serialize: toKml
+    });
+
+    // ---- files -----------------------------------------------------------------------------
+
+    // Parse an imported file: the extension picks the provider when it's unambiguous, otherwise
+    // the content is sniffed. Returns { provider, result } with per-row errors in result.errors
+    // (duplicate ids within the file included), or throws when the format isn't recognised.
+    function parseFile(fileName, text) {
+        var ext = (/\.[^.]+$/.exec(String(fileName || '').toLowerCase()) || [''])[0];
+        var byExt = order.map(function (n) { return providers[n]; }).filter(function (p) { return p.extensions && p.extensions.indexOf(ext) !== -1; });
+        var json;
+        try { json = JSON.parse(text); } catch (e) { json = undefined; }
+        // JSON providers sniff the parsed value, text providers the raw text
+        var provider = byExt.length === 1 ? byExt[0] : detect(json !== undefined ? json : text);
+        if (!provider) throw new Error('Unrecognised camera file format');
+        var result = provider.parse(provider.format === 'json' ? (json !== undefined ? json : text) : text);
+        if (!result) throw new Error('Not a valid ' + provider.label + ' camera file');
+        var errors = (result.errors || []).slice();
+        var seen = {};
+        result.cameras.forEach(function (c, i) {
+            var row = (result.rows && result.rows[i]) || i + 1;
+            if (c.id == null) return;
+            if (seen[c.id]) errors.push({ row: row, message: 'duplicate id "' + c.id + '" (row ' + seen[c.id] + ' is used)' });
+            else seen[c.id] = row;
+        });
+        errors.sort(function (a, b) { return a.row - b.row; });
+        result.errors = errors;
+        return { provider: provider, result: result };
+    }
+
+    // Export cameras in a provider's format: { text, mime, extension }
+    function serialize(name, cameras) {
+        var p = providers[name];
+        if (!p || !p.serialize) throw new Error('No exporter for "' + name + '"');
+        return { text: p.serialize(cameras || []), mime: p.mime || 'text/plain', extension: (p.extensions && p.extensions[0]) || '.txt' };
+    }
+
+    // ---- sources ---------------------------------------------------------------------------
+
+    // "geojson:/cams/monaco.geojson" -> { provider, url }; a bare provider name has no url
+    function parseSourceSpec(spec) {
+        if (spec && typeof spec === 'object') return Object.assign({}, spec);
+        spec = String(spec || '').trim();
+        if (!spec) return null;
+        var i = spec.indexOf(':');
+        var name = i === -1 ? spec : spec.slice(0, i);
+        if (!providers[name]) return { provider: spec.replace(/:.*$/, ''), url: null };
+        return { provider: name, url: i === -1 ? null : spec.slice(i + 1).trim() || null };
+    }
+
+    // Resolve the sources for a page: default NV Roads < data-camera-sources < ?source= parameters.
+    // Each source comes back with a unique id and a concrete url.
+    function resolveSources(dataset, search) {
+        var ds = dataset || {};
+        var specs = ['nvroads'];
+        if (ds.cameraSources) {
+            try {
+                var list = JSON.parse(ds.cameraSources);
+                specs = Array.isArray(list) ? list : [list];
+            } catch (e) { console.warn('data-camera-sources is not valid JSON; using NV Roads only', e); }
+        }
+        var params = new URLSearchParams(search == null ? location.search : search);
+        if (params.getAll('source').length) specs = params.getAll('source');
+
+        var used = {};
+        var out = [];
+        specs.forEach(function (spec) {
+            var s = parseSourceSpec(spec);
+            if (!s) return;
+            var p = providers[s.provider];
+            if (!p) { console.warn('Unknown camera provider "' + s.provider + '"; skipping source', spec); return; }
+            if (!s.url && p.defaultUrl) s.url = p.defaultUrl(dataset, search);
+            if (!s.url) { console.warn('Camera source "' + s.provider + '" has no url; skipping'); return; }
+            var id = s.id || s.provider;
+            var n = 2;
+            while (used[id]) id = (s.id || s.provider) + '-' + (n++);
+            used[id] = true;
+            s.id = id;
+            s.label = s.label || p.label;
+            if (s.prefix == null) s.prefix = s.provider === 'nvroads' ? '' : id + ':';
+            out.push(s);
+        });
+        return out;
+    }
+
+    // Fetch a source's URL once and parse it with its provider
+    async function fetchAndParse(provider, url) {
+        var r = await CameraCatalog.catalogFetch(url);
+        if (!r.ok) throw new Error(provider.label + ' source responded ' + r.status);
+        var data = provider.format === 'text' ? await r.text() : await r.json();
+        var result = provider.parse(data);
+        if (!result) throw new Error(provider.label + ' source returned nothing usable');
+        if (result.errors && result.errors.length) console.warn(provider.label + ' source ' + url + ': ' + result.errors.length + ' row(s) with problems', result.errors.slice(0, 20));
+        result.complete = true;
+        if (result.cameras.length) CameraCatalog.saveCache(url, result);
+        return result;
+    }
+
+    function loadSource(source, opts) {
+        var p = providers[source.provider];
+        var loader = p.load ? p.load : function (url) { return fetchAndParse(p, url); };
+        var useCache = !opts || opts.cache !== false;
+        return useCache ? CameraCatalog.loadWithCache(source.url, loader) : loader(source.url);
+    }
+
+    // Tag cameras with their source and apply the source's id prefix
+    function adoptCameras(source, cameras) {
+        return cameras.map(function (c) {
+            var out = Object.assign({}, c, { source: source.id });
+            if (source.prefix && c.id != null) out.id = source.prefix + c.id;
+            return out;
+        });
+    }
+
+    // Load every source and merge them into one catalog, shaped like CameraCatalog.loadWithCache()'s
+    // result plus a per-source report. Rejects only when every source failed. Options:
+    //   cache - fall back to each source's cached copy on failure (default true)
+    async function loadAll(sources, opts) {
+        sources = sources || resolveSources(null);
+        var settled = await Promise.all(sources.map(function (s) {
+            return loadSource(s, opts).then(function (r) { return { source: s, result: r }; }, function (e) { return { source: s, error: e }; });
+        }));
+
+        var cameras = [];
+        var seen = {};
+        var out = { cameras: cameras, recordsTotal: 0, recordsFiltered: 0, complete: true, fromCache: false, savedAt: null, sources: [] };
+        var firstError = null;
+        settled.forEach(function (s) {
+            var report = { id: s.source.id, provider: s.source.provider, label: s.source.label, url: s.source.url, count: 0, error: null, fromCache: false };
+            out.sources.push(report);
+            if (s.error) {
+                console.warn('Camera source "' + s.source.id + '" failed', s.error);
+                report.error = String(s.error.message || s.error);
+                firstError = firstError || s.error;
+                out.complete = false;
+                return;
+            }
+            var r = s.result;
+            adoptCameras(s.source, r.cameras).forEach(function (c) {
+                if (c.id != null && seen[c.id]) { console.warn('Duplicate camera id ' + c.id + ' from source "' + s.source.id + '"; keeping the first'); return; }
+                if (c.id != null) seen[c.id] = true;
+                cameras.push(c);
+                report.count++;
+            });
+            out.recordsTotal += r.recordsTotal != null ? r.recordsTotal : r.cameras.length;
+            out.recordsFiltered += r.recordsFiltered != null ? r.recordsFiltered : (r.recordsTotal != null ? r.recordsTotal : r.cameras.length);
+            if (r.complete === false) out.complete = false;
+            if (r.fromCache) {
+                report.fromCache = true;
+                report.savedAt = r.savedAt;
+                out.fromCache = true;
+                // the oldest copy in use is what the staleness note should report
+                if (out.savedAt == null || r.savedAt < out.savedAt) out.savedAt = r.savedAt;
+            }
+        });
+        if (!out.sources.some(function (r) { return !r.error; })) throw firstError || new Error('No camera sources configured');
+        return out;
+    }
+
+    // Fresh loads of a source are shared this long, so a token rotation that breaks every camera at
+    // once costs one catalog request
+    var FRESH_TTL = 15000;
+    var freshLoads = {};
+
+    // Current entry of one camera ({ id, source }), fetched from its source rather than the cache.
+    // Resolves with the camera in the shared model, or null when the source no longer lists it.
+    function freshCamera(sources, cam) {
+        sources = sources || resolveSources(null);
+        var source = sources.filter(function (s) { return s.id === cam.source; })[0] ||
+            sources.filter(function (s) { return s.prefix && String(cam.id).indexOf(s.prefix) === 0; })[0] ||
+            sources.filter(function (s) { return !s.prefix; })[0];
+        if (!source) return Promise.resolve(null);
+        var f = freshLoads[source.id];
+        if (!f || Date.now() - f.at > FRESH_TTL) {
+            f = freshLoads[source.id] = { at: Date.now(), promise: null };
+            f.promise = loadSource(source, { cache: false }).then(function (r) { return adoptCameras(source, r.cameras); });
+            f.promise.catch(function () { if (freshLoads[source.id] === f) delete freshLoads[source.id]; });
+        }
+        return f.promise.then(function (cameras) {
+            return cameras.filter(function (c) { return String(c.id) === String(cam.id); })[0] || null;
+        });
+    }
+
+    // "GeoJSON (monaco) failed" style summary of failed sources, or '' when all loaded
+    function describeFailures(result) {
+        return (result && result.sources || []).filter(function (r) { return r.error; }).map(function (r) {
+            return r.label + (r.id !== r.provider ? ' (' + r.id + ')' : '');
+        }).join(', ');
+    }
+
+    window.CameraProviders = {
+        register: register,
+        get: get,
+        names: names,
+        detect: detect,
+        splitCsv: splitCsv,
+        parseNvRoads: parseNvRoads,
+        parseGeoJson: parseGeoJson,
+        parseCsv: parseCsv,
+        parseKml: parseKml,
+        parseFile: parseFile,
+        serialize: serialize,
+        resolveSources: resolveSources,
+        loadSource: loadSource,
+        loadAll: loadAll,
+        freshCamera: freshCamera,
+        describeFailures: describeFailures
+    };
+})();
@@ -0,0 +1,300 @@
+// clip-recorder.js — rolling local recording of a player's <video> and clip export
+// A recorder (create()) records the picture with MediaRecorder on video.captureStream() while it's
+// switched on, so "Save clip" can turn the last few seconds into a WebM download afterwards.
+//
+// WebM from MediaRecorder can only be cut where a recording started, so a few recordings run staggered:
+// a new one starts every quarter of clipSeconds, and one is dropped once a newer one reaches back
+// clipSeconds too. A saved clip is the newest recording reaching back clipSeconds, so it's at most a
+// quarter longer than asked (shorter only while recording hasn't been on that long).
+// Saved clips stay in memory for the session and are listed in a small panel for re-download.
+//
+// Configuration (page dataset, overridden by URL parameters):
+//   data-clip-seconds / ?clipSeconds=   length of the rolling buffer and of saved clips (default 20)
+(function () {
+    'use strict';
+
+    var DEFAULT_CLIP_SECONDS = 20;
+    var MIN_CLIP_SECONDS = 5;
+    var MAX_CLIP_SECONDS = 300;
+    var MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+    // MediaRecorder hands over data this often, so a save never waits for much more than this
+    var TIMESLICE = 1000;
+    // recordings started per clipSeconds: more cut a saved clip closer to clipSeconds, but each one is
+    // another encoder running on the same video
+    var STAGGER = 4;
+
+    var config = { clipSeconds: DEFAULT_CLIP_SECONDS };
+    // saved clips, newest first: { id, title, name, url, size, seconds, savedAt }
+    var clips = [];
+    var nextClipId = 1;
+    var listeners = [];
+    var panel = null;
+
+    function toSeconds(v) {
+        var n = parseFloat(v);
+        return isFinite(n) && n > 0 ? Math.max(MIN_CLIP_SECONDS, Math.min(MAX_CLIP_SECONDS, n)) : null;
+    }
+
+    // Build the config for a page: defaults < dataset attributes < URL parameters
+    function resolveConfig(dataset, search) {
+        var ds = dataset || {};
+        var out = { clipSeconds: DEFAULT_CLIP_SECONDS };
+        if (toSeconds(ds.clipSeconds)) out.clipSeconds = toSeconds(ds.clipSeconds);
+        var params = new URLSearchParams(search == null ? location.search : search);
+        if (toSeconds(params.get('clipSeconds'))) out.clipSeconds = toSeconds(params.get('clipSeconds'));
+        return out;
+    }
+
+    function configure(cfg) {
+        config = Object.assign({}, config, cfg || {});
+        return config;
+    }
+
+    // WebM type this browser's MediaRecorder can write, or null
+    function mimeType() {
+        if (!window.MediaRecorder) return null;
+        for (var i = 0; i < MIME_TYPES.length; i++) {
+            try { if (MediaRecorder.isTypeSupported(MIME_TYPES[i])) return MIME_TYPES[i]; } catch (e) {}
+        }
+        return null;
+    }
+
+    function supported() {
+        var v = document.createElement('video');
+        return !!(mimeType() && (v.captureStream || v.mozCaptureStream));
+    }
+
+    function pad(n) { return (n < 10 ? '0' : '') + n; }
+
+    // "Las Vegas Blvd at Harmon Ave" + date -> "las-vegas-blvd-at-harmon-ave-20231118-221503.webm"
+    function fileName(title, date) {
+        var slug = String(title || 'camera').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'camera';
+        var stamp = date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate()) + '-' +
+            pad(date.getHours()) + pad(date.getMinutes()) + pad(date.getSeconds());
+        return slug + '-' + stamp + '.webm';
+    }
+
+    // opts: { video: fn returning the <video> to record, title: fn or string naming the camera }
+    // Returns { start(), stop(), recording(), save() -> Promise<clip>, destroy() }
+    function create(opts) {
+        opts = opts || {};
+        var getVideo = typeof opts.video === 'function' ? opts.video : function () { return opts.video || null; };
+        var getTitle = typeof opts.title === 'function' ? opts.title : function () { return opts.title || ''; };
+        // running recordings, oldest first: { recorder, chunks, startedAt }
+        var runs = [];
+        var stream = null, timer = null, mime = null;
+
+        // The captured tracks end when the player reloads its stream; capture again if so
+        function capture() {
+            var live = false;
+            try { live = !!stream && stream.getVideoTracks().some(function (t) { return t.readyState === 'live'; }); } catch (e) {}
+            if (live) return true;
+            var v = getVideo();
+            if (!v) return false;
+            try { stream = v.captureStream ? v.captureStream() : v.mozCaptureStream(); } catch (e) {
+                console.warn('This video can\'t be recorded', e);
+                return false;
+            }
+            return true;
+        }
+
+        function begin() {
+            var run = { recorder: null, chunks: [], startedAt: Date.now() };
+            if (!capture()) return;
+            try {
+                run.recorder = new MediaRecorder(stream, { mimeType: mime });
+                run.recorder.ondataavailable = function (e) { if (e.data && e.data.size) run.chunks.push(e.data); };
+                run.recorder.onerror = function (e) { console.warn('Clip recording failed', e); };
+                run.recorder.start(TIMESLICE);
+            } catch (e) {
+                console.warn('Could not start clip recording', e);
+                return;
+            }
+            runs.push(run);
+            // the oldest isn't needed once the next one reaches back far enough on its own
+            while (runs.length > 1 && runs[1].startedAt <= Date.now() - config.clipSeconds * 1000) {
+                var old = runs.shift();
+                try { old.recorder.stop(); } catch (e) {}
+            }
+        }
+
+        function start() {
+            if (timer) return true;
+            mime = mimeType();
+            if (!mime) return false;
+            begin();
+            if (!runs.length) return false;
+            timer = setInterval(begin, config.clipSeconds * 1000 / STAGGER);
+            return true;
+        }
+
+        function stop() {
+            clearInterval(timer);
+            timer = null;
+            runs.forEach(function (r) { try { r.recorder.stop(); } catch (e) {} });
+            runs = [];
+            stream = null;
+        }
+
+        // The newest recording reaching back at least clipSeconds (or the oldest, if none does yet)
+        function pick() {
+            var since = Date.now() - config.clipSeconds * 1000;
+            for (var i = runs.length - 1; i > 0; i--) if (runs[i].startedAt <= since) return runs[i];
+            return runs[0];
+        }
+
+        function save() {
+            var run = pick();
+            if (!run) return Promise.reject(new Error('Not recording'));
+            return new Promise(function (resolve) {
+                var done = false;
+                function finish() {
+                    if (done) return;
+                    done = true;
+                    run.recorder.removeEventListener('dataavailable', finish);
+                    resolve(addClip(run.chunks.slice(), getTitle(), Date.now() - run.startedAt));
+                }
+                run.recorder.addEventListener('dataavailable', finish);
+                // collect what's been recorded since the last timeslice
+                try { run.recorder.requestData(); } catch (e) { finish(); }
+                setTimeout(finish, TIMESLICE + 500);
+            });
+        }
+
+        return {
+            start: start,
+            stop: stop,
+            recording: function () { return !!timer; },
+            save: save,
+            destroy: stop
+        };
+    }
+
+    function addClip(chunks, title, ms) {
+        var blob = new Blob(chunks, { type: 'video/webm' });
+        var now = new Date();
+        var clip = {
+            id: nextClipId++,
+            title: title || 'Camera',
+            name: fileName(title, now),
+            url: URL.createObjectURL(blob),
+            size: blob.size,
+            seconds: Math.round(ms / 1000),
+            savedAt: now.getTime()
+        };
+        clips.unshift(clip);
+        download(clip);
+        notify();
+        return clip;
+    }
+
+    function download(clip) {
+        var a = document.createElement('a');
+        a.href = clip.url;
+        a.download = clip.name;
+        document.body.appendChild(a);
+        a.click();
+        a.parentNode.removeChild(a);
+    }
+
+    function removeClip(id) {
+        clips = clips.filter(function (c) {
+            if (c.id !== id) return true;
+            try { URL.revokeObjectURL(c.url); } catch (e) {}
+            return false;
+        });
+        notify();
+    }
+
+    function list() { return clips.slice(); }
+
+    // Call fn() whenever a clip is saved or removed
+    function onChange(fn) { if (typeof fn === 'function') listeners.push(fn); }
+
+    function notify() {
+        renderPanel();
+        listeners.forEach(function (fn) { try { fn(); } catch (e) { console.warn('Clip listener failed', e); } });
+    }
+
+    function formatSize(bytes) {
+        return bytes >= 1048576 ? (bytes / 1048576).toFixed(1) + ' MB' : Math.max(1, Math.round(bytes / 1024)) + ' KB';
+    }
+
+    // Session panel (bottom-left, above the fullscreen overlay); only there once a clip exists
+    function renderPanel() {
+        if (!clips.length) {
+            if (panel && panel.parentNode) panel.parentNode.removeChild(panel);
+            panel = null;
+            return;
+        }
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.className = 'clip-panel';
+            panel.style.position = 'fixed';
+            panel.style.left = '12px'; panel.style.bottom = '12px';
+            panel.style.zIndex = 100004;
+            panel.style.background = '#fff'; panel.style.color = '#222';
+            panel.style.borderRadius = '8px';
+            panel.style.boxShadow = '0 6px 18px rgba(0,0,0,0.25)';
+            panel.style.padding = '6px 8px';
+            panel.style.fontSize = '12px';
+            panel.style.maxWidth = '320px';
+            document.body.appendChild(panel);
+        }
+        var collapsed = panel.dataset.collapsed === '1';
+        panel.innerHTML = '';
+
+        var head = document.createElement('div');
+        head.style.display = 'flex'; head.style.justifyContent = 'space-between'; head.style.alignItems = 'center'; head.style.gap = '8px';
+        var h = document.createElement('strong');
+        h.textContent = 'Saved clips (' + clips.length + ')';
+        var fold = document.createElement('button');
+        fold.type = 'button';
+        fold.textContent = collapsed ? '▴' : '▾';
+        fold.title = collapsed ? 'Show clips' : 'Hide clips';
+        fold.style.border = 'none'; fold.style.background = 'transparent'; fold.style.cursor = 'pointer';
+        fold.addEventListener('click', function () { panel.dataset.collapsed = collapsed ? '0' : '1'; renderPanel(); });
+        head.appendChild(h);
+        head.appendChild(fold);
+        panel.appendChild(head);
+        if (collapsed) return;
+
+        var ul = document.createElement('ul');
+        ul.style.listStyle = 'none'; ul.style.margin = '6px 0 0'; ul.style.padding = '0';
+        ul.style.maxHeight = '180px'; ul.style.overflow = 'auto';
+        clips.forEach(function (c) {
+            var li = document.createElement('li');
+            li.style.display = 'flex'; li.style.alignItems = 'center'; li.style.gap = '6px'; li.style.padding = '2px 0';
+            var a = document.createElement('a');
+            a.href = c.url;
+            a.download = c.name;
+            a.title = 'Download ' + c.name + ' again';
+            a.textContent = c.title + ' · ' + new Date(c.savedAt).toLocaleTimeString() + ' · ' + c.seconds + ' s · ' + formatSize(c.size);
+            a.style.flex = '1 1 auto'; a.style.overflow = 'hidden'; a.style.textOverflow = 'ellipsis'; a.style.whiteSpace = 'nowrap';
+            var x = document.createElement('button');
+            x.type = 'button';
+            x.textContent = '✕';
+            x.title = 'Remove from this list';
+            x.style.border = 'none'; x.style.background = 'transparent'; x.style.cursor = 'pointer';
+            x.addEventListener('click', function () { removeClip(c.id); });
+            li.appendChild(a);
+            li.appendChild(x);
+            ul.appendChild(li);
+        });
+        panel.appendChild(ul);
+    }
+
+    // start from the URL parameters alone; pages call configure(resolveConfig(dataset)) to add theirs
+    try { config = resolveConfig(null); } catch (e) {}
+
+    window.ClipRecorder = {
+        resolveConfig: resolveConfig,
+        configure: configure,
+        supported: supported,
+        mimeType: mimeType,
+        create: create,
+        list: list,
+        remove: removeClip,
+        onChange: onChange
+    };
+})();
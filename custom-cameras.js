@@ -0,0 +1,132 @@
+// custom-cameras.js — cameras added by hand for our own HLS feeds (grandstand rigs, partner feeds)
+// Kept in localStorage so they survive reloads and show on both the map and the All Cameras grid.
+// list() returns them in the shared camera model (see camera-catalog.js) with source 'custom';
+// ids carry a "custom:" prefix so they can never collide with catalog ids.
+(function () {
+    'use strict';
+
+    var STORAGE_KEY = 'f1lv-custom-cameras';
+    var ID_PREFIX = 'custom:';
+    var listeners = [];
+
+    // Stored records: { id, title, lat, lng, videoUrl, createdAt, updatedAt }
+    function read() {
+        try {
+            var list = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(list) ? list.filter(function (r) { return r && r.id; }) : [];
+        } catch (e) {
+            console.warn('Could not read custom cameras', e);
+            return [];
+        }
+    }
+
+    function write(records) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+        } catch (e) {
+            console.warn('Could not save custom cameras', e);
+            throw new Error('Custom cameras could not be saved (storage full or disabled)');
+        }
+        notify();
+    }
+
+    function toCamera(r) {
+        var lat = Number(r.lat), lng = Number(r.lng);
+        return {
+            id: r.id,
+            title: r.title || 'Custom camera',
+            coords: (isFinite(lat) && isFinite(lng)) ? [lat, lng] : null,
+            videoUrl: r.videoUrl || null,
+            source: 'custom',
+            raw: r
+        };
+    }
+
+    function list() { return read().map(toCamera); }
+
+    function get(id) {
+        var r = read().filter(function (x) { return x.id === id; })[0];
+        return r ? toCamera(r) : null;
+    }
+
+    function isCustom(id) { return String(id).indexOf(ID_PREFIX) === 0; }
+
+    // Check user input before saving; returns an error message or null
+    function validate(fields) {
+        if (!fields || !String(fields.title || '').trim()) return 'Enter a name for the camera.';
+        var url = String(fields.videoUrl || '').trim();
+        if (!url) return 'Enter the stream URL (an .m3u8 playlist).';
+        if (!/^(https?:)?\/\//i.test(url) && url.charAt(0) !== '/') return 'The stream URL must start with http:// or https://.';
+        var c = fields.coords;
+        if (!c || !isFinite(c[0]) || !isFinite(c[1]) || Math.abs(c[0]) > 90 || Math.abs(c[1]) > 180) return 'The camera needs a position on the map.';
+        return null;
+    }
+
+    function add(fields) {
+        var err = validate(fields);
+        if (err) throw new Error(err);
+        var now = Date.now();
+        var rec = {
+            id: ID_PREFIX + now.toString(36) + Math.random().toString(36).slice(2, 6),
+            title: String(fields.title).trim(),
+            lat: fields.coords[0],
+            lng: fields.coords[1],
+            videoUrl: String(fields.videoUrl).trim(),
+            createdAt: now,
+            updatedAt: now
+        };
+        var records = read();
+        records.push(rec);
+        write(records);
+        return toCamera(rec);
+    }
+
+    // Update title, videoUrl and/or coords of an existing camera; returns the camera or null
+    function update(id, fields) {
+        var records = read();
+        var rec = records.filter(function (x) { return x.id === id; })[0];
+        if (!rec) return null;
+        var merged = {
+            title: fields.title != null ? fields.title : rec.title,
+            videoUrl: fields.videoUrl != null ? fields.videoUrl : rec.videoUrl,
+            coords: fields.coords || [rec.lat, rec.lng]
+        };
+        var err = validate(merged);
+        if (err) throw new Error(err);
+        rec.title = String(merged.title).trim();
+        rec.videoUrl = String(merged.videoUrl).trim();
+        rec.lat = merged.coords[0];
+        rec.lng = merged.coords[1];
+        rec.updatedAt = Date.now();
+        write(records);
+        return toCamera(rec);
+    }
+
+    function remove(id) {
+        var records = read();
+        var next = records.filter(function (x) { return x.id !== id; });
+        if (next.length === records.length) return false;
+        write(next);
+        return true;
+    }
+
+    // Call fn() whenever the custom cameras change, in this page or in another tab
+    function onChange(fn) { if (typeof fn === 'function') listeners.push(fn); }
+
+    function notify() {
+        listeners.forEach(function (fn) { try { fn(); } catch (e) { console.warn('Custom camera listener failed', e); } });
+    }
+
+    window.addEventListener('storage', function (e) { if (e.key === STORAGE_KEY || e.key === null) notify(); });
+
+    window.CustomCameras = {
+        list: list,
+        get: get,
+        isCustom: isCustom,
+        validate: validate,
+        add: add,
+        update: update,
+        remove: remove,
+        onChange: onChange
+    };
+})();
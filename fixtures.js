@@ -0,0 +1,64 @@
+// fixtures.js — offline fixture mode for working on the site without network access
+// Switched on by ?fixtures=1 in the page URL or a data-fixtures attribute on <html>, <body> or
+// #map (?fixtures=0 turns it off again). While it's on, everything comes from this origin:
+//   fixtures/cameras.json      recorded NV Roads catalog; its videoUrls point into fixtures/hls/
+//   fixtures/track.geojson     circuit outline (the page's inline #track-geojson is the fallback)
+//   fixtures/standings.json    OpenF1-style position rows for the standings panel
+//   fixtures/hls/<id>/         HLS playlists and segments, generated by tools/make-fixture-streams.js
+//   fixtures/tiles/{z}/{y}/{x}.jpg   optional imagery tiles; missing tiles show the placeholder
+//   vendor/leaflet/, vendor/hls.js/  local Leaflet and hls.js, fetched once by tools/fetch-vendor.js
+// The CORS proxy chain is bypassed (every request is same-origin).
+//
+// Serve the repository root with any static server and open the map with the flag, e.g.
+//   python3 -m http.server 8000   then   http://localhost:8000/?fixtures=1
+// data-fixtures-base moves the fixtures directory (default /fixtures/).
+// Load before the other shared modules.
+(function () {
+    'use strict';
+
+    var DEFAULT_BASE = '/fixtures/';
+    var VENDOR_BASE = '/vendor/';
+
+    function attr(name) {
+        var els = [document.documentElement, document.body, document.getElementById('map')];
+        for (var i = 0; i < els.length; i++) {
+            if (els[i] && els[i].hasAttribute && els[i].hasAttribute(name)) return els[i].getAttribute(name);
+        }
+        return null;
+    }
+
+    function isOn(v) { return v != null && !/^(0|false|no|off)$/i.test(String(v)); }
+
+    var params = new URLSearchParams(location.search);
+    var enabled = params.has('fixtures') ? isOn(params.get('fixtures')) : isOn(attr('data-fixtures'));
+    var base = attr('data-fixtures-base') || DEFAULT_BASE;
+    if (base.charAt(base.length - 1) !== '/') base += '/';
+
+    function url(path) { return base + String(path || '').replace(/^\//, ''); }
+
+    function vendor(path) { return VENDOR_BASE + String(path || '').replace(/^\//, ''); }
+
+    // Small corner badge so a fixture session is never mistaken for live data
+    function showBadge() {
+        try {
+            if (document.getElementById('fixture-badge')) return;
+            var b = document.createElement('div');
+            b.id = 'fixture-badge';
+            b.textContent = 'Fixture mode — offline data';
+            b.style.cssText = 'position:fixed;left:10px;bottom:10px;z-index:100000;background:#ffd66b;color:#000;font:600 12px system-ui,sans-serif;padding:4px 8px;border-radius:6px;pointer-events:none;opacity:0.9';
+            document.body.appendChild(b);
+        } catch (e) {}
+    }
+
+    if (enabled) {
+        if (document.body) showBadge(); else document.addEventListener('DOMContentLoaded', showBadge);
+        console.info('Fixture mode: loading catalog, streams, standings and libraries from ' + base + ' and ' + VENDOR_BASE);
+    }
+
+    window.Fixtures = {
+        enabled: enabled,
+        base: base,
+        url: url,
+        vendor: vendor
+    };
+})();
@@ -0,0 +1,112 @@
+// frame-snapshot.js — grab the current frame of a <video> as a watermarked PNG
+// The frame is drawn to a canvas at the video's own resolution and stamped with the camera title,
+// id and capture time (the picture's own time when the stream dates its segments, see
+// PlayerManager.latency), then downloaded or copied to the clipboard.
+// A cross-origin stream played natively taints the canvas; those frames can't be captured.
+(function () {
+    'use strict';
+
+    function pad(n) { return (n < 10 ? '0' : '') + n; }
+
+    function dateStamp(d) {
+        return d.getFullYear() + '-' + pad(d.getMonth() + 1) + '-' + pad(d.getDate()) + ' ' +
+            pad(d.getHours()) + ':' + pad(d.getMinutes()) + ':' + pad(d.getSeconds());
+    }
+
+    // "Las Vegas Blvd at Harmon Ave" + date -> "las-vegas-blvd-at-harmon-ave-20231118-221503.png"
+    function fileName(title, d) {
+        var slug = String(title || 'camera').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'camera';
+        return slug + '-' + dateStamp(d).replace(/[-: ]/g, '').replace(/^(\d{8})/, '$1-') + '.png';
+    }
+
+    // Capture time of the picture on screen: from the player when it knows, otherwise now
+    function pictureTime(player) {
+        var l = null;
+        try { if (player && window.PlayerManager) l = PlayerManager.latency(player); } catch (e) {}
+        return new Date(l ? l.pictureTime : Date.now());
+    }
+
+    // meta: { title, id, player } -> Promise<{ blob, name }>
+    function capture(video, meta) {
+        meta = meta || {};
+        return new Promise(function (resolve, reject) {
+            if (!video || video.readyState < 2 || !video.videoWidth) return reject(new Error('No picture to capture yet'));
+            var when = pictureTime(meta.player);
+            var w = video.videoWidth, h = video.videoHeight;
+            var canvas = document.createElement('canvas');
+            canvas.width = w;
+            canvas.height = h;
+            var ctx = canvas.getContext('2d');
+            ctx.drawImage(video, 0, 0, w, h);
+
+            // watermark: a dark band along the bottom, sized to the frame
+            var size = Math.max(12, Math.round(h / 36));
+            var text = (meta.title || 'Camera') + (meta.id != null ? ' · #' + meta.id : '') + ' · ' + dateStamp(when);
+            ctx.font = '600 ' + size + 'px system-ui, -apple-system, "Segoe UI", Roboto, Arial, sans-serif';
+            var margin = Math.round(size * 0.5);
+            var band = Math.min(w, ctx.measureText(text).width + margin * 2);
+            ctx.fillStyle = 'rgba(0,0,0,0.6)';
+            ctx.fillRect(0, h - size - margin * 2, band, size + margin * 2);
+            ctx.fillStyle = '#fff';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(text, margin, h - margin - size / 2, w - margin * 2);
+
+            try {
+                canvas.toBlob(function (blob) {
+                    if (blob) resolve({ blob: blob, name: fileName(meta.title, when) });
+                    else reject(new Error('Could not encode the snapshot'));
+                }, 'image/png');
+            } catch (e) {
+                // SecurityError: the canvas is tainted by a cross-origin picture
+                reject(new Error('This camera\'s picture can\'t be captured'));
+            }
+        });
+    }
+
+    function save(video, meta) {
+        return capture(video, meta).then(function (shot) {
+            var url = URL.createObjectURL(shot.blob);
+            var a = document.createElement('a');
+            a.href = url;
+            a.download = shot.name;
+            document.body.appendChild(a);
+            a.click();
+            a.parentNode.removeChild(a);
+            setTimeout(function () { URL.revokeObjectURL(url); }, 10000);
+            return shot;
+        });
+    }
+
+    function canCopy() {
+        return !!(navigator.clipboard && navigator.clipboard.write && window.ClipboardItem);
+    }
+
+    function copy(video, meta) {
+        if (!canCopy()) return Promise.reject(new Error('This browser can\'t copy images to the clipboard'));
+        // hand the clipboard a promise: Safari only allows the write within the click itself
+        var shot = capture(video, meta);
+        var item = new ClipboardItem({ 'image/png': shot.then(function (s) { return s.blob; }) });
+        return navigator.clipboard.write([item]).then(function () { return shot; });
+    }
+
+    // For buttons and shortcuts: saves a PNG, or copies it when Shift is held; reports the outcome
+    // through toast(msg, ms). video and meta may be functions, read at the time of the event.
+    function fromEvent(e, video, meta, toast) {
+        var copying = !!(e && e.shiftKey);
+        var v = typeof video === 'function' ? video() : video;
+        var m = typeof meta === 'function' ? meta() : meta;
+        (copying ? copy(v, m) : save(v, m)).then(function (shot) {
+            if (toast) toast(copying ? 'Snapshot copied to the clipboard' : 'Snapshot saved as ' + shot.name, 3000);
+        }).catch(function (err) {
+            if (toast) toast('Snapshot failed: ' + (err.message || err), 4000);
+        });
+    }
+
+    window.FrameSnapshot = {
+        capture: capture,
+        save: save,
+        copy: copy,
+        canCopy: canCopy,
+        fromEvent: fromEvent
+    };
+})();
@@ -0,0 +1,67 @@
+// idb-store.js — tiny promise wrapper around a single IndexedDB object store
+// Used for the last-known-good camera catalog cache; values are stored with structured clone,
+// so plain objects, arrays and Blobs all work. Every method rejects when IndexedDB is
+// unavailable (private browsing, old browsers) so callers can treat the cache as optional.
+(function () {
+    'use strict';
+
+    function IdbStore(dbName, storeName) {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this._db = null;
+    }
+
+    IdbStore.prototype._open = function () {
+        var self = this;
+        if (self._db) return self._db;
+        self._db = new Promise(function (resolve, reject) {
+            if (!window.indexedDB) return reject(new Error('IndexedDB not available'));
+            var req = indexedDB.open(self.dbName, 1);
+            req.onupgradeneeded = function () {
+                var db = req.result;
+                if (!db.objectStoreNames.contains(self.storeName)) db.createObjectStore(self.storeName);
+            };
+            req.onsuccess = function () { resolve(req.result); };
+            req.onerror = function () { reject(req.error); };
+        });
+        // allow a later retry if opening failed
+        self._db.catch(function () { self._db = null; });
+        return self._db;
+    };
+
+    // Run one request against the store and resolve with its result
+    IdbStore.prototype._request = function (mode, fn) {
+        var self = this;
+        return self._open().then(function (db) {
+            return new Promise(function (resolve, reject) {
+                var tx = db.transaction(self.storeName, mode);
+                var req = fn(tx.objectStore(self.storeName));
+                tx.oncomplete = function () { resolve(req.result); };
+                tx.onerror = function () { reject(tx.error || req.error); };
+                tx.onabort = function () { reject(tx.error || new Error('IndexedDB transaction aborted')); };
+            });
+        });
+    };
+
+    IdbStore.prototype.get = function (key) {
+        return this._request('readonly', function (store) { return store.get(key); });
+    };
+
+    IdbStore.prototype.put = function (key, value) {
+        return this._request('readwrite', function (store) { return store.put(value, key); });
+    };
+
+    IdbStore.prototype.delete = function (key) {
+        return this._request('readwrite', function (store) { return store.delete(key); });
+    };
+
+    IdbStore.prototype.keys = function () {
+        return this._request('readonly', function (store) { return store.getAllKeys(); });
+    };
+
+    IdbStore.prototype.clear = function () {
+        return this._request('readwrite', function (store) { return store.clear(); });
+    };
+
+    window.IdbStore = IdbStore;
+})();
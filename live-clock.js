@@ -0,0 +1,126 @@
+// live-clock.js — latency badge and wall-clock overlay for players
+// attach() ties a player (see player-manager.js) to a "LIVE −4.2s" badge and/or a wall-clock overlay
+// showing when the picture on screen was captured. One shared timer updates them all.
+// The badge turns amber when the picture is LATENCY_BEHIND seconds old and red at LATENCY_FAR (see
+// PlayerManager.latencyLevel). The overlay is optional: a single preference, remembered in
+// localStorage, switches it on or off everywhere (popup, fullscreen and grid).
+(function () {
+    'use strict';
+
+    var STORAGE_KEY = 'f1lv-wall-clock';
+    var UPDATE_INTERVAL = 500;
+    var LEVEL_COLORS = { ok: '#2e7d32', behind: '#e0a800', far: '#d9534f' };
+
+    var attached = [];
+    var timer = null;
+    var listeners = [];
+    var enabled = false;
+    try { enabled = localStorage.getItem(STORAGE_KEY) === '1'; } catch (e) {}
+
+    function isEnabled() { return enabled; }
+
+    function setEnabled(on) {
+        enabled = !!on;
+        try { localStorage.setItem(STORAGE_KEY, enabled ? '1' : '0'); } catch (e) {}
+        attached.forEach(update);
+        listeners.forEach(function (fn) { try { fn(enabled); } catch (e) { console.warn('Wall clock listener failed', e); } });
+    }
+
+    function toggle() { setEnabled(!enabled); return enabled; }
+
+    // Call fn(enabled) whenever the overlay is switched on or off
+    function onChange(fn) { if (typeof fn === 'function') listeners.push(fn); }
+
+    function update(a) {
+        var p = null;
+        try { p = a.player(); } catch (e) {}
+        var l = p ? PlayerManager.latency(p) : null;
+
+        // the badge also shows player states (WAITING, FROZEN, …); only a plain LIVE badge is ours
+        if (a.badge) {
+            var ours = /^LIVE\b/.test(a.badge.textContent || '');
+            if (l && ours) {
+                a.badge.textContent = PlayerManager.latencyLabel(l);
+                a.badge.style.background = LEVEL_COLORS[PlayerManager.latencyLevel(l)];
+                a.badge.title = (l.source === 'program-date-time' ? 'Delay behind real time, from the stream\'s timestamps' : 'Delay behind the live edge of the stream');
+            } else if (ours) {
+                a.badge.textContent = 'LIVE';
+                a.badge.style.background = a.badgeColor;
+                a.badge.title = '';
+            } else {
+                a.badge.style.background = a.badgeColor;
+            }
+            if (a.autoHide) a.badge.hidden = !(l && ours);
+        }
+
+        if (a.clock) {
+            var show = enabled && !!l;
+            a.clock.style.display = show ? 'block' : 'none';
+            if (show) {
+                // without program date times the capture time is only an estimate
+                a.clock.textContent = (l.source === 'program-date-time' ? '' : '≈ ') + new Date(l.pictureTime).toLocaleTimeString();
+                a.clock.title = 'Time the picture on screen was captured' + (l.source === 'program-date-time' ? '' : ' (estimated from the live edge)');
+            }
+        }
+    }
+
+    function tick() { attached.slice().forEach(update); }
+
+    // opts: { player: fn returning the current player (or null), badge: element, autoHide: hide the
+    // badge while there's no latency, host: positioned element for the overlay, clockStyle: styles for it }
+    // Returns { update(), destroy() }
+    function attach(opts) {
+        opts = opts || {};
+        var a = {
+            player: typeof opts.player === 'function' ? opts.player : function () { return opts.player || null; },
+            badge: opts.badge || null,
+            badgeColor: opts.badge ? opts.badge.style.background : '',
+            autoHide: !!opts.autoHide,
+            clock: null
+        };
+        if (opts.host) {
+            var c = document.createElement('div');
+            c.className = 'wall-clock';
+            c.style.position = 'absolute';
+            c.style.right = '8px'; c.style.top = '8px';
+            c.style.background = 'rgba(0,0,0,0.6)';
+            c.style.color = '#fff';
+            c.style.font = '12px/1.2 ui-monospace, Menlo, Consolas, monospace';
+            c.style.padding = '3px 6px';
+            c.style.borderRadius = '4px';
+            c.style.pointerEvents = 'none';
+            c.style.display = 'none';
+            Object.keys(opts.clockStyle || {}).forEach(function (k) { c.style[k] = opts.clockStyle[k]; });
+            opts.host.appendChild(c);
+            a.clock = c;
+        }
+        attached.push(a);
+        if (!timer) timer = setInterval(tick, UPDATE_INTERVAL);
+        update(a);
+        return {
+            update: function () { update(a); },
+            destroy: function () {
+                var i = attached.indexOf(a);
+                if (i !== -1) attached.splice(i, 1);
+                if (a.clock && a.clock.parentNode) a.clock.parentNode.removeChild(a.clock);
+                if (!attached.length && timer) { clearInterval(timer); timer = null; }
+            }
+        };
+    }
+
+    // other tabs switching the overlay
+    window.addEventListener('storage', function (e) {
+        if (e.key !== STORAGE_KEY) return;
+        enabled = e.newValue === '1';
+        attached.forEach(update);
+        listeners.forEach(function (fn) { try { fn(enabled); } catch (err) {} });
+    });
+
+    window.LiveClock = {
+        attach: attach,
+        enabled: isEnabled,
+        setEnabled: setEnabled,
+        toggle: toggle,
+        onChange: onChange
+    };
+})();
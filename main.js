@@ -3,30 +3,8 @@
 (function () {
     'use strict';
 
-    // Minimal toast notification helper (non-blocking)
-    function _injectToastStyles() {
-        if (document.getElementById('site-toast-styles')) return;
-        var s = document.createElement('style');
-        s.id = 'site-toast-styles';
-    s.textContent = '\n.site-toast{position:fixed;right:20px;bottom:20px;background:linear-gradient(180deg, rgba(0,0,0,0.92), rgba(0,0,0,0.86));color:#fff;padding:10px 14px;border-radius:8px;font-size:15px;line-height:1.25;z-index:1000000;opacity:0;transform:translateY(10px);transition:opacity .22s,transform .22s;box-shadow:0 6px 20px rgba(0,0,0,0.35);max-width:420px;text-align:left}\n.site-toast.visible{opacity:1;transform:translateY(0)}\n';
-        document.head.appendChild(s);
-    }
-
-    function showToast(msg, ms) {
-        try {
-            _injectToastStyles();
-            ms = typeof ms === 'number' ? ms : 4500;
-            var t = document.createElement('div');
-            t.className = 'site-toast';
-            t.textContent = String(msg || '');
-            document.body.appendChild(t);
-            // allow CSS to apply
-            requestAnimationFrame(function () { t.classList.add('visible'); });
-            setTimeout(function () { t.classList.remove('visible'); }, ms - 300);
-            setTimeout(function () { try { t.remove(); } catch (e) {} }, ms);
-            return t;
-        } catch (e) { try { console.warn('showToast failed', e); } catch (er) {} }
-    }
+    // Shared helpers live in camera-catalog.js so the map and the All Cameras grid stay in sync
+    var showToast = CameraCatalog.showToast;
 
     // Show the initial non-blocking notice once on page load
     try { if (document.readyState === 'complete' || document.readyState === 'interactive') { showToast('Due to high demand, camera data may take a few minutes to initially load', 11000); } else { window.addEventListener('DOMContentLoaded', function () { showToast('Due to high demand, camera data may take a few minutes to initially load', 11000); }); } } catch (e) {}
@@ -44,6 +22,22 @@
 
         // Read dataset config
         var ds = mapEl.dataset || {};
+        // Offline fixture mode (fixtures.js): catalog, track, standings, streams and tiles come from local files
+        var fixtureMode = !!(window.Fixtures && Fixtures.enabled);
+
+        // CORS proxy chain for catalog (and optionally stream) requests; see proxy-chain.js
+        try {
+            ProxyChain.configure(ProxyChain.resolveConfig(ds));
+            ProxyChain.checkAll();
+        } catch (e) { console.warn('Proxy chain setup failed', e); }
+        // Cap on concurrent video players (popup, fullscreen, prewarm); see player-manager.js
+        try { PlayerManager.configure(PlayerManager.resolveConfig(ds)); } catch (e) { console.warn('Player manager setup failed', e); }
+        // Still image shown in a popup whose stream can't be played; see still-image.js
+        try { StillImage.configure(StillImage.resolveConfig(ds)); } catch (e) { console.warn('Still image setup failed', e); }
+        // Rolling clip recorder buffer length; see clip-recorder.js
+        try { ClipRecorder.configure(ClipRecorder.resolveConfig(ds)); } catch (e) { console.warn('Clip recorder setup failed', e); }
+        // Time-lapse sampling interval and output frame rate; see time-lapse.js
+        try { TimeLapse.configure(TimeLapse.resolveConfig(ds)); } catch (e) { console.warn('Time-lapse setup failed', e); }
         var centerStr = ds.mapCenter || '36.147, -115.160';
         var centerParts = centerStr.split(',').map(function (s) { return s.trim(); });
         var centerLat = toFloat(centerParts[0], 36.147);
@@ -114,8 +108,8 @@
             }
         });
 
-        // Add Esri World Imagery (satellite) tiles for a clean satellite view
-        var esriUrl = 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}';
+        // Add Esri World Imagery (satellite) tiles for a clean satellite view (local tiles, if any, in fixture mode)
+        var esriUrl = fixtureMode ? Fixtures.url('tiles/{z}/{y}/{x}.jpg') : 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}';
         var tileLayerRef = L.tileLayer(esriUrl, {
             maxZoom: 19,
             minZoom:15,
@@ -142,436 +136,580 @@
             iconSize: [26, 26],
             iconAnchor: [13, 13]
         });
-
-        // Helper: parse WKT POINT like "POINT (-115.16383 36.11436)" -> [lat, lng]
-        function parseWktPoint(wkt) {
-            if (!wkt || typeof wkt !== 'string') return null;
-            var m = /POINT\s*\(\s*([\-0-9\.]+)\s+([\-0-9\.]+)\s*\)/i.exec(wkt.trim());
-            if (!m) return null;
-            var lng = parseFloat(m[1]);
-            var lat = parseFloat(m[2]);
-            if (!isFinite(lat) || !isFinite(lng)) return null;
-            return [lat, lng];
-        }
-
-        // Helper to dynamically load hls.js for playing .m3u8 in non-Safari browsers
-        function ensureHls() {
-            return new Promise(function (resolve) {
-                if (window.Hls) return resolve(window.Hls);
-                var s = document.createElement('script');
-                s.src = 'https://cdn.jsdelivr.net/npm/hls.js@1.4.2/dist/hls.min.js';
-                s.async = true;
-                s.onload = function () { resolve(window.Hls); };
-                s.onerror = function () { resolve(null); };
-                document.head.appendChild(s);
-            });
-        }
+        // Custom (user-added) cameras get an amber badge so they stand out from catalog cameras
+        var customCameraIcon = L.divIcon({
+            className: 'camera-icon camera-icon-custom',
+            html: '<div style="display:inline-flex;align-items:center;justify-content:center;background:#ffd66b;border:2px solid #b35c00;border-radius:6px;padding:1px;box-shadow:0 1px 2px rgba(0,0,0,0.25);font-size:16px;line-height:18px;">📷</div>',
+            iconSize: [26, 26],
+            iconAnchor: [13, 13]
+        });
 
         // Basic HTML-escape for popup content
         function escHtml(s) { return String(s || '').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
 
-        // Add markers from an array of camera items (matches the 'data' array in your JSON)
-        function addCameraMarkersFromArray(items) {
-            if (!Array.isArray(items)) return;
-            cameraLayer.clearLayers();
-            // clear existing list UI if present
+        // The camera list lives in the legend; entries go in a body element so reloading the
+        // catalog can clear them without losing the header and marker count.
+        function getCameraListBody() {
             var listWrap = document.getElementById('camera-list');
-            if (listWrap) listWrap.innerHTML = '';
-
-            var total = items.length;
-            var skipped = [];
-            var created = [];
+            if (!listWrap) {
+                var legend = document.getElementById('map-legend');
+                if (!legend) return null;
+                listWrap = document.createElement('div');
+                listWrap.id = 'camera-list';
+                listWrap.style.marginTop = '8px';
+                listWrap.style.background = '#fff';
+                listWrap.style.padding = '6px';
+                listWrap.style.borderRadius = '6px';
+                listWrap.style.maxHeight = '160px';
+                listWrap.style.overflow = 'auto';
+                listWrap.style.boxShadow = '0 6px 18px rgba(0,0,0,0.06)';
+                listWrap.innerHTML = '<strong>Traffic Cameras</strong><div id="camera-count" style="font-size:12px;margin-top:4px;color:#444">Loading…</div><div id="camera-catalog-status" style="display:none;font-size:12px;margin-top:4px;padding:3px 5px;border-radius:4px;background:#fff3cd;color:#664d03"></div><div id="camera-list-entries"></div>';
+                legend.appendChild(listWrap);
+            }
+            return document.getElementById('camera-list-entries');
+        }
 
-            items.forEach(function (it, idx) {
-                try {
-                    var wkt = it && it.latLng && it.latLng.geography && it.latLng.geography.wellKnownText;
-                    var coords = parseWktPoint(wkt);
-                    if (!coords) {
-                        skipped.push({ id: it && it.id, reason: 'invalid coords', wkt: wkt });
-                        return;
+        // Create the marker, popup player, cameraById entry and list entry for one camera.
+        // Returns the marker, or null when the camera has no usable coordinates.
+        function addCameraMarker(cam) {
+            var coords = cam.coords;
+            if (!coords) return null;
+            var isCustom = cam.source === 'custom';
+            // custom cameras can be dragged to a new position
+            var marker = L.marker(coords, { icon: isCustom ? customCameraIcon : cameraIcon, title: cam.title, draggable: isCustom });
+            // Build popup DOM so we can embed a video element when available
+            try {
+                var popup = document.createElement('div');
+                popup.style.minWidth = '220px';
+                popup.style.maxWidth = '420px';
+
+                var titleEl = document.createElement('div');
+                titleEl.style.fontWeight = '600';
+                titleEl.style.marginBottom = '6px';
+                titleEl.textContent = cam.title;
+                popup.appendChild(titleEl);
+
+                // Camera image removed: thumbnails are intentionally omitted to keep popups compact.
+
+                // If a video URL (likely an m3u8 playlist) is provided, embed a video element
+                var videoUrl = cam.videoUrl;
+
+                if (videoUrl) {
+                    var vidWrap = document.createElement('div');
+                    vidWrap.style.width = '100%';
+                    vidWrap.style.marginBottom = '6px';
+
+                    var videoEl = document.createElement('video');
+                    // use custom controls for a 'live' feel: hide native controls to remove timestamp/slider
+                    videoEl.controls = false;
+                    videoEl.muted = true; // start muted to allow autoplay in many browsers
+                    videoEl.playsInline = true;
+                    videoEl.style.width = '100%';
+                    videoEl.style.borderRadius = '6px';
+                    videoEl.autoplay = false;
+
+                    // Small note / control container for users
+                    var ctrlWrap = document.createElement('div');
+                    ctrlWrap.style.display = 'flex';
+                    ctrlWrap.style.alignItems = 'center';
+                    ctrlWrap.style.justifyContent = 'space-between';
+                    ctrlWrap.style.marginTop = '6px';
+
+                    var leftControls = document.createElement('div');
+                    leftControls.style.display = 'flex';
+                    leftControls.style.gap = '8px';
+
+                    var playBtn = document.createElement('button');
+                    playBtn.type = 'button';
+                    // nicer circular play/pause button
+                    playBtn.innerHTML = '▸';
+                    playBtn.title = 'Play / Pause';
+                    playBtn.style.fontSize = '14px';
+                    playBtn.style.width = '36px';
+                    playBtn.style.height = '36px';
+                    playBtn.style.display = 'inline-flex';
+                    playBtn.style.alignItems = 'center';
+                    playBtn.style.justifyContent = 'center';
+                    playBtn.style.padding = '0';
+                    playBtn.style.borderRadius = '50%';
+                    playBtn.style.border = 'none';
+                    playBtn.style.background = '#ffffff';
+                    playBtn.style.boxShadow = '0 2px 6px rgba(0,0,0,0.12)';
+                    playBtn.style.cursor = 'pointer';
+
+                    var liveBadge = document.createElement('span');
+                    liveBadge.textContent = 'LIVE';
+                    liveBadge.style.background = '#d9534f';
+                    liveBadge.style.color = '#fff';
+                    liveBadge.style.fontSize = '12px';
+                    liveBadge.style.padding = '4px 6px';
+                    liveBadge.style.borderRadius = '4px';
+
+                    leftControls.appendChild(playBtn);
+                    // Fullscreen button to expand video and shrink map
+                    var fsBtn = document.createElement('button');
+                    fsBtn.type = 'button';
+                    fsBtn.title = 'Fullscreen view';
+                    fsBtn.textContent = '⤢';
+                    fsBtn.style.fontSize = '14px';
+                    fsBtn.style.width = '36px';
+                    fsBtn.style.height = '36px';
+                    fsBtn.style.display = 'inline-flex';
+                    fsBtn.style.alignItems = 'center';
+                    fsBtn.style.justifyContent = 'center';
+                    fsBtn.style.padding = '0';
+                    fsBtn.style.borderRadius = '50%';
+                    fsBtn.style.border = 'none';
+                    fsBtn.style.background = '#fff';
+                    fsBtn.style.boxShadow = '0 2px 6px rgba(0,0,0,0.12)';
+                    fsBtn.style.cursor = 'pointer';
+                    leftControls.appendChild(fsBtn);
+                    // wall-clock overlay toggle (see live-clock.js)
+                    var clockBtn = fsBtn.cloneNode(false);
+                    clockBtn.title = 'Show when the picture was captured';
+                    clockBtn.textContent = '🕒';
+                    leftControls.appendChild(clockBtn);
+                    // instant replay controls (see replay-bar.js), shown under the video on demand
+                    var replayBtn = fsBtn.cloneNode(false);
+                    replayBtn.title = 'Instant replay';
+                    replayBtn.textContent = '⏪';
+                    leftControls.appendChild(replayBtn);
+                    // frame snapshot (see frame-snapshot.js): click saves a PNG, Shift+click copies it
+                    var snapBtn = fsBtn.cloneNode(false);
+                    snapBtn.title = 'Save a snapshot (Shift+click to copy it)';
+                    snapBtn.textContent = '📷';
+                    leftControls.appendChild(snapBtn);
+                    snapBtn.addEventListener('click', function (e) {
+                        FrameSnapshot.fromEvent(e, videoEl, function () { return { title: cam.title, id: cam.id, player: player }; }, showToast);
+                    });
+                    // stats for nerds over the picture (see stats-overlay.js), built on first use
+                    var statsBtn = fsBtn.cloneNode(false);
+                    statsBtn.title = 'Stats for nerds';
+                    statsBtn.textContent = '📊';
+                    leftControls.appendChild(statsBtn);
+                    var stats = null;
+                    statsBtn.addEventListener('click', function () {
+                        if (!stats) stats = StatsOverlay.attach({ host: screenWrap, player: function () { return player; }, style: { fontSize: '10px' } });
+                        statsBtn.setAttribute('aria-pressed', String(stats.toggle()));
+                    });
+                    // time-lapse of this camera (see time-lapse.js); opens its panel, where the capture starts
+                    if (TimeLapse.supported()) {
+                        var timelapseBtn = fsBtn.cloneNode(false);
+                        timelapseBtn.title = 'Time-lapse of this camera';
+                        timelapseBtn.textContent = '⏱';
+                        leftControls.appendChild(timelapseBtn);
+                        timelapseBtn.addEventListener('click', function () {
+                            var o = cameraById[cam.id];
+                            TimeLapse.open({ key: cam.id, title: (o && o.title) || cam.title, url: (o && o.videoUrl) || videoUrl });
+                        });
                     }
-                    var marker = L.marker(coords, { icon: cameraIcon, title: it.location || it.roadway || 'Camera' });
-                    // Build popup DOM so we can embed a video element when available
-                    try {
-                        var popup = document.createElement('div');
-                        popup.style.minWidth = '220px';
-                        popup.style.maxWidth = '420px';
-
-                        var titleEl = document.createElement('div');
-                        titleEl.style.fontWeight = '600';
-                        titleEl.style.marginBottom = '6px';
-                        titleEl.textContent = it.location || it.roadway || 'Camera';
-                        popup.appendChild(titleEl);
-
-                        // Camera image removed: thumbnails are intentionally omitted to keep popups compact.
-
-                        // If a video URL (likely an m3u8 playlist) is provided, embed a video element
-                        var videoUrl = null;
-                        if (it.images && it.images.length && it.images[0].videoUrl) videoUrl = it.images[0].videoUrl;
-                        if (!videoUrl && it.videoUrl) videoUrl = it.videoUrl;
-
-                        if (videoUrl) {
-                            var vidWrap = document.createElement('div');
-                            vidWrap.style.width = '100%';
-                            vidWrap.style.marginBottom = '6px';
-
-                            var videoEl = document.createElement('video');
-                            // use custom controls for a 'live' feel: hide native controls to remove timestamp/slider
-                            videoEl.controls = false;
-                            videoEl.muted = true; // start muted to allow autoplay in many browsers
-                            videoEl.playsInline = true;
-                            videoEl.style.width = '100%';
-                            videoEl.style.borderRadius = '6px';
-                            videoEl.autoplay = false;
-
-                            // Small note / control container for users
-                            var ctrlWrap = document.createElement('div');
-                            ctrlWrap.style.display = 'flex';
-                            ctrlWrap.style.alignItems = 'center';
-                            ctrlWrap.style.justifyContent = 'space-between';
-                            ctrlWrap.style.marginTop = '6px';
-
-                            var leftControls = document.createElement('div');
-                            leftControls.style.display = 'flex';
-                            leftControls.style.gap = '8px';
-
-                            var playBtn = document.createElement('button');
-                            playBtn.type = 'button';
-                            // nicer circular play/pause button
-                            playBtn.innerHTML = '▸';
-                            playBtn.title = 'Play / Pause';
-                            playBtn.style.fontSize = '14px';
-                            playBtn.style.width = '36px';
-                            playBtn.style.height = '36px';
-                            playBtn.style.display = 'inline-flex';
-                            playBtn.style.alignItems = 'center';
-                            playBtn.style.justifyContent = 'center';
-                            playBtn.style.padding = '0';
-                            playBtn.style.borderRadius = '50%';
-                            playBtn.style.border = 'none';
-                            playBtn.style.background = '#ffffff';
-                            playBtn.style.boxShadow = '0 2px 6px rgba(0,0,0,0.12)';
-                            playBtn.style.cursor = 'pointer';
-
-                            var liveBadge = document.createElement('span');
-                            liveBadge.textContent = 'LIVE';
-                            liveBadge.style.background = '#d9534f';
-                            liveBadge.style.color = '#fff';
-                            liveBadge.style.fontSize = '12px';
-                            liveBadge.style.padding = '4px 6px';
-                            liveBadge.style.borderRadius = '4px';
-
-                            leftControls.appendChild(playBtn);
-                            // Fullscreen button to expand video and shrink map
-                            var fsBtn = document.createElement('button');
-                            fsBtn.type = 'button';
-                            fsBtn.title = 'Fullscreen view';
-                            fsBtn.textContent = '⤢';
-                            fsBtn.style.fontSize = '14px';
-                            fsBtn.style.width = '36px';
-                            fsBtn.style.height = '36px';
-                            fsBtn.style.display = 'inline-flex';
-                            fsBtn.style.alignItems = 'center';
-                            fsBtn.style.justifyContent = 'center';
-                            fsBtn.style.padding = '0';
-                            fsBtn.style.borderRadius = '50%';
-                            fsBtn.style.border = 'none';
-                            fsBtn.style.background = '#fff';
-                            fsBtn.style.boxShadow = '0 2px 6px rgba(0,0,0,0.12)';
-                            fsBtn.style.cursor = 'pointer';
-                            leftControls.appendChild(fsBtn);
-                            ctrlWrap.appendChild(leftControls);
-                            ctrlWrap.appendChild(liveBadge);
-
-                            // Keep the player pinned to the live edge while playing.
-                            // Refined approach: only seek when clearly behind (>1.5s) and avoid seeking while already seeking.
-                            var liveSyncInterval = null;
-                            var isSeeking = false;
-                            var lastSeek = 0;
-                            function startLiveSync(hlsInstance) {
-                                stopLiveSync();
-                                liveSyncInterval = setInterval(function () {
-                                    try {
-                                        if (videoEl.paused || isSeeking) return;
-
-                                        var target = null;
-                                        // If Hls instance has a recommended live sync position use it (helps avoid chasing segment boundaries)
-                                        try {
-                                            if (hlsInstance && typeof hlsInstance.liveSyncPosition === 'number' && hlsInstance.levels) {
-                                                // hls.js provides a liveSyncPosition which is often the best seek target
-                                                target = hlsInstance.liveSyncPosition;
-                                            }
-                                        } catch (e) {}
-
-                                        if (target == null) {
-                                            var b = videoEl.buffered;
-                                            if (b && b.length) {
-                                                var end = b.end(b.length - 1);
-                                                target = Math.max(0, end - 0.5);
-                                            }
-                                        }
-
-                                        if (target == null) return;
-
-                                        var lag = target - videoEl.currentTime;
-                                        // Only jump if we're more than 1.5s behind to avoid tiny repeated seeks
-                                        if (lag > 1.5 && Date.now() - lastSeek > 800) {
-                                            isSeeking = true;
-                                            try {
-                                                videoEl.currentTime = target;
-                                                lastSeek = Date.now();
-                                            } catch (e) { }
-                                            // allow some time for the browser to process the seek
-                                            setTimeout(function () { isSeeking = false; }, 600);
-                                        }
-                                    } catch (e) { }
-                                }, 800);
-                            }
-                            function stopLiveSync() { if (liveSyncInterval) { clearInterval(liveSyncInterval); liveSyncInterval = null; } isSeeking = false; }
-
-                            // Wire play button — if media isn't initialized yet, initialize when the user hits play or opens the popup
-                            var hlsInstance = null;
-                            var mediaInitialized = false;
-                                var timeInterval = null;
-                                var fragTimeInfo = null; // { pd: Date, start: startPTS }
-
-                            function initMedia() {
-                                if (mediaInitialized) return;
-                                mediaInitialized = true;
-                                ensureHls().then(function (Hls) {
-                                    try {
-                                        if (Hls && Hls.isSupported()) {
-                                                    hlsInstance = new Hls({ enableWorker: true, lowLatencyMode: true, liveSyncDurationCount: 3, maxBufferLength: 30 });
-                                                    hlsInstance.loadSource(videoUrl);
-                                                    hlsInstance.attachMedia(videoEl);
-                                                    // attach a resilient error handler: attempt recoverMediaError/startLoad and recreate after retries
-                                                    try {
-                                                        hlsInstance.on && hlsInstance.on(Hls.Events.ERROR, function (ev, data) {
-                                                            try {
-                                                                console.warn('Popup HLS error', data);
-                                                                videoEl._hlsRetries = (videoEl._hlsRetries || 0) + 1;
-                                                                // attempt immediate recoveries
-                                                                try {
-                                                                    if (data && data.type === 'mediaError' && typeof hlsInstance.recoverMediaError === 'function') {
-                                                                        hlsInstance.recoverMediaError();
-                                                                    } else if (data && data.type === 'networkError') {
-                                                                        hlsInstance.startLoad && hlsInstance.startLoad();
-                                                                    }
-                                                                } catch (e) { console.warn('recover attempt failed', e); }
-
-                                                                // If too many retries, destroy and fallback to native src
-                                                                if (videoEl._hlsRetries >= 3) {
-                                                                    try { hlsInstance.destroy && hlsInstance.destroy(); } catch (e) {}
-                                                                    try { videoEl.src = videoUrl; videoEl.load(); videoEl.play().catch(function(){}); } catch (e) {}
-                                                                }
-                                                            } catch (e) { console.warn('error handler failed', e); }
-                                                        });
-                                                    } catch (e) {}
-                                                    // attach fragment listeners to capture program-date-time when present
-                                                    try {
-                                                        hlsInstance.on && hlsInstance.on(Hls.Events.FRAG_CHANGED, function (ev, data) {
-                                                            try {
-                                                                var f = data && data.frag;
-                                                                if (f && f.programDateTime) fragTimeInfo = { pd: new Date(f.programDateTime), start: f.startPTS };
-                                                            } catch (e) {}
-                                                        });
-                                                        hlsInstance.on && hlsInstance.on(Hls.Events.FRAG_BUFFERED, function (ev, data) {
-                                                            try {
-                                                                var f = data && data.frag;
-                                                                if (f && f.programDateTime) fragTimeInfo = { pd: new Date(f.programDateTime), start: f.startPTS };
-                                                            } catch (e) {}
-                                                        });
-                                                    } catch (e) {}
-                                            // attempt autoplay (muted) for UX; user can unmute
-                                            videoEl.play().catch(function () { /* ignore autoplay */ });
-                                            liveBadge.textContent = 'LIVE';
-                                            // store the Hls instance on the marker element so we can reuse it later
-                                            try { marker._hlsInstance = hlsInstance; marker._videoEl = videoEl; } catch (e) {}
-                                            // start/stop live sync wired on play/pause events below
-                                        } else {
-                                            // Safari / browsers with native HLS support
-                                            videoEl.src = videoUrl;
-                                            liveBadge.textContent = 'LIVE';
-                                        }
-                                    } catch (e) {
-                                        // fallback: provide link
-                                        var link = document.createElement('a'); link.href = videoUrl; link.target = '_blank'; link.textContent = 'Open stream in new tab';
-                                        try { ctrlWrap.parentNode.appendChild(link); } catch (err) { }
+                    // rolling recorder (see clip-recorder.js): record toggles it, save exports the last seconds
+                    var recBtn = null, saveClipBtn = null, recorder = null;
+                    if (ClipRecorder.supported()) {
+                        recBtn = fsBtn.cloneNode(false);
+                        recBtn.title = 'Keep recording so you can save the last seconds as a clip';
+                        recBtn.textContent = '●';
+                        leftControls.appendChild(recBtn);
+                        saveClipBtn = fsBtn.cloneNode(false);
+                        saveClipBtn.title = 'Save clip';
+                        saveClipBtn.textContent = '💾';
+                        saveClipBtn.style.display = 'none';
+                        leftControls.appendChild(saveClipBtn);
+                    }
+                    // current quality cap (see player-manager.js), shown beside the LIVE badge
+                    var qualityEl = document.createElement('span');
+                    qualityEl.className = 'camera-quality';
+                    qualityEl.style.fontSize = '11px';
+                    qualityEl.style.color = '#666';
+                    qualityEl.style.marginRight = '6px';
+                    var rightControls = document.createElement('div');
+                    rightControls.style.display = 'flex';
+                    rightControls.style.alignItems = 'center';
+                    rightControls.appendChild(qualityEl);
+                    rightControls.appendChild(liveBadge);
+                    ctrlWrap.appendChild(leftControls);
+                    ctrlWrap.appendChild(rightControls);
+
+                    // "Frozen since …" line, shown while the player manager's watchdog sees a frozen picture
+                    var frozenEl = document.createElement('div');
+                    frozenEl.className = 'camera-frozen';
+                    frozenEl.style.display = 'none';
+                    frozenEl.style.marginTop = '4px';
+                    frozenEl.style.fontSize = '12px';
+                    frozenEl.style.color = '#b52b27';
+
+                    // Keep the player pinned to the live edge while playing.
+                    // Refined approach: only seek when clearly behind (>1.5s) and avoid seeking while already seeking.
+                    var liveSyncInterval = null;
+                    var isSeeking = false;
+                    var lastSeek = 0;
+                    function startLiveSync() {
+                        stopLiveSync();
+                        liveSyncInterval = setInterval(function () {
+                            try {
+                                // replay mode (see replay-bar.js) watches an earlier moment on purpose
+                                if (videoEl.paused || isSeeking || (replay && replay.replaying())) return;
+
+                                var target = null;
+                                // If Hls instance has a recommended live sync position use it (helps avoid chasing segment boundaries)
+                                try {
+                                    // read it each tick: the manager may have suspended and resumed the player
+                                    var hlsInstance = player && player.hls;
+                                    if (hlsInstance && typeof hlsInstance.liveSyncPosition === 'number' && hlsInstance.levels) {
+                                        // hls.js provides a liveSyncPosition which is often the best seek target
+                                        target = hlsInstance.liveSyncPosition;
                                     }
+                                } catch (e) {}
 
-                                            // time overlay removed per user preference
+                                if (target == null) {
+                                    var b = videoEl.buffered;
+                                    if (b && b.length) {
+                                        var end = b.end(b.length - 1);
+                                        target = Math.max(0, end - 0.5);
+                                    }
+                                }
 
-                                            // wire play/pause listeners that control live sync
-                                    videoEl.addEventListener('play', function () { playBtn.innerHTML = '⏸'; startLiveSync(hlsInstance); });
-                                    videoEl.addEventListener('pause', function () { playBtn.innerHTML = '▸'; stopLiveSync(); });
-                                }).catch(function () {
-                                    try { videoEl.src = videoUrl; } catch (e) { }
-                                    videoEl.addEventListener('play', function () { playBtn.innerHTML = '⏸'; startLiveSync(null); });
-                                    videoEl.addEventListener('pause', function () { playBtn.innerHTML = '▸'; stopLiveSync(); });
-                                });
-                            }
+                                if (target == null) return;
 
-                            playBtn.addEventListener('click', function () {
-                                // initialize media on first interaction
-                                if (!mediaInitialized) {
-                                    initMedia();
-                                    // try to start playback shortly after initialization
-                                    setTimeout(function () { try { videoEl.play().catch(function () { }); } catch (e) { } }, 300);
-                                    return;
-                                }
-                                if (videoEl.paused) {
-                                    videoEl.play().catch(function () { /* ignore */ });
-                                } else {
-                                    videoEl.pause();
+                                var lag = target - videoEl.currentTime;
+                                // Only jump if we're more than 1.5s behind to avoid tiny repeated seeks
+                                if (lag > 1.5 && Date.now() - lastSeek > 800) {
+                                    isSeeking = true;
+                                    try {
+                                        videoEl.currentTime = target;
+                                        lastSeek = Date.now();
+                                    } catch (e) { }
+                                    // allow some time for the browser to process the seek
+                                    setTimeout(function () { isSeeking = false; }, 600);
                                 }
-                            });
-
-                            // Initialize media when popup opens, and tear down when it closes to save bandwidth
-                            marker.on('popupopen', function () { 
-                                // update active styling when a popup opens
-                                try { updateMarkerActiveState(it && it.id); } catch (e) {}
-                                initMedia(); 
-                            });
-                            marker.on('popupclose', function () {
-                                try { videoEl.pause(); } catch (e) { }
-                                try { stopLiveSync(); } catch (e) { }
-                                try {
-                                    // detach media but do not destroy the Hls instance so it can be reused
-                                    if (hlsInstance) {
-                                        try { hlsInstance.detachMedia(); } catch (e) {}
-                                        // keep hlsInstance on marker._hlsInstance for reuse
-                                        marker._hlsInstance = hlsInstance;
-                                    }
-                                } catch (e) { }
-                                try { videoEl.removeAttribute('src'); videoEl.src = ''; videoEl.load(); } catch (e) { }
-                                try { if (timeInterval) { clearInterval(timeInterval); timeInterval = null; } } catch (e) {}
-                                try { /* popup time element removed per user preference */ } catch (e) {}
-                                fragTimeInfo = null;
-                                mediaInitialized = false;
-                                playBtn.innerHTML = '▸';
-                            });
-
-                            vidWrap.appendChild(videoEl);
-                            vidWrap.appendChild(ctrlWrap);
-                            popup.appendChild(vidWrap);
-
-                            // Wire fullscreen button (defined above) to open overlay for this camera
-                            (function (camId, vEl, url, markerRef) {
-                                fsBtn.addEventListener('click', function () {
-                                    openCameraFullscreen(camId, vEl, url, markerRef);
-                                });
-                            })(it && it.id, videoEl, videoUrl, marker);
+                            } catch (e) { }
+                        }, 800);
+                    }
+                    function stopLiveSync() { if (liveSyncInterval) { clearInterval(liveSyncInterval); liveSyncInterval = null; } isSeeking = false; }
+
+                    // Wire play button — if media isn't initialized yet, initialize when the user hits play or opens the popup.
+                    // The player itself comes from the player manager, which may make it wait for a free slot.
+                    var player = null;
+                    var mediaInitialized = false;
+                        var timeInterval = null;
+                        // latency badge and optional wall clock (see live-clock.js), while the popup is open
+                        var liveClock = null;
+                        // replay bar (see replay-bar.js), while the popup is open
+                        var replay = null;
+
+                    function onPlayerState(state) {
+                        if (state === 'waiting') liveBadge.textContent = still && still.shown() ? 'SNAPSHOT' : 'WAITING';
+                        else if (state === 'parked') liveBadge.textContent = 'PAUSED';
+                        else if (state === 'unavailable') {
+                            // live video is retried in the background; the still stays up until it plays
+                            if (still) still.show();
+                            liveBadge.textContent = still ? 'SNAPSHOT' : 'OFFLINE';
                         }
+                        else if ((state === 'active' || state === 'fallback') && !(still && still.shown())) liveBadge.textContent = 'LIVE';
+                        if (state !== 'active') showQuality(null);
+                        if (state === 'released') showFrozen(null);
+                    }
+
+                    function showFrozen(info, p) {
+                        frozenEl.textContent = info ? PlayerManager.frozenLabel(p) + ' — reconnecting…' : '';
+                        frozenEl.title = PlayerManager.frozenTitle(p);
+                        frozenEl.style.display = info ? 'block' : 'none';
+                        if (info) liveBadge.textContent = 'FROZEN';
+                        else if (liveBadge.textContent === 'FROZEN') liveBadge.textContent = 'LIVE';
+                    }
+
+                    function showQuality(q) {
+                        qualityEl.textContent = PlayerManager.qualityLabel(q);
+                        qualityEl.title = PlayerManager.qualityTitle(q);
+                    }
+
+                    function initMedia() {
+                        if (mediaInitialized) return;
+                        // the fullscreen overlay is already playing this camera
+                        if (fsSlotOf(cam.id) !== -1) return;
+                        mediaInitialized = true;
+                        // pick up a stream URL replaced by a catalog refresh since the popup was built
+                        try { if (cameraById[cam.id] && cameraById[cam.id].videoUrl) videoUrl = cameraById[cam.id].videoUrl; } catch (e) {}
+                        player = PlayerManager.acquire({ key: cam.id, url: videoUrl, role: 'popup', video: videoEl, onState: onPlayerState, onQuality: showQuality, onFrozen: showFrozen });
+                        if (!player) return;
+                        showQuality(player.quality);
+                        // attempt autoplay (muted) for UX; user can unmute
+                        try { videoEl.play().catch(function () { /* ignore autoplay */ }); } catch (e) {}
+                    }
 
-                        // include ID as small text
-                        if (it.id) {
-                            var idEl = document.createElement('div');
-                            idEl.style.fontSize = '12px';
-                            idEl.style.color = '#666';
-                            idEl.textContent = 'ID: ' + it.id;
-                            popup.appendChild(idEl);
+                    // the wall clock is off unless the user switches it on (shared with fullscreen and the grid)
+                    clockBtn.addEventListener('click', function () {
+                        clockBtn.setAttribute('aria-pressed', String(LiveClock.toggle()));
+                    });
+
+                    function setRecording(on) {
+                        if (!recBtn) return;
+                        if (on) {
+                            if (!recorder) recorder = ClipRecorder.create({ video: videoEl, title: cam.title });
+                            on = recorder.start();
+                        } else if (recorder) {
+                            recorder.stop();
                         }
+                        recBtn.style.color = on ? '#d9534f' : '';
+                        recBtn.setAttribute('aria-pressed', String(on));
+                        saveClipBtn.style.display = on ? 'inline-flex' : 'none';
+                    }
+                    if (recBtn) {
+                        recBtn.addEventListener('click', function () { setRecording(!(recorder && recorder.recording())); });
+                        saveClipBtn.addEventListener('click', function () {
+                            if (recorder) recorder.save().catch(function (e) { console.warn('Could not save clip', e); });
+                        });
+                    }
+
+                    // show the replay bar; hide it again unless a replay is running
+                    replayBtn.addEventListener('click', function () {
+                        if (!replay) return;
+                        var hidden = replay.el.style.display === 'none';
+                        if (!hidden && replay.replaying()) return;
+                        replay.el.style.display = hidden ? 'flex' : 'none';
+                        replayBtn.setAttribute('aria-pressed', String(hidden));
+                    });
 
-                        marker.bindPopup(popup, { maxWidth: 420 });
+                    // wire play/pause listeners that control live sync
+                    videoEl.addEventListener('play', function () { playBtn.innerHTML = '⏸'; startLiveSync(); });
+                    videoEl.addEventListener('pause', function () { playBtn.innerHTML = '▸'; stopLiveSync(); });
+
+                    playBtn.addEventListener('click', function () {
+                        // initialize media on first interaction
+                        if (!mediaInitialized) {
+                            initMedia();
+                            // try to start playback shortly after initialization
+                            setTimeout(function () { try { videoEl.play().catch(function () { }); } catch (e) { } }, 300);
+                            return;
+                        }
+                        if (videoEl.paused) {
+                            videoEl.play().catch(function () { /* ignore */ });
+                        } else {
+                            videoEl.pause();
+                        }
+                    });
 
-                        // Preserve the original popup DOM node so we can temporarily replace it
-                        // while in fullscreen and restore it intact (preserving video elements and handlers).
+                    // Initialize media when popup opens, and release the player when it closes to save bandwidth
+                    marker.on('popupopen', function () { 
+                        // update active styling when a popup opens (behind the overlay, keep its cameras marked)
+                        try { updateMarkerActiveState(fsOpen() ? fsCameraIds() : cam.id); } catch (e) {}
+                        initMedia(); 
                         try {
-                            (function (m, originalNode, titleText, camId) {
-                                m.on && m.on('click', function () {
-                                    try {
-                                        if (fsOverlay && fsOverlay.style.display && fsOverlay.style.display !== 'none') {
-                                            var p = m.getPopup && m.getPopup();
-                                            if (p) {
-                                                var minimal = document.createElement('div');
-                                                minimal.style.fontWeight = '600'; minimal.style.padding = '6px';
-                                                minimal.textContent = titleText;
-                                                p.setContent(minimal);
-                                            }
-                                        }
-                                    } catch (e) { }
+                            if (!liveClock) liveClock = LiveClock.attach({ player: function () { return player; }, badge: liveBadge, host: screenWrap });
+                            clockBtn.setAttribute('aria-pressed', String(LiveClock.enabled()));
+                        } catch (e) {}
+                        try {
+                            if (!replay) {
+                                replay = ReplayBar.attach({
+                                    video: videoEl,
+                                    player: function () { return player; },
+                                    // live sync holds off while replaying; the badge says so
+                                    onChange: function (on) { liveBadge.textContent = on ? 'REPLAY' : 'LIVE'; },
+                                    style: { marginTop: '6px' }
                                 });
+                                replay.el.style.display = 'none';
+                                vidWrap.insertBefore(replay.el, ctrlWrap);
+                                replayBtn.setAttribute('aria-pressed', 'false');
+                            }
+                        } catch (e) {}
+                    });
+                    marker.on('popupclose', function () {
+                        try { stopLiveSync(); } catch (e) { }
+                        // a no-op if fullscreen already took this player over
+                        try { if (player) player.release(); } catch (e) { }
+                        player = null;
+                        try { if (still) still.hide(); } catch (e) { }
+                        liveBadge.textContent = 'LIVE';
+                        try { if (liveClock) liveClock.destroy(); } catch (e) {}
+                        liveClock = null;
+                        try { if (replay) { replay.reset(); replay.destroy(); } } catch (e) {}
+                        replay = null;
+                        try { if (stats) stats.hide(); statsBtn.setAttribute('aria-pressed', 'false'); } catch (e) {}
+                        try { setRecording(false); } catch (e) {}
+                        try { if (timeInterval) { clearInterval(timeInterval); timeInterval = null; } } catch (e) {}
+                        mediaInitialized = false;
+                        playBtn.innerHTML = '▸';
+                    });
 
-                                // Restore original popup DOM when it closes
-                                m.on && m.on('popupclose', function () {
-                                    try {
-                                        var p = m.getPopup && m.getPopup();
-                                        if (p && originalNode) p.setContent(originalNode);
-                                    } catch (e) { }
-                                });
-                            })(marker, popup, (it.location || it.roadway || 'Camera'), it && it.id);
-                        } catch (e) { }
+                    // the still image (see still-image.js) is laid over the video, so they share a positioned box
+                    var screenWrap = document.createElement('div');
+                    screenWrap.style.position = 'relative';
+                    screenWrap.style.borderRadius = '6px';
+                    screenWrap.style.overflow = 'hidden';
+                    screenWrap.appendChild(videoEl);
+                    var still = null;
+                    try { still = StillImage.attach(screenWrap, cam.imageUrl); } catch (e) {}
+                    if (still) {
+                        videoEl.addEventListener('playing', function () {
+                            if (!still.shown()) return;
+                            still.hide();
+                            liveBadge.textContent = 'LIVE';
+                        });
+                    }
+                    vidWrap.appendChild(screenWrap);
+                    vidWrap.appendChild(ctrlWrap);
+                    vidWrap.appendChild(frozenEl);
+                    popup.appendChild(vidWrap);
+
+                    // Wire fullscreen button (defined above) to open overlay for this camera
+                    (function (camId, vEl, url, markerRef) {
+                        fsBtn.addEventListener('click', function () {
+                            openCameraFullscreen(camId, vEl, url, markerRef);
+                        });
+                    })(cam.id, videoEl, videoUrl, marker);
+                }
+
+                // include ID as small text
+                if (cam.id) {
+                    var idEl = document.createElement('div');
+                    idEl.style.fontSize = '12px';
+                    idEl.style.color = '#666';
+                    idEl.textContent = isCustom ? 'Custom camera' : 'ID: ' + cam.id;
+                    popup.appendChild(idEl);
+                }
 
-                        // store references for later fullscreen/navigation features
+                // custom cameras can be edited and deleted from their popup
+                if (isCustom) {
+                    var editRow = document.createElement('div');
+                    editRow.style.marginTop = '6px';
+                    var editBtn = document.createElement('button');
+                    editBtn.type = 'button';
+                    editBtn.textContent = 'Edit';
+                    editBtn.style.fontSize = '12px';
+                    var delBtn = document.createElement('button');
+                    delBtn.type = 'button';
+                    delBtn.textContent = 'Delete';
+                    delBtn.style.fontSize = '12px';
+                    delBtn.style.marginLeft = '6px';
+                    editRow.appendChild(editBtn);
+                    editRow.appendChild(delBtn);
+                    popup.appendChild(editRow);
+                    editBtn.addEventListener('click', function () {
+                        try { marker.closePopup(); } catch (e) {}
+                        openCustomCameraForm(marker.getLatLng(), CustomCameras.get(cam.id));
+                    });
+                    delBtn.addEventListener('click', function () {
+                        var o = cameraById[cam.id];
+                        if (!confirm('Delete the custom camera "' + ((o && o.title) || cam.title) + '"?')) return;
+                        try { marker.closePopup(); } catch (e) {}
+                        CustomCameras.remove(cam.id);
+                    });
+                    marker.on('dragend', function () {
                         try {
-                            if (it && it.id != null) {
-                                // compute a stable human-readable title from available fields so
-                                // the mini-map and other UI can show a friendly name instead
-                                // of falling back to the numeric id.
-                                var titleText = (it.location || it.roadway || it.name || it.cameraName || ('Camera ' + (it.id || '')));
-                                cameraById[it.id] = {
-                                    marker: marker,
-                                    videoEl: (typeof videoEl !== 'undefined' ? videoEl : null),
-                                    ctrlWrap: (typeof ctrlWrap !== 'undefined' ? ctrlWrap : null),
-                                    videoUrl: videoUrl,
-                                    coords: coords,
-                                    title: titleText,
-                                    raw: it
-                                };
-                            }
-                        } catch (e) { }
-                    } catch (e) {
-                        // fallback to simple popup if DOM construction fails
-                        var html = '<strong>' + escHtml(it.location || it.roadway || 'Camera') + '</strong>';
-                        if (it.images && it.images.length) {
-                            var img = it.images[0];
-                            if (img.videoUrl) html += '<br><a href="' + escHtml(img.videoUrl) + '" target="_blank">Live video</a>';
-                        }
-                        if (it.id) html += '<br><small>ID: ' + escHtml(it.id) + '</small>';
-                        marker.bindPopup(html);
+                            var ll = marker.getLatLng();
+                            CustomCameras.update(cam.id, { coords: [ll.lat, ll.lng] });
+                        } catch (e) { console.warn('Could not move custom camera', e); }
+                    });
+                }
+
+                marker.bindPopup(popup, { maxWidth: 420 });
+
+                // Preserve the original popup DOM node so we can temporarily replace it
+                // while in fullscreen and restore it intact (preserving video elements and handlers).
+                try {
+                    (function (m, originalNode, titleText, camId) {
+                        m.on && m.on('click', function () {
+                            try {
+                                if (fsOverlay && fsOverlay.style.display && fsOverlay.style.display !== 'none') {
+                                    var p = m.getPopup && m.getPopup();
+                                    if (p) {
+                                        var minimal = document.createElement('div');
+                                        minimal.style.fontWeight = '600'; minimal.style.padding = '6px';
+                                        minimal.textContent = titleText;
+                                        p.setContent(minimal);
+                                    }
+                                }
+                            } catch (e) { }
+                        });
+
+                        // Restore original popup DOM when it closes
+                        m.on && m.on('popupclose', function () {
+                            try {
+                                var p = m.getPopup && m.getPopup();
+                                if (p && originalNode) p.setContent(originalNode);
+                            } catch (e) { }
+                        });
+                    })(marker, popup, cam.title, cam.id);
+                } catch (e) { }
+
+                // store references for later fullscreen/navigation features
+                try {
+                    if (cam.id != null) {
+                        cameraById[cam.id] = {
+                            id: cam.id,
+                            source: cam.source || null,
+                            marker: marker,
+                            videoEl: (typeof videoEl !== 'undefined' ? videoEl : null),
+                            ctrlWrap: (typeof ctrlWrap !== 'undefined' ? ctrlWrap : null),
+                            videoUrl: videoUrl,
+                            coords: coords,
+                            title: cam.title,
+                            titleEl: titleEl,
+                            raw: cam.raw
+                        };
                     }
-                    cameraLayer.addLayer(marker);
-                    created.push({ id: it && it.id, coords: coords, title: it.location || it.roadway || 'Camera' });
+                } catch (e) { }
+            } catch (e) {
+                // fallback to simple popup if DOM construction fails
+                var html = '<strong>' + escHtml(cam.title) + '</strong>';
+                if (cam.videoUrl) html += '<br><a href="' + escHtml(cam.videoUrl) + '" target="_blank">Live video</a>';
+                if (cam.id) html += '<br><small>ID: ' + escHtml(cam.id) + '</small>';
+                marker.bindPopup(html);
+            }
+            cameraLayer.addLayer(marker);
 
-                    // warm playlist if present to reduce switch latency later
-                    try { if (videoUrl && it && it.id) prefetchPlaylist(videoUrl, it.id); } catch (e) {}
+            // warm playlist if present to reduce switch latency later
+            try { if (cam.videoUrl && cam.id) prefetchPlaylist(cam.videoUrl, cam.id); } catch (e) {}
 
-                    // append to list UI if present
-                    try {
-                        if (!listWrap) {
-                            // create the list container once if missing
-                            var legend = document.getElementById('map-legend');
-                            if (legend) {
-                                listWrap = document.createElement('div');
-                                listWrap.id = 'camera-list';
-                                listWrap.style.marginTop = '8px';
-                                listWrap.style.background = '#fff';
-                                listWrap.style.padding = '6px';
-                                listWrap.style.borderRadius = '6px';
-                                listWrap.style.maxHeight = '160px';
-                                listWrap.style.overflow = 'auto';
-                                listWrap.style.boxShadow = '0 6px 18px rgba(0,0,0,0.06)';
-                                listWrap.innerHTML = '<strong>Traffic Cameras</strong><div id="camera-count" style="font-size:12px;margin-top:4px;color:#444">Loading…</div>';
-                                legend.appendChild(listWrap);
-                            }
-                        }
-                        if (listWrap) {
-                            var entry = document.createElement('div');
-                            entry.style.padding = '4px 2px';
-                            entry.style.borderBottom = '1px solid rgba(0,0,0,0.06)';
-                            entry.style.cursor = 'pointer';
-                            entry.textContent = it.location || it.roadway || ('Camera ' + (it.id || ''));
-                            (function (coords, marker) {
-                                entry.addEventListener('click', function () {
-                                        try { map.setView(coords, Math.max(map.getZoom(), 17)); marker.openPopup(); try { updateMarkerActiveState(it && it.id); } catch (e) {} } catch (e) { }
-                                    });
-                            })(coords, marker);
-                            listWrap.appendChild(entry);
-                        }
-                    } catch (e) { /* ignore UI errors */ }
+            // append to list UI if present
+            try {
+                var listBody = getCameraListBody();
+                if (listBody) {
+                    var entry = document.createElement('div');
+                    entry.className = 'camera-list-entry';
+                    entry.dataset.cameraId = String(cam.id);
+                    entry.style.padding = '4px 2px';
+                    entry.style.borderBottom = '1px solid rgba(0,0,0,0.06)';
+                    entry.style.cursor = 'pointer';
+                    if (isCustom) { entry.classList.add('custom'); entry.style.borderLeft = '3px solid #ffb000'; entry.style.paddingLeft = '6px'; }
+                    entry.textContent = cam.title;
+                    entry.addEventListener('click', function () {
+                        // read coords at click time: a catalog refresh may have moved the camera
+                        try { map.setView(marker.getLatLng(), Math.max(map.getZoom(), 17)); marker.openPopup(); try { updateMarkerActiveState(cam.id); } catch (e) {} } catch (e) { }
+                    });
+                    listBody.appendChild(entry);
+                }
+            } catch (e) { /* ignore UI errors */ }
+            return marker;
+        }
+
+        // Add markers from an array of normalized catalog cameras (see camera-catalog.js).
+        // expectedTotal is the record count the source reported, when known.
+        function addCameraMarkers(cameras, expectedTotal) {
+            if (!Array.isArray(cameras)) return;
+            cameraLayer.clearLayers();
+            // forget cameras from a previous load (e.g. before the camera query changed)
+            Object.keys(cameraById).forEach(function (k) { delete cameraById[k]; });
+            // clear existing list UI if present
+            var listBody = document.getElementById('camera-list-entries');
+            if (listBody) listBody.innerHTML = '';
+
+            var total = cameras.length;
+            var skipped = [];
+            var created = [];
+
+            cameras.forEach(function (cam, idx) {
+                try {
+                    var coords = cam.coords;
+                    if (!coords) {
+                        skipped.push({ id: cam.id, reason: 'invalid coords', wkt: cam.raw && cam.raw.latLng && cam.raw.latLng.geography && cam.raw.latLng.geography.wellKnownText });
+                        return;
+                    }
+                    if (!addCameraMarker(cam)) return;
+                    created.push({ id: cam.id, coords: coords, title: cam.title });
                 } catch (e) {
-                    skipped.push({ id: (it && it.id) || ('index:' + idx), reason: 'exception', error: String(e) });
-                    console.warn('Failed to add camera item', e, it);
+                    skipped.push({ id: (cam && cam.id) || ('index:' + idx), reason: 'exception', error: String(e) });
+                    console.warn('Failed to add camera item', e, cam);
                 }
             });
 
@@ -581,148 +719,11 @@
                 var cntEl = document.getElementById('camera-count');
                 if (cntEl) cntEl.textContent = cnt + ' marker' + (cnt === 1 ? '' : 's') + ' shown';
 
-                // If the payload contains a 'recordsFiltered' or 'recordsTotal' hint, show it so users
-                // can see if the embedded JSON was truncated or filtered by the server.
-                var expectedHint = null;
-                try {
-                    // try to derive hints from the items array's parent payload (we may receive items directly)
-                    // If caller passed the full payload object rather than the inner array, it would have been handled
-                    // by addCameraMarkersFromArray only. Here we read attributes on the original containing element if present.
-                    var camJsonEl = document.getElementById('camera-json');
-                    if (camJsonEl) {
-                        try {
-                            var raw = camJsonEl.textContent || camJsonEl.innerText || '';
-                            var parsed = raw ? JSON.parse(raw) : null;
-                            if (parsed && typeof parsed === 'object') {
-                                if (Number.isInteger(parsed.recordsFiltered)) expectedHint = parsed.recordsFiltered;
-                                else if (Number.isInteger(parsed.recordsTotal)) expectedHint = parsed.recordsTotal;
-                            }
-                        } catch (e) {
-                            // ignore JSON parse errors here
-                        }
-                    }
-                } catch (e) { }
-
-                if (expectedHint && expectedHint !== total) {
-                    if (cntEl) cntEl.textContent += ' (showing ' + total + ' of ' + expectedHint + ' returned)';
-                    console.warn('Camera data length mismatch: array length=' + total + ', expected/hint=' + expectedHint + ', markers shown=' + cnt);
-
-                    // If the embedded payload appears truncated, offer a small runtime helper so
-                    // users can paste extra camera JSON (the missing 7 items you mentioned) and
-                    // merge them into the map without modifying index.html on disk.
-                    try {
-                        var legendEl = document.getElementById('map-legend');
-                        if (legendEl && !document.getElementById('paste-extra-btn')) {
-                            var pasteBtn = document.createElement('button');
-                            pasteBtn.id = 'paste-extra-btn';
-                            pasteBtn.type = 'button';
-                            pasteBtn.textContent = 'Paste extra cameras';
-                            pasteBtn.style.display = 'block';
-                            pasteBtn.style.marginTop = '6px';
-                            pasteBtn.style.fontSize = '12px';
-                            pasteBtn.onclick = function () {
-                                // Create a lightweight modal overlay with a textarea for pasting JSON
-                                var overlay = document.createElement('div');
-                                overlay.id = 'paste-extra-overlay';
-                                overlay.style.position = 'fixed';
-                                overlay.style.left = '0';
-                                overlay.style.top = '0';
-                                overlay.style.right = '0';
-                                overlay.style.bottom = '0';
-                                overlay.style.background = 'rgba(0,0,0,0.35)';
-                                overlay.style.zIndex = 9999;
-
-                                var box = document.createElement('div');
-                                box.style.background = '#fff';
-                                box.style.padding = '10px';
-                                box.style.margin = '40px auto';
-                                box.style.width = 'min(900px,95%)';
-                                box.style.borderRadius = '6px';
-                                box.style.maxHeight = '80vh';
-                                box.style.overflow = 'auto';
-
-                                var title = document.createElement('div');
-                                title.textContent = 'Paste camera JSON payload or data array below and click "Merge cameras"';
-                                title.style.marginBottom = '6px';
-                                box.appendChild(title);
-
-                                var ta = document.createElement('textarea');
-                                ta.style.width = '100%';
-                                ta.style.height = '260px';
-                                ta.placeholder = 'Paste a JSON array (data[]) or the whole payload here...';
-                                box.appendChild(ta);
-
-                                var bwrap = document.createElement('div');
-                                bwrap.style.marginTop = '8px';
-
-                                var submit = document.createElement('button');
-                                submit.textContent = 'Merge cameras';
-                                submit.type = 'button';
-                                submit.style.fontSize = '13px';
-                                bwrap.appendChild(submit);
-
-                                var cancel = document.createElement('button');
-                                cancel.textContent = 'Cancel';
-                                cancel.type = 'button';
-                                cancel.style.marginLeft = '8px';
-                                cancel.onclick = function () { try { document.body.removeChild(overlay); } catch (e) { } };
-                                bwrap.appendChild(cancel);
-
-                                box.appendChild(bwrap);
-                                overlay.appendChild(box);
-                                document.body.appendChild(overlay);
-
-                                submit.onclick = function () {
-                                    var txt = ta.value;
-                                    if (!txt || !txt.trim()) { showToast('Please paste JSON containing the missing camera objects.', 5000); return; }
-                                    try {
-                                        var parsed = JSON.parse(txt);
-                                        var newArr = null;
-                                        if (Array.isArray(parsed)) newArr = parsed;
-                                        else if (parsed && Array.isArray(parsed.data)) newArr = parsed.data;
-                                        if (!newArr) { showToast('Could not find an array in the pasted JSON. Paste the inner data array or the full payload.', 6000); return; }
-
-                                        // Read existing embedded payload if available so we can merge uniquely by id
-                                        var camJsonEl = document.getElementById('camera-json');
-                                        var existing = [];
-                                        try {
-                                            if (camJsonEl) {
-                                                var raw = camJsonEl.textContent || camJsonEl.innerText || '';
-                                                var parsedExisting = raw ? JSON.parse(raw) : null;
-                                                if (parsedExisting && Array.isArray(parsedExisting.data)) existing = parsedExisting.data;
-                                                else if (Array.isArray(parsedExisting)) existing = parsedExisting;
-                                            }
-                                        } catch (e) { /* ignore parse errors */ }
-
-                                        // Merge by id (new items override existing ones with same id)
-                                        var byId = {};
-                                        existing.concat(newArr).forEach(function (it) { if (it && it.id != null) byId[it.id] = it; });
-                                        // if items have no id, just append them
-                                        var appendNoId = [];
-                                        existing.concat(newArr).forEach(function (it) { if (it && it.id == null) appendNoId.push(it); });
-                                        var merged = Object.keys(byId).map(function (k) { return byId[k]; }).concat(appendNoId);
-
-                                        // Optionally update the in-page script so future reloads in this tab keep the merged payload
-                                        try {
-                                            if (camJsonEl) {
-                                                var payload = { draw: 0, recordsTotal: merged.length, recordsFiltered: merged.length, data: merged };
-                                                camJsonEl.textContent = JSON.stringify(payload, null, 2);
-                                            }
-                                        } catch (e) { }
-
-                                        // Re-render markers using merged array
-                                        addCameraMarkersFromArray(merged);
-
-                                        // Close overlay
-                                        try { document.body.removeChild(overlay); } catch (e) { }
-                                    } catch (e) {
-                                        showToast('Failed to parse JSON: ' + (e && e.message ? e.message : String(e)), 7000);
-                                    }
-                                };
-                            };
-                            legendEl.appendChild(pasteBtn);
-                        }
-                    } catch (e) { /* ignore UI errors */ }
+                // The catalog loader follows NV Roads pagination, so a mismatch here means a page
+                // request failed part-way; surface it rather than silently showing a short list.
+                if (Number.isInteger(expectedTotal) && expectedTotal > total) {
+                    if (cntEl) cntEl.textContent += ' (showing ' + total + ' of ' + expectedTotal + ' returned)';
+                    console.warn('Camera data length mismatch: array length=' + total + ', expected=' + expectedTotal + ', markers shown=' + cnt);
                 } else {
                     console.info('Camera markers processed: total=' + total + ', created=' + created.length + ', skipped=' + skipped.length);
                 }
@@ -739,13 +740,10 @@
             try {
                 var obj = (typeof json === 'string') ? JSON.parse(json) : json;
                 if (!obj) return console.warn('No camera data provided');
-                if (Array.isArray(obj)) return addCameraMarkersFromArray(obj);
-                if (obj.data && Array.isArray(obj.data)) {
-                    addCameraMarkersFromArray(obj.data);
-                    try { map.addLayer(cameraLayer); } catch (e) {}
-                    return;
-                }
-                console.warn('Unrecognized camera JSON shape. Pass the whole payload or the inner data array.');
+                var result = CameraCatalog.normalizePayload(obj);
+                if (!result) return console.warn('Unrecognized camera JSON shape. Pass the whole payload or the inner data array.');
+                addCameraMarkers(result.cameras);
+                try { map.addLayer(cameraLayer); } catch (e) {}
             } catch (e) {
                 console.error('Failed to parse camera JSON', e);
             }
@@ -770,68 +768,634 @@
             } catch (e) { console.warn('Could not add camera toggle', e); }
         })();
 
-        // Load camera data: try NV Roads endpoint first, fall back to embedded <script id="camera-json"> payload.
-        (function () {
-            var camJsonEl = document.getElementById('camera-json');
-            // Camera endpoint: prefer data-camera-endpoint on the #map element so developers
-            // can put the full NV Roads query there. Otherwise fall back to a default NV Roads URL.
-            var nvDefault = 'https://www.nvroads.com/List/GetData/Cameras?query=%7B%22columns%22%3A%5B%7B%22data%22%3Anull%2C%22name%22%3A%22%22%7D%2C%7B%22name%22%3A%22sortOrder%22%2C%22s%22%3Atrue%7D%2C%7B%22name%22%3A%22region%22%2C%22s%22%3Atrue%7D%2C%7B%22name%22%3A%22roadway%22%2C%22s%22%3Atrue%7D%2C%7B%22data%22%3A4%2C%22name%22%3A%22%22%7D%5D%2C%22order%22%3A%5B%7B%22column%22%3A1%2C%22dir%22%3A%22asc%22%7D%2C%7B%22column%22%3A2%2C%22dir%22%3A%22asc%22%7D%2C%7B%22column%22%3A3%2C%22dir%22%3A%22asc%22%7D%5D%2C%22start%22%3A0%2C%22length%22%3A17%2C%22search%22%3A%7B%22value%22%3A%22f1%22%7D%7D&lang=en-US';
-            var nvUrl = (ds && ds.cameraEndpoint) ? ds.cameraEndpoint : nvDefault;
+        // Load camera data: every configured camera source (NV Roads by default, see
+        // camera-providers.js), each falling back to its last-known-good copy cached in IndexedDB,
+        // then an embedded <script id="camera-json"> payload.
+        // The NV Roads endpoint is generated from the structured camera query (see
+        // CameraCatalog.resolveQuery); a raw data-camera-endpoint on the #map element still works as an override.
+        var camJsonEl = document.getElementById('camera-json');
 
-            async function tryLoadFromNv() {
-                try {
-                    var r = await fetch(nvUrl, { cache: 'no-store', mode: 'cors' });
-                    if (!r.ok) throw new Error('NV Roads response not ok: ' + r.status);
-                    var payload = await r.json();
-                    // payload may be the full DataTables-like object or already the inner array
-                    var arr = null;
-                    if (Array.isArray(payload)) arr = payload;
-                    else if (payload && Array.isArray(payload.data)) arr = payload.data;
-                    else if (payload && Array.isArray(payload.rows)) arr = payload.rows;
-
-                    if (Array.isArray(arr) && arr.length) {
-                        console.info('Loaded ' + arr.length + ' cameras from NV Roads endpoint');
-                        addCameraMarkersFromArray(arr);
-                        try { map.addLayer(cameraLayer); } catch (e) { }
-                        return true;
-                    }
-                    // If no usable array, return false so we fall back
-                    console.warn('NV Roads endpoint returned no usable camera array');
-                    return false;
-                } catch (err) {
-                    console.warn('Failed to fetch cameras from NV Roads endpoint, will try embedded JSON fallback', err);
-                    return false;
+        // Staleness note under the camera count; pass null to clear it
+        function setCatalogStatus(text) {
+            try {
+                getCameraListBody();
+                var el = document.getElementById('camera-catalog-status');
+                if (!el) return;
+                el.textContent = text || '';
+                el.style.display = text ? '' : 'none';
+            } catch (e) { }
+        }
+
+        // Cameras imported from files this session (id -> camera). Together with the custom cameras
+        // (custom-cameras.js) they sit on top of the loaded catalog: reloading the catalog keeps
+        // them and the background refresh never removes them.
+        var importedCameras = {};
+
+        // id -> camera for every camera that isn't part of the catalog
+        function localCameras() {
+            var out = {};
+            Object.keys(importedCameras).forEach(function (id) { out[id] = importedCameras[id]; });
+            try { CustomCameras.list().forEach(function (c) { out[c.id] = c; }); } catch (e) {}
+            return out;
+        }
+
+        // The catalog's cameras with local ones added (an import replaces a catalog camera with the same id)
+        function withLocalCameras(cameras) {
+            var local = localCameras();
+            var ids = Object.keys(local);
+            if (!ids.length) return cameras;
+            var out = cameras.filter(function (c) { return c.id == null || !local[c.id]; });
+            ids.forEach(function (id) { out.push(local[id]); });
+            return out;
+        }
+
+        // Status line for a loaded catalog: stale cached copies and sources that failed outright
+        function catalogStatusFor(result) {
+            var notes = [];
+            if (result.fromCache) notes.push('Using cached camera list from ' + CameraCatalog.formatSavedAt(result.savedAt));
+            var failed = CameraProviders.describeFailures(result);
+            if (failed) notes.push('Unavailable: ' + failed);
+            return notes.join('. ') || null;
+        }
+
+        // A stream answering 401/403/404 may have moved: the player manager asks for the camera's current
+        // entry in its source, and the map keeps the new URL for players started later
+        PlayerManager.setUrlRefresher(function (key) {
+            var o = cameraById[key];
+            if (!o || localCameras()[key]) return null;
+            return CameraProviders.freshCamera(CameraProviders.resolveSources(ds), { id: key, source: o.source }).then(function (cam) {
+                if (!cam || !cam.videoUrl) return null;
+                o.videoUrl = cam.videoUrl;
+                return cam.videoUrl;
+            });
+        });
+
+        async function tryLoadSources() {
+            try {
+                var result = await CameraProviders.loadAll(CameraProviders.resolveSources(ds));
+                if (result.cameras.length) {
+                    console.info('Loaded ' + result.cameras.length + ' cameras from ' + result.sources.map(function (r) {
+                        return r.id + (r.error ? ' (failed)' : (r.fromCache ? ' (cached)' : '')) + ': ' + r.count;
+                    }).join(', '));
+                    addCameraMarkers(withLocalCameras(result.cameras), result.recordsFiltered);
+                    try { map.addLayer(cameraLayer); } catch (e) { }
+                    setCatalogStatus(catalogStatusFor(result));
+                    if (result.fromCache) showToast('Live camera list unavailable — using cached list from ' + CameraCatalog.formatSavedAt(result.savedAt), 7000);
+                    return true;
                 }
+                // If no usable array, return false so we fall back
+                console.warn('Camera sources returned no cameras');
+                return false;
+            } catch (err) {
+                console.warn('Failed to fetch cameras from every camera source and no cached copy, will try embedded JSON fallback', err);
+                return false;
             }
+        }
+
+        // Load the camera sources (with cache fallback), then fallback to embedded JSON if needed
+        async function loadCameraCatalog() {
+            var loaded = await tryLoadSources();
+            if (loaded) return true;
+
+            // Fallback: embedded <script id="camera-json"> element (may be present for offline/local testing)
+            var embedded = CameraCatalog.readEmbedded(camJsonEl);
+            if (embedded) {
+                addCameraMarkers(withLocalCameras(embedded.cameras));
+                try { map.addLayer(cameraLayer); } catch (e) { }
+                setCatalogStatus('Using the camera list bundled with the page');
+                return true;
+            }
+            if (camJsonEl) console.warn('Embedded camera-json found but has unexpected shape');
+            // custom cameras don't depend on the network, so show them regardless
+            if (!Object.keys(cameraById).length) addCameraMarkers(withLocalCameras([]));
+            setCatalogStatus('Camera list unavailable (network or proxy error)');
+            return false;
+        }
 
-            // Run the NV fetch, then fallback to embedded JSON if needed
-            (async function () {
-                var usedNv = await tryLoadFromNv();
-                if (usedNv) return;
+        loadCameraCatalog();
 
-                // Fallback: try to read embedded <script id="camera-json"> element (may be present for offline/local testing)
+        // Background catalog refresh: diff the fresh catalog against cameraById and patch the map
+        // in place so open popups and the fullscreen player keep playing.
+        var catalogRefreshMs = CameraCatalog.resolveRefreshInterval(ds);
+
+        // A camera is busy while its popup is open or it's on screen in the fullscreen overlay; removing
+        // it then would tear down the player under the viewer, so removal waits until it's closed.
+        function isCameraBusy(id) {
+            try {
+                var o = cameraById[id];
+                if (!o) return false;
+                if (fsSlotOf(id) !== -1) return true;
+                return !!(o.marker && o.marker.isPopupOpen && o.marker.isPopupOpen());
+            } catch (e) { return false; }
+        }
+
+        function removeCameraMarker(id) {
+            var o = cameraById[id];
+            if (!o) return;
+            try { cameraLayer.removeLayer(o.marker); } catch (e) {}
+            try {
+                var mm = miniMarkersById[id];
+                if (mm && miniMap) miniMap.removeLayer(mm);
+                delete miniMarkersById[id];
+            } catch (e) {}
+            try {
+                var entry = document.querySelector('#camera-list-entries [data-camera-id="' + String(id).replace(/"/g, '') + '"]');
+                if (entry) entry.parentNode.removeChild(entry);
+            } catch (e) {}
+            try { releasePrewarm(id); } catch (e) {}
+            delete cameraById[id];
+        }
+
+        // Remove cameras whose removal was deferred because they were in use
+        function flushRetiredCameras() {
+            Object.keys(cameraById).forEach(function (id) {
+                if (cameraById[id] && cameraById[id].retiring && !isCameraBusy(id)) removeCameraMarker(id);
+            });
+        }
+
+        function retireCamera(id) {
+            var o = cameraById[id];
+            if (!o || o.retiring) return;
+            if (!isCameraBusy(id)) { removeCameraMarker(id); return; }
+            o.retiring = true;
+            try { o.marker.once('popupclose', function () { setTimeout(flushRetiredCameras, 0); }); } catch (e) {}
+        }
+
+        function applyCatalogDiff(d) {
+            d.added.forEach(function (cam) {
                 try {
-                    if (camJsonEl) {
-                        var txt = camJsonEl.textContent || camJsonEl.innerText || '';
-                        if (txt) {
-                            try {
-                                var parsed = JSON.parse(txt);
-                                if (Array.isArray(parsed)) {
-                                    addCameraMarkersFromArray(parsed);
-                                    try { map.addLayer(cameraLayer); } catch (e) { }
-                                } else if (parsed && Array.isArray(parsed.data)) {
-                                    addCameraMarkersFromArray(parsed.data);
-                                    try { map.addLayer(cameraLayer); } catch (e) { }
-                                } else {
-                                    console.warn('Embedded camera-json found but has unexpected shape');
-                                }
-                            } catch (e) {
-                                console.warn('Failed to parse embedded camera-json, skipping', e);
-                            }
+                    if (addCameraMarker(cam)) addMiniMarker(cam.id);
+                } catch (e) { console.warn('Failed to add refreshed camera', e, cam); }
+            });
+            d.removed.forEach(function (id) { retireCamera(id); });
+            d.moved.forEach(function (cam) {
+                try {
+                    var o = cameraById[cam.id];
+                    if (!o) return;
+                    o.coords = cam.coords;
+                    o.marker.setLatLng(cam.coords);
+                    var mm = miniMarkersById[cam.id];
+                    if (mm) mm.setLatLng(cam.coords);
+                } catch (e) {}
+            });
+            d.changed.forEach(function (cam) {
+                try {
+                    var o = cameraById[cam.id];
+                    if (!o) return;
+                    o.title = cam.title;
+                    // open players of the camera move to a new stream URL right away
+                    if (cam.videoUrl && cam.videoUrl !== o.videoUrl) PlayerManager.setUrl(cam.id, cam.videoUrl);
+                    o.videoUrl = cam.videoUrl;
+                    o.raw = cam.raw;
+                    if (cam.source) o.source = cam.source;
+                    if (o.titleEl) o.titleEl.textContent = cam.title;
+                    var entry = document.querySelector('#camera-list-entries [data-camera-id="' + String(cam.id).replace(/"/g, '') + '"]');
+                    if (entry) entry.textContent = cam.title;
+                } catch (e) {}
+            });
+            try {
+                var cnt = cameraLayer.getLayers().length;
+                var cntEl = document.getElementById('camera-count');
+                if (cntEl) cntEl.textContent = cnt + ' marker' + (cnt === 1 ? '' : 's') + ' shown';
+            } catch (e) {}
+            // the overlay's copy of the camera list follows the legend's
+            try { if (fsListEl && fsListEl.style.display !== 'none') renderFsList(); } catch (e) {}
+        }
+
+        async function refreshCameraCatalog() {
+            try {
+                var result = await CameraProviders.loadAll(CameraProviders.resolveSources(ds), { cache: false });
+                // a live catalog replaces whatever cached/bundled list we fell back to
+                setCatalogStatus(catalogStatusFor(result));
+                // markers only exist for cameras with coordinates, so diff against those;
+                // imported and custom cameras aren't part of the catalog and are left alone
+                var local = localCameras();
+                var shown = {};
+                Object.keys(cameraById).forEach(function (k) { if (!local[k]) shown[k] = cameraById[k]; });
+                var d = CameraCatalog.diff(shown, result.cameras.filter(function (c) { return c.coords && !(c.id != null && local[c.id]); }));
+                // a partially loaded catalog can't tell us what was removed
+                if (!result.complete) d.removed = [];
+                d.removed = d.removed.filter(function (id) { return cameraById[id] && !cameraById[id].retiring; });
+                if (CameraCatalog.diffIsEmpty(d)) return;
+                applyCatalogDiff(d);
+                console.info('Camera catalog refreshed', d);
+                showToast('Cameras updated: ' + CameraCatalog.describeDiff(d), 6000);
+            } catch (e) {
+                console.warn('Camera catalog refresh failed; keeping current cameras', e);
+            }
+        }
+
+        var catalogRefreshTimer = catalogRefreshMs ? setInterval(refreshCameraCatalog, catalogRefreshMs) : null;
+
+        // Keep the All Cameras link on the same camera query as the map
+        function syncAllCamerasLink() {
+            try {
+                var link = document.getElementById('all-cameras-btn');
+                if (!link) return;
+                var base = (link.getAttribute('href') || '/all-cameras').split('?')[0];
+                // besides the query, pass on the page parameters the grid reads too
+                var here = new URLSearchParams(location.search);
+                var carry = new URLSearchParams();
+                ['source', 'fixtures', 'proxy', 'proxyStreams', 'refresh'].forEach(function (k) {
+                    here.getAll(k).forEach(function (v) { carry.append(k, v); });
+                });
+                link.setAttribute('href', base + CameraCatalog.queryToSearch(CameraCatalog.resolveQuery(ds), carry.toString()));
+            } catch (e) { }
+        }
+        syncAllCamerasLink();
+
+        // Camera query builder in the legend: edits the structured query, keeps it in the page URL
+        // and reloads the catalog so the map can be pointed at other cameras without editing URLs.
+        (function addCameraQueryToLegend() {
+            try {
+                var legend = document.getElementById('map-legend');
+                if (!legend) return;
+                var q = CameraCatalog.resolveQuery(ds);
+
+                var details = document.createElement('details');
+                details.id = 'camera-query';
+                details.style.marginTop = '8px';
+                details.style.fontSize = '12px';
+                var summary = document.createElement('summary');
+                summary.textContent = 'Camera query';
+                summary.style.cursor = 'pointer';
+                details.appendChild(summary);
+
+                var fields = {};
+                function addField(key, label, type, placeholder) {
+                    var row = document.createElement('label');
+                    row.style.display = 'block';
+                    row.style.marginTop = '4px';
+                    row.textContent = label;
+                    var input = document.createElement('input');
+                    input.type = type || 'text';
+                    input.placeholder = placeholder || '';
+                    input.style.display = 'block';
+                    input.style.width = '100%';
+                    input.style.boxSizing = 'border-box';
+                    input.style.fontSize = '12px';
+                    row.appendChild(input);
+                    details.appendChild(row);
+                    fields[key] = input;
+                }
+                addField('search', 'Search', 'text', 'e.g. f1 (empty = all cameras)');
+                addField('region', 'Region', 'text', 'e.g. Las Vegas');
+                addField('roadway', 'Roadway', 'text', 'e.g. I-15');
+                addField('sort', 'Sort columns', 'text', 'sortOrder,region,-roadway');
+                addField('length', 'Page size', 'number', '17');
+                fields.length.min = 1;
+
+                function fill(query) {
+                    fields.search.value = query.search;
+                    fields.region.value = query.region;
+                    fields.roadway.value = query.roadway;
+                    fields.sort.value = query.sort.join(',');
+                    fields.length.value = query.length;
+                }
+                fill(q);
+
+                var btnRow = document.createElement('div');
+                btnRow.style.marginTop = '6px';
+                var apply = document.createElement('button');
+                apply.type = 'button';
+                apply.textContent = 'Apply';
+                apply.style.fontSize = '12px';
+                var reset = document.createElement('button');
+                reset.type = 'button';
+                reset.textContent = 'Reset';
+                reset.style.fontSize = '12px';
+                reset.style.marginLeft = '6px';
+                btnRow.appendChild(apply);
+                btnRow.appendChild(reset);
+                details.appendChild(btnRow);
+
+                function applyQuery(query) {
+                    query = CameraCatalog.normalizeQuery(query);
+                    fill(query);
+                    try { history.replaceState(history.state, '', location.pathname + CameraCatalog.queryToSearch(query) + location.hash); } catch (e) { }
+                    syncAllCamerasLink();
+                    showToast('Loading cameras for the new query…', 3000);
+                    loadCameraCatalog().then(function (ok) {
+                        if (!ok) showToast('No cameras returned for that query.', 5000);
+                    });
+                }
+                apply.addEventListener('click', function () {
+                    applyQuery({ search: fields.search.value, region: fields.region.value, roadway: fields.roadway.value, sort: fields.sort.value, length: fields.length.value });
+                });
+                reset.addEventListener('click', function () { applyQuery(CameraCatalog.DEFAULT_QUERY); });
+
+                legend.appendChild(details);
+            } catch (e) { console.warn('Could not add camera query builder', e); }
+        })();
+
+        // Import cameras from GeoJSON, CSV, KML or NV Roads JSON files (file picker or drag and drop
+        // onto the legend or the map) and export the cameras on the map in the same formats.
+        // Imported cameras merge by id: a known id updates that camera, a new id adds a marker.
+        function importCameras(cameras) {
+            // the first camera with an id wins, matching the duplicate-id note in the import report
+            var seen = {};
+            var usable = cameras.filter(function (c) {
+                if (!c || c.id == null || !c.coords || seen[c.id]) return false;
+                seen[c.id] = true;
+                return true;
+            });
+            var prev = {};
+            usable.forEach(function (c) {
+                c.source = 'import';
+                importedCameras[c.id] = c;
+                if (cameraById[c.id]) prev[c.id] = cameraById[c.id];
+            });
+            var d = CameraCatalog.diff(prev, usable);
+            applyCatalogDiff(d);
+            try { map.addLayer(cameraLayer); } catch (e) { }
+            return { added: d.added.length, updated: usable.length - d.added.length };
+        }
+
+        // Cameras currently on the map, in the shared camera model
+        function currentCameras() {
+            return Object.keys(cameraById).map(function (k) {
+                var o = cameraById[k];
+                return { id: o.id != null ? o.id : k, title: o.title, coords: o.coords, videoUrl: o.videoUrl, source: o.source || null, raw: o.raw };
+            });
+        }
+
+        function downloadText(text, mime, fileName) {
+            var blob = new Blob([text], { type: mime });
+            var a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = fileName;
+            document.body.appendChild(a);
+            a.click();
+            setTimeout(function () { try { URL.revokeObjectURL(a.href); a.remove(); } catch (e) { } }, 1000);
+        }
+
+        (function addCameraImportToLegend() {
+            try {
+                var legend = document.getElementById('map-legend');
+                if (!legend) return;
+                var MAX_LISTED_ERRORS = 50;
+
+                var details = document.createElement('details');
+                details.id = 'camera-import';
+                details.style.marginTop = '8px';
+                details.style.fontSize = '12px';
+                var summary = document.createElement('summary');
+                summary.textContent = 'Import / export cameras';
+                summary.style.cursor = 'pointer';
+                details.appendChild(summary);
+
+                var drop = document.createElement('div');
+                drop.style.marginTop = '4px';
+                drop.style.padding = '8px';
+                drop.style.border = '1px dashed #888';
+                drop.style.borderRadius = '6px';
+                drop.style.textAlign = 'center';
+                drop.textContent = 'Drop GeoJSON, CSV, KML or NV Roads JSON files here or ';
+                var input = document.createElement('input');
+                input.type = 'file';
+                input.multiple = true;
+                input.accept = '.geojson,.json,.csv,.txt,.kml';
+                input.style.fontSize = '11px';
+                input.style.maxWidth = '100%';
+                drop.appendChild(input);
+                details.appendChild(drop);
+
+                var results = document.createElement('div');
+                results.id = 'camera-import-results';
+                details.appendChild(results);
+
+                var exportRow = document.createElement('div');
+                exportRow.style.marginTop = '6px';
+                var fmt = document.createElement('select');
+                fmt.style.fontSize = '12px';
+                [['geojson', 'GeoJSON'], ['csv', 'CSV'], ['kml', 'KML'], ['nvroads', 'NV Roads JSON']].forEach(function (f) {
+                    var opt = document.createElement('option');
+                    opt.value = f[0];
+                    opt.textContent = f[1];
+                    fmt.appendChild(opt);
+                });
+                var exportBtn = document.createElement('button');
+                exportBtn.type = 'button';
+                exportBtn.textContent = 'Export';
+                exportBtn.style.fontSize = '12px';
+                exportBtn.style.marginLeft = '6px';
+                exportRow.appendChild(fmt);
+                exportRow.appendChild(exportBtn);
+                details.appendChild(exportRow);
+
+                // One block per file: what was imported, then the rows that had problems
+                function report(fileName, text, errors) {
+                    var box = document.createElement('div');
+                    box.style.marginTop = '6px';
+                    var head = document.createElement('div');
+                    var strong = document.createElement('strong');
+                    strong.textContent = fileName + ': ';
+                    head.appendChild(strong);
+                    head.appendChild(document.createTextNode(text));
+                    box.appendChild(head);
+                    if (errors && errors.length) {
+                        var ul = document.createElement('ul');
+                        ul.style.margin = '2px 0 0 0';
+                        ul.style.paddingLeft = '16px';
+                        ul.style.color = '#b35c00';
+                        errors.slice(0, MAX_LISTED_ERRORS).forEach(function (err) {
+                            var li = document.createElement('li');
+                            li.textContent = 'Row ' + err.row + ': ' + err.message;
+                            ul.appendChild(li);
+                        });
+                        if (errors.length > MAX_LISTED_ERRORS) {
+                            var more = document.createElement('li');
+                            more.textContent = '…and ' + (errors.length - MAX_LISTED_ERRORS) + ' more';
+                            ul.appendChild(more);
                         }
+                        box.appendChild(ul);
+                    }
+                    results.insertBefore(box, results.firstChild);
+                }
+
+                async function importFile(file) {
+                    try {
+                        var parsed = CameraProviders.parseFile(file.name, await file.text());
+                        var res = importCameras(parsed.result.cameras);
+                        var errors = parsed.result.errors;
+                        var text = parsed.provider.label + ' — ' + res.added + ' added, ' + res.updated + ' updated';
+                        if (errors.length) text += ', ' + errors.length + ' problem' + (errors.length === 1 ? '' : 's');
+                        report(file.name, text, errors);
+                        return res.added + res.updated;
+                    } catch (e) {
+                        console.warn('Camera import failed for ' + file.name, e);
+                        report(file.name, String(e.message || e), null);
+                        return 0;
+                    }
+                }
+
+                async function importFiles(files) {
+                    details.open = true;
+                    var total = 0;
+                    for (var i = 0; i < files.length; i++) total += await importFile(files[i]);
+                    if (total) showToast('Imported ' + total + ' camera' + (total === 1 ? '' : 's'), 4000);
+                }
+
+                input.addEventListener('change', function () {
+                    if (input.files && input.files.length) importFiles(Array.prototype.slice.call(input.files));
+                    input.value = '';
+                });
+
+                // Accept drops on the drop zone and anywhere on the map
+                function hasFiles(e) {
+                    try { return Array.prototype.indexOf.call(e.dataTransfer.types, 'Files') !== -1; } catch (er) { return false; }
+                }
+                [drop, document.getElementById('map')].forEach(function (target) {
+                    if (!target) return;
+                    target.addEventListener('dragover', function (e) {
+                        if (!hasFiles(e)) return;
+                        e.preventDefault();
+                        e.dataTransfer.dropEffect = 'copy';
+                        drop.style.background = 'rgba(52,144,220,0.15)';
+                    });
+                    target.addEventListener('dragleave', function () { drop.style.background = ''; });
+                    target.addEventListener('drop', function (e) {
+                        if (!hasFiles(e)) return;
+                        e.preventDefault();
+                        drop.style.background = '';
+                        importFiles(Array.prototype.slice.call(e.dataTransfer.files || []));
+                    });
+                });
+
+                exportBtn.addEventListener('click', function () {
+                    try {
+                        var cams = currentCameras();
+                        if (!cams.length) return showToast('No cameras on the map to export.', 4000);
+                        var out = CameraProviders.serialize(fmt.value, cams);
+                        var stamp = new Date().toISOString().slice(0, 10);
+                        downloadText(out.text, out.mime, 'cameras-' + stamp + (fmt.value === 'nvroads' ? '.nvroads' : '') + out.extension);
+                    } catch (e) {
+                        console.warn('Camera export failed', e);
+                        showToast('Export failed: ' + (e.message || e), 5000);
                     }
-                } catch (e) { /* ignore */ }
-            })();
+                });
+
+                legend.appendChild(details);
+            } catch (e) { console.warn('Could not add camera import/export', e); }
+        })();
+
+        // Custom cameras (custom-cameras.js): "Add camera" in the legend, then click the map to
+        // place one. Changes (from the form, a popup's Edit/Delete, dragging, or another tab) are
+        // diffed against the custom markers on the map and applied in place like a catalog refresh.
+        function syncCustomCameras() {
+            try {
+                var shown = {};
+                Object.keys(cameraById).forEach(function (k) { if (cameraById[k].source === 'custom') shown[k] = cameraById[k]; });
+                var d = CameraCatalog.diff(shown, CustomCameras.list().filter(function (c) { return c.coords; }));
+                d.removed = d.removed.filter(function (id) { return cameraById[id] && !cameraById[id].retiring; });
+                if (!CameraCatalog.diffIsEmpty(d)) applyCatalogDiff(d);
+            } catch (e) { console.warn('Could not sync custom cameras', e); }
+        }
+        CustomCameras.onChange(syncCustomCameras);
+
+        var addCameraMode = false;
+        var addCameraBtn = null;
+
+        function setAddCameraMode(on) {
+            addCameraMode = !!on;
+            try { map.getContainer().style.cursor = addCameraMode ? 'crosshair' : ''; } catch (e) {}
+            if (addCameraBtn) addCameraBtn.textContent = addCameraMode ? 'Click the map to place it (Esc cancels)' : 'Add camera';
+        }
+
+        // Name + stream URL form in a popup at latlng; pass an existing custom camera to edit it
+        function openCustomCameraForm(latlng, existing) {
+            var form = document.createElement('form');
+            form.style.minWidth = '220px';
+            form.style.fontSize = '12px';
+            var heading = document.createElement('div');
+            heading.style.fontWeight = '600';
+            heading.style.marginBottom = '6px';
+            heading.textContent = existing ? 'Edit custom camera' : 'New custom camera';
+            form.appendChild(heading);
+
+            function addInput(label, value, placeholder) {
+                var row = document.createElement('label');
+                row.style.display = 'block';
+                row.style.marginTop = '4px';
+                row.textContent = label;
+                var input = document.createElement('input');
+                input.type = 'text';
+                input.value = value || '';
+                input.placeholder = placeholder || '';
+                input.style.display = 'block';
+                input.style.width = '100%';
+                input.style.boxSizing = 'border-box';
+                input.style.fontSize = '12px';
+                row.appendChild(input);
+                form.appendChild(row);
+                return input;
+            }
+            var nameInput = addInput('Name', existing && existing.title, 'e.g. Grandstand T1 rig');
+            var urlInput = addInput('Stream URL', existing && existing.videoUrl, 'https://…/index.m3u8');
+
+            var errEl = document.createElement('div');
+            errEl.style.color = '#b00020';
+            errEl.style.marginTop = '4px';
+            form.appendChild(errEl);
+
+            var btnRow = document.createElement('div');
+            btnRow.style.marginTop = '6px';
+            var save = document.createElement('button');
+            save.type = 'submit';
+            save.textContent = existing ? 'Save' : 'Add';
+            save.style.fontSize = '12px';
+            var cancel = document.createElement('button');
+            cancel.type = 'button';
+            cancel.textContent = 'Cancel';
+            cancel.style.fontSize = '12px';
+            cancel.style.marginLeft = '6px';
+            btnRow.appendChild(save);
+            btnRow.appendChild(cancel);
+            form.appendChild(btnRow);
+
+            var popup = L.popup({ maxWidth: 320 }).setLatLng(latlng).setContent(form).openOn(map);
+            setTimeout(function () { try { nameInput.focus(); } catch (e) {} }, 0);
+            cancel.addEventListener('click', function () { map.closePopup(popup); });
+            form.addEventListener('submit', function (e) {
+                e.preventDefault();
+                var fields = { title: nameInput.value, videoUrl: urlInput.value, coords: [latlng.lat, latlng.lng] };
+                try {
+                    // the change listener places or updates the marker
+                    var cam = existing ? CustomCameras.update(existing.id, fields) : CustomCameras.add(fields);
+                    map.closePopup(popup);
+                    try { map.addLayer(cameraLayer); } catch (er) {}
+                    var o = cam && cameraById[cam.id];
+                    if (o && o.marker) setTimeout(function () { try { o.marker.openPopup(); } catch (er) {} }, 0);
+                    showToast(existing ? 'Custom camera updated' : 'Custom camera added', 3000);
+                } catch (er) {
+                    errEl.textContent = er.message || String(er);
+                }
+            });
+        }
+
+        map.on('click', function (e) {
+            if (!addCameraMode) return;
+            setAddCameraMode(false);
+            openCustomCameraForm(e.latlng, null);
+        });
+        document.addEventListener('keydown', function (e) {
+            if (addCameraMode && (e.key === 'Escape' || e.key === 'Esc')) setAddCameraMode(false);
+        });
+
+        (function addCustomCameraButtonToLegend() {
+            try {
+                var legend = document.getElementById('map-legend');
+                if (!legend) return;
+                addCameraBtn = document.createElement('button');
+                addCameraBtn.type = 'button';
+                addCameraBtn.id = 'add-camera-btn';
+                addCameraBtn.style.display = 'block';
+                addCameraBtn.style.marginTop = '8px';
+                addCameraBtn.style.fontSize = '12px';
+                addCameraBtn.addEventListener('click', function () { setAddCameraMode(!addCameraMode); });
+                setAddCameraMode(false);
+                legend.appendChild(addCameraBtn);
+            } catch (e) { console.warn('Could not add custom camera button', e); }
         })();
 
         // Fullscreen overlay: create once
@@ -841,12 +1405,48 @@
         var fsCloseBtn = null;
         var fsPrevBtn = null;
         var fsNextBtn = null;
+        var fsQualityEl = null;
+        var fsLatencyEl = null;
+        var fsClockBtn = null;
+        var fsSnapBtn = null;
+        // stats for nerds overlay of the fullscreen player (see stats-overlay.js) and its toggle
+        var fsStats = null;
+        var fsStatsBtn = null;
+        // latency badge and wall clock of the fullscreen player (see live-clock.js) while the overlay is open
+        var fsLiveClock = null;
+        // replay bar along the bottom of the overlay (see replay-bar.js) while it's open
+        var fsReplay = null;
+        // rolling clip recorder of the fullscreen video (see clip-recorder.js) and its buttons
+        var fsRecorder = null;
+        var fsRecBtn = null;
+        var fsSaveClipBtn = null;
         var currentFsCameraId = null;
     var mapOriginalStyles = null;
     var mapOriginalParent = null;
     var mapOriginalNextSibling = null;
-    var fsHlsInstance = null;
+    // fullscreen player (see player-manager.js) and the <video> it plays into
+    var fsPlayer = null;
+    // camera switch in progress: { player, video, spinner, timers } until its first frame replaces the current one
+    var fsSwitch = null;
     var fsVideoEl = null;
+    // Multi-view layouts: the video area is a grid of slots. Slot 0 is the main view (fsPlayer, fsVideoEl,
+    // currentFsCameraId; snapshots, clips, replay and stats follow it); the others each play one more
+    // camera on a popup-role player. Mini-map markers and overlay list entries go to the selected slot.
+    var FS_LAYOUTS = {
+        '1': { label: '1', title: 'One camera', slots: 1, columns: '1fr', rows: '1fr' },
+        '2': { label: '2', title: 'Two cameras side by side', slots: 2, columns: '1fr 1fr', rows: '1fr' },
+        '2x2': { label: '2×2', title: 'Four cameras', slots: 4, columns: '1fr 1fr', rows: '1fr 1fr' },
+        '1+3': { label: '1+3', title: 'One large camera and three small ones', slots: 4, columns: '3fr 1fr', rows: '1fr 1fr 1fr', mainRows: '1 / 4' }
+    };
+    var FS_LAYOUT_ORDER = ['1', '2', '2x2', '1+3'];
+    var fsLayout = '1';
+    // slot cells, main first: { el, label, camId, player, video } (slot 0's camera lives in the fs* variables)
+    var fsSlots = [];
+    var fsSelectedSlot = 0;
+    var fsLayoutBtns = {};
+    // camera list inside the overlay (the legend's list is underneath it) and its toggle
+    var fsListBtn = null;
+    var fsListEl = null;
     // mini map instance shown in the fullscreen overlay (we'll create/destroy it to avoid moving the main map DOM)
     var miniMap = null;
     var miniTileLayer = null;
@@ -862,165 +1462,83 @@
             if (prefetchPromises[id]) return;
             // only attempt to fetch m3u8 playlists (simple heuristic)
             if (String(url).indexOf('.m3u8') === -1) return;
-            prefetchPromises[id] = fetch(url, { method: 'GET', mode: 'cors', cache: 'no-store' })
+            prefetchPromises[id] = fetch(ProxyChain.streamUrl(url), { method: 'GET', mode: 'cors', cache: 'no-store' })
                 .then(function (r) { if (r && r.ok) return r.text(); })
                 .catch(function () { /* ignore */ });
         } catch (e) { }
     }
 
-    // Prewarm Hls instances using hidden video elements for nearby cameras while fullscreen is open
-    var prewarmPool = {};
+    // Prewarm players (hidden videos owned by the player manager) for the cameras either side of the
+    // fullscreen camera, so prev/next can take a running stream over instead of loading it from scratch.
+    // The manager decides how many are worth a slot (data-max-prewarm), nearest neighbours first.
     function prewarmNearby(centerId) {
         try {
             if (!centerId) return;
-            // build list: center, next, prev in orderedCameraIds; limit to 4
-            var list = [centerId];
+            var list = [];
             try {
                 var idx = orderedCameraIds.indexOf(Number(centerId));
                 if (idx !== -1) {
-                    var next = orderedCameraIds[(idx + 1) % orderedCameraIds.length];
-                    var prev = orderedCameraIds[(idx - 1 + orderedCameraIds.length) % orderedCameraIds.length];
-                    list.push(next); list.push(prev);
-                    // add two more neighbors if available
-                    var n2 = orderedCameraIds[(idx + 2) % orderedCameraIds.length];
-                    var p2 = orderedCameraIds[(idx - 2 + orderedCameraIds.length) % orderedCameraIds.length];
-                    list.push(n2); list.push(p2);
+                    // next, prev, then two more neighbours
+                    [1, -1, 2, -2].forEach(function (step) {
+                        list.push(orderedCameraIds[(idx + step + orderedCameraIds.length) % orderedCameraIds.length]);
+                    });
                 }
             } catch (e) {}
             // limit and unique
             var uniq = [];
-            list.forEach(function (i) { if (i != null && uniq.indexOf(i) === -1) uniq.push(i); });
+            list.forEach(function (i) { if (i != null && String(i) !== String(centerId) && uniq.indexOf(i) === -1) uniq.push(i); });
             uniq = uniq.slice(0, Math.min(PREFETCH_LIMIT, uniq.length));
-
-            uniq.forEach(function (id) {
-                try {
-                    if (prewarmPool[id]) return;
-                    var cam = cameraById[id];
-                    if (!cam || !cam.videoUrl) return;
-                    var url = cam.videoUrl;
-                    if (String(url).indexOf('.m3u8') === -1) return;
-                    // create hidden video
-                    var hv = document.createElement('video'); hv.style.position = 'absolute'; hv.style.left = '-9999px'; hv.style.width = '1px'; hv.style.height = '1px'; hv.muted = true; hv.playsInline = true; hv.autoplay = true;
-                    document.body.appendChild(hv);
-                    var pool = { video: hv, hls: null };
-                    ensureHls().then(function (Hls) {
-                        try {
-                            if (Hls && Hls.isSupported()) {
-                                var h = new Hls({ enableWorker: true, lowLatencyMode: true, liveSyncDurationCount: 3, maxBufferLength: 30 });
-                                h.loadSource(url);
-                                h.attachMedia(hv);
-                                try {
-                                    h.on && h.on(Hls.Events.ERROR, function (ev, data) {
-                                        try {
-                                            console.warn('Prewarm HLS error', data);
-                                            // attempt a quick reload for network errors
-                                            if (data && data.type === 'networkError') {
-                                                try { h.startLoad && h.startLoad(); } catch (e) {}
-                                            }
-                                        } catch (e) {}
-                                    });
-                                } catch (e) {}
-                                // start playback to prompt buffering
-                                hv.play().catch(function () {});
-                                pool.hls = h;
-                            } else {
-                                hv.src = url; hv.play().catch(function () {});
-                            }
-                        } catch (e) { }
-                    }).catch(function () { try { hv.src = url; hv.play().catch(function () {}); } catch (e) {} });
-                    prewarmPool[id] = pool;
-                } catch (e) {}
+            // cameras that are no longer neighbours give their slots up first
+            var keep = uniq.map(String);
+            PlayerManager.list().forEach(function (p) {
+                if (p.role === 'prewarm' && keep.indexOf(String(p.key)) === -1) releasePrewarm(p.key);
             });
+            uniq.forEach(function (id) { try { prewarmCamera(id); } catch (e) {} });
         } catch (e) {}
     }
 
-    function usePrewarm(id) {
-        try {
-            var p = prewarmPool[id];
-            if (!p) return null;
-            // if Hls instance available, detach from hidden video and return it
-            try {
-                if (p.hls) {
-                    try { p.hls.detachMedia(); } catch (e) {}
-                    return p.hls;
-                }
-            } catch (e) {}
-            return null;
-        } catch (e) { return null; }
+    function prewarmCamera(id) {
+        var cam = cameraById[id];
+        if (!cam || !cam.videoUrl) return null;
+        if (String(cam.videoUrl).indexOf('.m3u8') === -1) return null;
+        return PlayerManager.acquire({ key: id, url: cam.videoUrl, role: 'prewarm' });
     }
 
-    function cleanupPrewarm() {
-        try {
-            for (var k in prewarmPool) {
-                try {
-                    var p = prewarmPool[k];
-                    if (!p) continue;
-                    try { if (p.hls) { try { p.hls.destroy(); } catch (e) {} } } catch (e) {}
-                    try { if (p.video && p.video.parentNode) p.video.parentNode.removeChild(p.video); } catch (e) {}
-                } catch (e) {}
-            }
-        } catch (e) {}
-        prewarmPool = {};
+    // Tear down the prewarm player for a single camera (e.g. when a refresh removes it)
+    function releasePrewarm(id) {
+        var p = PlayerManager.find(id, 'prewarm');
+        if (p) p.release();
     }
 
-    // Start persistent prewarm players for a list of camera ids.
-    // This will create hidden video elements that keep playing the stream in the background
-    // so we can instantly show the most recent frames via captureStream when switching.
+    // Prewarm the ordered race cameras once the catalog is in so the first switches are near-instant.
+    // Only as many as the player manager allows keep playing, earliest in the list first, and they're
+    // dropped once the tab has been hidden for a while.
     var persistentPrewarmRunning = false;
     function startPersistentPrewarm(idList) {
         try {
             if (!Array.isArray(idList) || idList.length === 0) return;
-            idList.forEach(function (id) {
-                try {
-                    if (!cameraById[id] || !cameraById[id].videoUrl) return;
-                    if (prewarmPool[id]) return; // already prewarmed
-                    var url = cameraById[id].videoUrl;
-                    if (!url || String(url).indexOf('.m3u8') === -1) return;
-                    var hv = document.createElement('video');
-                    hv.style.position = 'absolute'; hv.style.left = '-9999px'; hv.style.width = '1px'; hv.style.height = '1px';
-                    hv.muted = true; hv.playsInline = true; hv.autoplay = true; hv.preload = 'auto';
-                    document.body.appendChild(hv);
-                    var pool = { video: hv, hls: null, persistent: true };
-                    // try to attach Hls and start playback
-                    ensureHls().then(function (Hls) {
-                        try {
-                            if (Hls && Hls.isSupported()) {
-                                var h = new Hls({enableWorker: true});
-                                h.loadSource(url);
-                                h.attachMedia(hv);
-                                // attempt to autoplay silently
-                                hv.play().catch(function () { /* ignore */ });
-                                pool.hls = h;
-                            } else {
-                                hv.src = url;
-                                hv.play().catch(function () {});
-                            }
-                        } catch (e) { try { hv.src = url; hv.play().catch(function () {}); } catch (er) {} }
-                    }).catch(function () { try { hv.src = url; hv.play().catch(function () {}); } catch (e) {} });
-                    prewarmPool[id] = pool;
-                } catch (e) { }
-            });
+            idList.forEach(function (id) { try { prewarmCamera(id); } catch (e) { } });
             persistentPrewarmRunning = true;
         } catch (e) {}
     }
 
     function stopPersistentPrewarm() {
-        try {
-            for (var k in prewarmPool) {
-                try {
-                    var p = prewarmPool[k];
-                    if (!p) continue;
-                    try { if (p.hls) { try { p.hls.destroy(); } catch (e) {} } } catch (e) {}
-                    try { if (p.video && p.video.parentNode) p.video.parentNode.removeChild(p.video); } catch (e) {}
-                } catch (e) {}
-            }
-        } catch (e) {}
-        prewarmPool = {};
+        try { PlayerManager.releaseRole('prewarm'); } catch (e) {}
         persistentPrewarmRunning = false;
     }
 
+    // The player manager drops prewarm players once the tab has been hidden for a while; take them
+    // up again when it comes back: the fullscreen camera's neighbours, or else the ordered list.
+    document.addEventListener('visibilitychange', function () {
+        try {
+            if (document.visibilityState !== 'visible' || !persistentPrewarmRunning) return;
+            if (fsOpen() && currentFsCameraId != null) prewarmNearby(currentFsCameraId);
+            else startPersistentPrewarm(orderedCameraIds);
+        } catch (e) {}
+    });
+
         // The ordered camera list the user requested
-        var orderedCameraIds = [3498,3416,3415,3414,3413,3882,3909,3410,3412,3411,4036,4029];
+        var orderedCameraIds = CameraCatalog.orderedCameraIds;
 
         function ensureFsOverlay() {
             if (fsOverlay) return;
@@ -1066,12 +1584,90 @@
             fsPrevBtn = document.createElement('button'); fsPrevBtn.textContent = '◀'; fsPrevBtn.title = 'Previous camera'; fsPrevBtn.style.position = 'absolute'; fsPrevBtn.style.left = '12px'; fsPrevBtn.style.top = '50%'; fsPrevBtn.style.transform = 'translateY(-50%)'; fsPrevBtn.style.zIndex = 100003; fsPrevBtn.style.padding = '8px';
             fsNextBtn = document.createElement('button'); fsNextBtn.textContent = '▶'; fsNextBtn.title = 'Next camera'; fsNextBtn.style.position = 'absolute'; fsNextBtn.style.right = '12px'; fsNextBtn.style.top = '50%'; fsNextBtn.style.transform = 'translateY(-50%)'; fsNextBtn.style.zIndex = 100003; fsNextBtn.style.padding = '8px';
 
+            // current quality cap of the fullscreen stream (top-left)
+            fsQualityEl = document.createElement('div');
+            fsQualityEl.className = 'fs-quality';
+            fsQualityEl.style.position = 'absolute'; fsQualityEl.style.left = '12px'; fsQualityEl.style.top = '12px'; fsQualityEl.style.zIndex = 100003;
+            fsQualityEl.style.background = 'rgba(0,0,0,0.55)'; fsQualityEl.style.color = '#fff'; fsQualityEl.style.fontSize = '12px'; fsQualityEl.style.padding = '4px 8px'; fsQualityEl.style.borderRadius = '6px';
+            fsQualityEl.style.display = 'none';
+
+            // delay behind real time, under the quality label; hidden until the stream plays
+            fsLatencyEl = document.createElement('div');
+            fsLatencyEl.className = 'fs-latency';
+            fsLatencyEl.textContent = 'LIVE';
+            fsLatencyEl.style.position = 'absolute'; fsLatencyEl.style.left = '12px'; fsLatencyEl.style.top = '44px'; fsLatencyEl.style.zIndex = 100003;
+            fsLatencyEl.style.background = '#d9534f'; fsLatencyEl.style.color = '#fff'; fsLatencyEl.style.fontSize = '12px'; fsLatencyEl.style.padding = '4px 8px'; fsLatencyEl.style.borderRadius = '6px';
+            fsLatencyEl.hidden = true;
+
+            // stats for nerds toggle, left of the close button; the overlay sits under the latency badge
+            fsStatsBtn = document.createElement('button'); fsStatsBtn.textContent = '📊'; fsStatsBtn.title = 'Stats for nerds';
+            fsStatsBtn.style.position = 'absolute'; fsStatsBtn.style.right = '56px'; fsStatsBtn.style.top = '12px'; fsStatsBtn.style.zIndex = 100003; fsStatsBtn.style.padding = '8px'; fsStatsBtn.style.borderRadius = '6px';
+            fsOverlay.appendChild(fsStatsBtn);
+            fsStats = StatsOverlay.attach({ host: fsOverlay, player: function () { return fsPlayer; }, style: { left: '12px', top: '76px', zIndex: 100003, fontSize: '12px' } });
+            fsStatsBtn.addEventListener('click', function () { fsStatsBtn.setAttribute('aria-pressed', String(fsStats.toggle())); });
+
+            // wall-clock overlay toggle
+            fsClockBtn = document.createElement('button'); fsClockBtn.textContent = '🕒'; fsClockBtn.title = 'Show when the picture was captured';
+            fsClockBtn.style.position = 'absolute'; fsClockBtn.style.right = '100px'; fsClockBtn.style.top = '12px'; fsClockBtn.style.zIndex = 100003; fsClockBtn.style.padding = '8px'; fsClockBtn.style.borderRadius = '6px';
+
+            // snapshot of the fullscreen picture (also the S key; Shift copies it)
+            fsSnapBtn = document.createElement('button'); fsSnapBtn.textContent = '📷'; fsSnapBtn.title = 'Save a snapshot (S; Shift+click or Shift+S copies it)';
+            fsSnapBtn.style.position = 'absolute'; fsSnapBtn.style.right = '144px'; fsSnapBtn.style.top = '12px'; fsSnapBtn.style.zIndex = 100003; fsSnapBtn.style.padding = '8px'; fsSnapBtn.style.borderRadius = '6px';
+            fsOverlay.appendChild(fsSnapBtn);
+            fsSnapBtn.addEventListener('click', fsSnapshot);
+
+            // record toggle and save-clip button, further left; only where the browser can record video
+            if (ClipRecorder.supported()) {
+                fsRecBtn = document.createElement('button'); fsRecBtn.textContent = '●'; fsRecBtn.title = 'Keep recording so you can save the last seconds as a clip';
+                fsRecBtn.style.position = 'absolute'; fsRecBtn.style.right = '188px'; fsRecBtn.style.top = '12px'; fsRecBtn.style.zIndex = 100003; fsRecBtn.style.padding = '8px'; fsRecBtn.style.borderRadius = '6px';
+                fsSaveClipBtn = document.createElement('button'); fsSaveClipBtn.textContent = '💾 Save clip'; fsSaveClipBtn.title = 'Save the last seconds as a WebM clip';
+                fsSaveClipBtn.style.position = 'absolute'; fsSaveClipBtn.style.right = '232px'; fsSaveClipBtn.style.top = '12px'; fsSaveClipBtn.style.zIndex = 100003; fsSaveClipBtn.style.padding = '8px'; fsSaveClipBtn.style.borderRadius = '6px';
+                fsSaveClipBtn.style.display = 'none';
+                fsOverlay.appendChild(fsRecBtn);
+                fsOverlay.appendChild(fsSaveClipBtn);
+                fsRecBtn.addEventListener('click', function () { setFsRecording(!(fsRecorder && fsRecorder.recording())); });
+                fsSaveClipBtn.addEventListener('click', function () {
+                    if (fsRecorder) fsRecorder.save().catch(function (e) { console.warn('Could not save clip', e); });
+                });
+            }
+
+            // layout picker and camera list toggle, left of the other buttons
+            var layoutGroup = document.createElement('div');
+            layoutGroup.className = 'fs-layouts';
+            layoutGroup.style.position = 'absolute'; layoutGroup.style.right = '340px'; layoutGroup.style.top = '12px'; layoutGroup.style.zIndex = 100003;
+            layoutGroup.style.display = 'flex'; layoutGroup.style.gap = '2px';
+            FS_LAYOUT_ORDER.forEach(function (k) {
+                var b = document.createElement('button'); b.textContent = FS_LAYOUTS[k].label; b.title = 'Layout: ' + FS_LAYOUTS[k].title;
+                b.style.padding = '8px'; b.style.borderRadius = '6px';
+                b.addEventListener('click', function () { setFsLayout(k); });
+                fsLayoutBtns[k] = b;
+                layoutGroup.appendChild(b);
+            });
+            fsListBtn = document.createElement('button'); fsListBtn.textContent = '☰'; fsListBtn.title = 'Camera list';
+            fsListBtn.style.padding = '8px'; fsListBtn.style.borderRadius = '6px'; fsListBtn.style.marginLeft = '6px';
+            fsListBtn.addEventListener('click', function () { toggleFsList(); });
+            layoutGroup.appendChild(fsListBtn);
+            fsOverlay.appendChild(layoutGroup);
+
+            fsListEl = document.createElement('div');
+            fsListEl.className = 'fs-camera-list';
+            fsListEl.style.position = 'absolute'; fsListEl.style.right = '12px'; fsListEl.style.top = '56px'; fsListEl.style.zIndex = 100004;
+            fsListEl.style.width = '260px'; fsListEl.style.maxHeight = '50vh'; fsListEl.style.overflow = 'auto';
+            fsListEl.style.background = '#fff'; fsListEl.style.color = '#222'; fsListEl.style.fontSize = '13px'; fsListEl.style.padding = '6px'; fsListEl.style.borderRadius = '8px';
+            fsListEl.style.boxShadow = '0 6px 18px rgba(0,0,0,0.35)';
+            fsListEl.style.display = 'none';
+            fsOverlay.appendChild(fsListEl);
+
             fsOverlay.appendChild(fsCloseBtn);
+            fsOverlay.appendChild(fsClockBtn);
+            fsOverlay.appendChild(fsQualityEl);
+            fsOverlay.appendChild(fsLatencyEl);
             fsOverlay.appendChild(fsPrevBtn);
             fsOverlay.appendChild(fsNextBtn);
             document.body.appendChild(fsOverlay);
 
-            fsCloseBtn.addEventListener('click', function () { try { location.reload(); } catch (e) { closeCameraFullscreen(); } });
+            fsCloseBtn.addEventListener('click', function () { closeCameraFullscreen(); });
+            fsClockBtn.addEventListener('click', function () { fsClockBtn.setAttribute('aria-pressed', String(LiveClock.toggle())); });
             fsPrevBtn.addEventListener('click', function () { navigateFullscreen(-1); });
             fsNextBtn.addEventListener('click', function () { navigateFullscreen(1); });
 
@@ -1083,18 +1679,16 @@
             ensureFsOverlay();
             currentFsCameraId = camId;
 
-            // Move the provided video element into the fsVideoContainer
-            // If the video element is not initialized, create a clone video and init media
-            fsVideoContainer.innerHTML = ''; // clear
+            // Lay the slots of the current layout out; the main video goes in the first one
+            buildFsSlots();
             try {
                 // Don't remove the popup's original video element — create a separate fullscreen video
                 // This preserves the popup preview when we close fullscreen.
                 // Create the fs video element and initialize media for it using the camera's URL.
                 try {
-                    // clean up any previous fs video/hls
-                    if (fsHlsInstance) { try { fsHlsInstance.destroy(); } catch (e) {} fsHlsInstance = null; }
+                    // clean up any previous fs video/player
+                    if (fsPlayer) { try { fsPlayer.release(); } catch (e) {} fsPlayer = null; }
                     if (fsVideoEl) {
-                        try { fsVideoEl.pause(); fsVideoEl.removeAttribute('src'); fsVideoEl.src = ''; fsVideoEl.load(); } catch (e) {}
                         try { fsVideoEl.parentNode && fsVideoEl.parentNode.removeChild(fsVideoEl); } catch (e) {}
                         fsVideoEl = null;
                     }
@@ -1103,47 +1697,41 @@
                 var v = document.createElement('video');
                 v.style.width = '100%'; v.style.height = '100%'; v.controls = false; v.muted = true; v.playsInline = true; v.autoplay = false;
                 try { v.style.objectFit = 'contain'; v.style.maxHeight = '100%'; v.style.maxWidth = '100%'; } catch (e) {}
-                fsVideoContainer.appendChild(v);
+                fsSlots[0].el.insertBefore(v, fsSlots[0].label);
                 fsVideoEl = v;
 
-                // fullscreen time overlay removed per user preference
+                // latency badge and (when switched on) the wall clock, top centre
+                try {
+                    if (!fsLiveClock) {
+                        fsLiveClock = LiveClock.attach({
+                            player: function () { return fsPlayer; },
+                            badge: fsLatencyEl,
+                            autoHide: true,
+                            host: fsOverlay,
+                            clockStyle: { right: 'auto', left: '50%', top: '12px', transform: 'translateX(-50%)', zIndex: 100003, fontSize: '16px', padding: '4px 10px' }
+                        });
+                    }
+                    fsClockBtn.setAttribute('aria-pressed', String(LiveClock.enabled()));
+                } catch (e) {}
+                try {
+                    if (!fsReplay) {
+                        fsReplay = ReplayBar.attach({
+                            host: fsOverlay,
+                            video: function () { return fsVideoEl; },
+                            player: function () { return fsPlayer; },
+                            // clear of the mini map in the bottom-right corner
+                            style: { position: 'absolute', left: '24px', right: '370px', bottom: '24px', zIndex: 100003, background: 'rgba(0,0,0,0.6)', color: '#fff', padding: '6px 8px', borderRadius: '8px' }
+                        });
+                    }
+                } catch (e) {}
 
-                // initialize playback for fullscreen video using cameraById[camId].videoUrl if available
-                var playUrl = url || (cameraById[camId] && cameraById[camId].videoUrl) || null;
-                if (playUrl) {
-                    ensureHls().then(function (Hls) {
-                        try {
-                            if (Hls && Hls.isSupported()) {
-                                fsHlsInstance = new Hls({ enableWorker: true, lowLatencyMode: true, liveSyncDurationCount: 3, maxBufferLength: 30 });
-                                fsHlsInstance.loadSource(playUrl);
-                                fsHlsInstance.attachMedia(fsVideoEl);
-                                try {
-                                    fsHlsInstance.on && fsHlsInstance.on(Hls.Events.ERROR, function (ev, data) {
-                                        try {
-                                            console.warn('Fullscreen HLS error', data);
-                                            fsVideoEl._hlsRetries = (fsVideoEl._hlsRetries || 0) + 1;
-                                            if (data && data.type === 'mediaError' && typeof fsHlsInstance.recoverMediaError === 'function') {
-                                                try { fsHlsInstance.recoverMediaError(); } catch (e) { }
-                                            } else if (data && data.type === 'networkError') {
-                                                try { fsHlsInstance.startLoad && fsHlsInstance.startLoad(); } catch (e) { }
-                                            }
-                                            if (fsVideoEl._hlsRetries >= 3) {
-                                                try { fsHlsInstance.destroy && fsHlsInstance.destroy(); } catch (e) {}
-                                                try { fsVideoEl.src = playUrl; fsVideoEl.load(); fsVideoEl.play().catch(function(){}); } catch (e) {}
-                                            }
-                                        } catch (e) {}
-                                    });
-                                } catch (e) {}
-                                fsVideoEl.play().catch(function () {});
-                            } else {
-                                fsVideoEl.src = playUrl;
-                                fsVideoEl.play().catch(function () {});
-                            }
-                        } catch (e) { console.warn('Failed to init fullscreen HLS', e); }
-                    }).catch(function () {
-                        try { fsVideoEl.src = playUrl; fsVideoEl.play().catch(function () {}); } catch (e) {}
-                    });
-                }
+                // play the camera's current URL (a refresh may have replaced the one the popup was built with);
+                // an open popup or prewarm player for this camera hands its running stream over
+                var playUrl = (cameraById[camId] && cameraById[camId].videoUrl) || url || null;
+                if (playUrl) fsPlayer = PlayerManager.acquire({ key: camId, url: playUrl, role: 'fullscreen', video: fsVideoEl, takeover: true, onQuality: showFsQuality });
+                showFsQuality(fsPlayer && fsPlayer.quality, fsPlayer);
+                // the other slots of a multi-view layout show the cameras after it
+                fillFsSlots();
             } catch (e) { console.warn('Error preparing fullscreen video', e); }
 
             // Close any open popup (so popup contents don't remain visible)
@@ -1167,8 +1755,8 @@
                 createOrUpdateMiniMap(camId);
             } catch (e) { console.warn('Could not create mini map for fullscreen overlay', e); }
 
-            // highlight current camera marker
-            highlightCameraMarker(camId);
+            // highlight the markers of every camera on screen
+            highlightCameraMarker(fsCameraIds());
 
             // Show or hide prev/next buttons depending on whether this camera exists in the ordered list
             try {
@@ -1180,14 +1768,8 @@
             fsOverlay.style.display = 'flex';
             // force tile redraw on main layer to reduce grey tiles
             try { if (tileLayerRef && typeof tileLayerRef.redraw === 'function') tileLayerRef.redraw(); } catch (e) {}
-            // ensure media initialization for the camera
-            try { if (cameraById[camId]) {
-                var c = cameraById[camId];
-                // ensure media init similar to popup open
-                if (c && c.marker) {
-                    c.marker.fire('popupopen');
-                }
-            } } catch (e) {}
+            // mark the cameras active as a popup open would (the overlay has its own players)
+            try { updateMarkerActiveState(fsCameraIds()); } catch (e) {}
             // prewarm nearby HLS for faster switching
             try { prewarmNearby(camId); } catch (e) {}
         }
@@ -1205,11 +1787,21 @@
             // Do not destroy miniMap here; persist it to avoid re-creating tiles/DOM on every open.
             try { /* keep miniMap for reuse */ } catch (e) {}
 
-            // stop any media playing in fsVideoContainer
+            // release the fullscreen players (including one still mid-switch) and empty the video area
             try {
-                if (fsVideoEl) { try { fsVideoEl.pause(); fsVideoEl.removeAttribute('src'); fsVideoEl.src = ''; fsVideoEl.load(); fsVideoEl.parentNode && fsVideoEl.parentNode.removeChild(fsVideoEl); } catch (e) {} fsVideoEl = null; }
-                if (fsHlsInstance) { try { fsHlsInstance.destroy(); } catch (e) {} fsHlsInstance = null; }
-                try { /* fs time interval/element removed per user preference */ } catch (e) {}
+                cancelFsSwitch();
+                if (fsPlayer) { try { fsPlayer.release(); } catch (e) {} fsPlayer = null; }
+                releaseFsSlots();
+                fsSlots = [];
+                showFsQuality(null);
+                fsVideoEl = null;
+                if (fsVideoContainer) fsVideoContainer.innerHTML = '';
+                if (fsListEl) { fsListEl.style.display = 'none'; fsListBtn.setAttribute('aria-pressed', 'false'); }
+                if (fsLiveClock) { try { fsLiveClock.destroy(); } catch (e) {} fsLiveClock = null; }
+                if (fsReplay) { try { fsReplay.reset(); fsReplay.destroy(); } catch (e) {} fsReplay = null; }
+                setFsRecording(false);
+                if (fsStats) { fsStats.hide(); fsStatsBtn.setAttribute('aria-pressed', 'false'); }
+                if (fsLatencyEl) fsLatencyEl.hidden = true;
             } catch (e) { }
 
             // hide overlay immediately
@@ -1236,18 +1828,349 @@
                     setTimeout(function () { try { cameraById[reopenId].marker.openPopup(); } catch (e) {} }, 520);
                 }
             } catch (e) { currentFsCameraId = null; }
+            // cameras a refresh removed while they were on screen can go now
+            try { flushRetiredCameras(); } catch (e) {}
             // clear any saved original parent/nextSibling (no longer used when using miniMap)
             try { mapOriginalParent = null; mapOriginalNextSibling = null; } catch (e) {}
         }
 
-        function highlightCameraMarker(camId) {
+        // Quality cap of the fullscreen player; a camera still switching in doesn't count yet
+        function showFsQuality(q, p) {
+            if (!fsQualityEl || (p && p !== fsPlayer)) return;
+            fsQualityEl.textContent = PlayerManager.qualityLabel(q);
+            fsQualityEl.title = PlayerManager.qualityTitle(q);
+            fsQualityEl.style.display = q ? '' : 'none';
+        }
+
+        // Snapshot of the fullscreen camera; Shift copies it instead of downloading
+        function fsSnapshot(e) {
+            FrameSnapshot.fromEvent(e, fsVideoEl, function () {
+                var c = cameraById[currentFsCameraId];
+                return { title: c ? c.title : null, id: currentFsCameraId, player: fsPlayer };
+            }, showToast);
+        }
+
+        document.addEventListener('keydown', function (e) {
+            if (!fsOverlay || fsOverlay.style.display === 'none' || currentFsCameraId == null) return;
+            if (e.ctrlKey || e.metaKey || e.altKey || (e.key !== 's' && e.key !== 'S')) return;
+            var t = e.target;
+            if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+            e.preventDefault();
+            fsSnapshot(e);
+        });
+
+        // Switch the fullscreen recorder on or off; it follows the camera on screen
+        function setFsRecording(on) {
+            if (!fsRecBtn) return;
+            if (on) {
+                if (!fsRecorder) {
+                    fsRecorder = ClipRecorder.create({
+                        video: function () { return fsVideoEl; },
+                        title: function () { var c = cameraById[currentFsCameraId]; return c ? c.title : 'Camera ' + currentFsCameraId; }
+                    });
+                }
+                on = fsRecorder.start();
+            } else if (fsRecorder) {
+                fsRecorder.stop();
+            }
+            fsRecBtn.style.color = on ? '#d9534f' : '';
+            fsRecBtn.setAttribute('aria-pressed', String(on));
+            fsSaveClipBtn.style.display = on ? '' : 'none';
+        }
+
+        // Abandon a fullscreen camera switch that hasn't shown its first frame yet
+        function cancelFsSwitch() {
+            var sw = fsSwitch;
+            if (!sw) return;
+            fsSwitch = null;
+            sw.timers.forEach(function (t) { clearTimeout(t); });
+            try { if (sw.player) sw.player.release(); } catch (e) {}
+            try { if (sw.spinner.parentNode) sw.spinner.parentNode.removeChild(sw.spinner); } catch (e) {}
+            try { if (sw.video.parentNode) sw.video.parentNode.removeChild(sw.video); } catch (e) {}
+        }
+
+        function fsOpen() { return !!(fsOverlay && fsOverlay.style.display !== 'none'); }
+
+        // Cameras on screen in the overlay, main view first
+        function fsCameraIds() {
+            var ids = [];
+            if (currentFsCameraId != null) ids.push(currentFsCameraId);
+            for (var i = 1; i < fsSlots.length; i++) if (fsSlots[i].camId != null) ids.push(fsSlots[i].camId);
+            return ids;
+        }
+
+        // Slot showing a camera, or -1
+        function fsSlotOf(camId) {
+            if (camId == null) return -1;
+            if (currentFsCameraId != null && String(currentFsCameraId) === String(camId)) return 0;
+            for (var i = 1; i < fsSlots.length; i++) {
+                if (fsSlots[i].camId != null && String(fsSlots[i].camId) === String(camId)) return i;
+            }
+            return -1;
+        }
+
+        function makeFsVideo() {
+            var v = document.createElement('video');
+            v.style.width = '100%'; v.style.height = '100%'; v.controls = false; v.muted = true; v.playsInline = true; v.autoplay = true;
+            try { v.style.objectFit = 'contain'; } catch (e) {}
+            return v;
+        }
+
+        // One cell of the layout grid; click selects it, double-click promotes it to the main view
+        function makeFsSlot() {
+            var el = document.createElement('div');
+            el.className = 'fs-slot';
+            el.style.position = 'relative'; el.style.minWidth = '0'; el.style.minHeight = '0'; el.style.overflow = 'hidden'; el.style.background = '#000';
+            el.style.display = 'flex'; el.style.alignItems = 'center'; el.style.justifyContent = 'center';
+            var label = document.createElement('div');
+            label.className = 'fs-slot-label';
+            label.style.position = 'absolute'; label.style.left = '8px'; label.style.bottom = '8px'; label.style.zIndex = 100006;
+            label.style.background = 'rgba(0,0,0,0.55)'; label.style.color = '#fff'; label.style.fontSize = '12px'; label.style.padding = '3px 8px'; label.style.borderRadius = '6px';
+            label.style.maxWidth = 'calc(100% - 16px)'; label.style.overflow = 'hidden'; label.style.textOverflow = 'ellipsis'; label.style.whiteSpace = 'nowrap';
+            label.style.display = 'none';
+            el.appendChild(label);
+            var slot = { el: el, label: label, camId: null, player: null, video: null };
+            el.addEventListener('click', function () { selectFsSlot(fsSlots.indexOf(slot)); });
+            el.addEventListener('dblclick', function () {
+                var i = fsSlots.indexOf(slot);
+                if (i > 0) swapFsSlots(0, i);
+            });
+            return slot;
+        }
+
+        // Camera title of an extra slot, with how its player is doing
+        function showFsSlotLabel(s, state) {
+            var cam = s.camId != null ? cameraById[s.camId] : null;
+            if (s.camId == null) s.label.textContent = 'Empty · pick a camera on the mini map or in the list';
+            else s.label.textContent = (cam ? cam.title : 'Camera ' + s.camId) + (state === 'unavailable' ? ' · stream unavailable' : (state === 'waiting' ? ' · waiting for a free player' : ''));
+            s.label.style.display = '';
+        }
+
+        // Grid template of the current layout, the selected slot's outline and the picker's state
+        function applyFsLayout() {
+            var lay = FS_LAYOUTS[fsLayout];
+            FS_LAYOUT_ORDER.forEach(function (k) { if (fsLayoutBtns[k]) fsLayoutBtns[k].setAttribute('aria-pressed', String(k === fsLayout)); });
+            if (!fsVideoContainer) return;
+            fsVideoContainer.style.display = 'grid';
+            fsVideoContainer.style.gridTemplateColumns = lay.columns;
+            fsVideoContainer.style.gridTemplateRows = lay.rows;
+            fsVideoContainer.style.gap = lay.slots > 1 ? '4px' : '0';
+            fsSlots.forEach(function (s, i) {
+                s.el.style.gridRow = i === 0 && lay.mainRows ? lay.mainRows : '';
+                s.el.style.gridColumn = i === 0 && lay.mainRows ? '1' : '';
+                s.el.style.outline = lay.slots > 1 && i === fsSelectedSlot ? '2px solid #34a0ff' : 'none';
+                s.el.style.outlineOffset = '-2px';
+            });
+        }
+
+        // Empty the video area and lay out the slots of the current layout; slot 0 waits for the main video
+        function buildFsSlots() {
+            releaseFsSlots();
+            fsVideoContainer.innerHTML = '';
+            fsSlots = [];
+            for (var i = 0; i < FS_LAYOUTS[fsLayout].slots; i++) {
+                fsSlots.push(makeFsSlot());
+                fsVideoContainer.appendChild(fsSlots[i].el);
+            }
+            if (fsSelectedSlot >= fsSlots.length) fsSelectedSlot = 0;
+            applyFsLayout();
+        }
+
+        function clearFsSlot(s) {
+            try { if (s.player) s.player.release(); } catch (e) {}
+            try { if (s.video && s.video.parentNode) s.video.parentNode.removeChild(s.video); } catch (e) {}
+            s.player = null;
+            s.video = null;
+            s.camId = null;
+        }
+
+        // Give up the players of the extra slots (slot 0's is fsPlayer)
+        function releaseFsSlots() {
+            for (var i = 1; i < fsSlots.length; i++) clearFsSlot(fsSlots[i]);
+        }
+
+        // Player for a camera in a slot: the main view gets the fullscreen role, the others play like popups.
+        // A live player of the camera (prewarm, popup or another slot) hands its stream over.
+        function acquireFsSlotPlayer(i, camId, url, video) {
+            if (i === 0) return PlayerManager.acquire({ key: camId, url: url, role: 'fullscreen', video: video, takeover: true, onQuality: showFsQuality });
+            var s = fsSlots[i];
+            return PlayerManager.acquire({
+                key: camId, url: url, role: 'popup', video: video, takeover: true,
+                onState: function (state, p) { if (s.player === p && state !== 'released') showFsSlotLabel(s, state); }
+            });
+        }
+
+        // Play a camera in one of the extra slots
+        function setFsSlotCamera(i, camId) {
+            var s = fsSlots[i], cam = cameraById[camId];
+            if (!s || i === 0 || !cam || !cam.videoUrl) return;
+            clearFsSlot(s);
+            var v = makeFsVideo();
+            s.el.insertBefore(v, s.label);
+            s.video = v;
+            s.camId = camId;
+            s.player = acquireFsSlotPlayer(i, camId, cam.videoUrl, v);
+            showFsSlotLabel(s, s.player && s.player.state);
+        }
+
+        // Fill the empty extra slots with the cameras after the main one in the ordered list
+        function fillFsSlots() {
+            var n = orderedCameraIds.length;
+            var idx = orderedCameraIds.indexOf(Number(currentFsCameraId));
+            for (var i = 1; i < fsSlots.length; i++) {
+                if (fsSlots[i].camId != null) continue;
+                for (var step = 1; step <= n; step++) {
+                    var id = orderedCameraIds[(idx + step + n) % n];
+                    if (cameraById[id] && cameraById[id].videoUrl && fsSlotOf(id) === -1) { setFsSlotCamera(i, id); break; }
+                }
+                if (fsSlots[i].camId == null) showFsSlotLabel(fsSlots[i]);
+            }
+        }
+
+        // Exchange the cameras of two slots. Both streams move over to new <video>s instead of loading
+        // again; the main view never ends up empty.
+        function swapFsSlots(i, j) {
+            if (i === j || !fsSlots[i] || !fsSlots[j]) return;
+            if (i > j) { var t = i; i = j; j = t; }
+            var a = fsSlotContent(i), b = fsSlotContent(j);
+            if (i === 0 && b.camId == null) return;
+            if (i === 0) cancelFsSwitch();
+            // the new players take the running streams over from the old ones
+            var va = b.camId != null ? makeFsVideo() : null;
+            var vb = a.camId != null ? makeFsVideo() : null;
+            var pa = va ? acquireFsSlotPlayer(i, b.camId, b.url, va) : null;
+            var pb = vb ? acquireFsSlotPlayer(j, a.camId, a.url, vb) : null;
+            try { if (a.player) a.player.release(); } catch (e) {}
+            try { if (b.player) b.player.release(); } catch (e) {}
+            setFsSlotContent(i, b.camId, pa, va, a.video);
+            setFsSlotContent(j, a.camId, pb, vb, b.video);
+            if (i === 0) {
+                // the main view shows another camera now: start it live and keep recording it
+                try { if (fsReplay) fsReplay.reset(); } catch (e) {}
+                try { if (fsRecorder && fsRecorder.recording()) { fsRecorder.stop(); fsRecorder.start(); } } catch (e) {}
+                showFsQuality(fsPlayer && fsPlayer.quality, fsPlayer);
+                try {
+                    var inList = orderedCameraIds.indexOf(Number(currentFsCameraId)) !== -1;
+                    if (fsPrevBtn) fsPrevBtn.style.display = inList ? '' : 'none';
+                    if (fsNextBtn) fsNextBtn.style.display = inList ? '' : 'none';
+                } catch (e) {}
+                try { prewarmNearby(currentFsCameraId); } catch (e) {}
+            }
+            refreshFsHighlights();
+        }
+
+        function fsSlotContent(i) {
+            if (i === 0) return { camId: currentFsCameraId, player: fsPlayer, video: fsVideoEl, url: fsPlayer ? fsPlayer.url : null };
+            var s = fsSlots[i];
+            var cam = s.camId != null ? cameraById[s.camId] : null;
+            return { camId: s.camId, player: s.player, video: s.video, url: s.player ? s.player.url : (cam && cam.videoUrl) };
+        }
+
+        function setFsSlotContent(i, camId, player, video, oldVideo) {
+            var s = fsSlots[i];
+            try { if (oldVideo && oldVideo.parentNode) oldVideo.parentNode.removeChild(oldVideo); } catch (e) {}
+            if (video) s.el.insertBefore(video, s.label);
+            if (i === 0) {
+                currentFsCameraId = camId;
+                fsPlayer = player;
+                fsVideoEl = video;
+                return;
+            }
+            s.camId = camId;
+            s.player = player;
+            s.video = video;
+            showFsSlotLabel(s, player && player.state);
+        }
+
+        function selectFsSlot(i) {
+            if (i < 0 || i >= fsSlots.length) return;
+            fsSelectedSlot = i;
+            applyFsLayout();
+        }
+
+        // A mini-map marker or overlay list entry was picked: show the camera in the selected slot. A camera
+        // already on screen trades places with the selected slot rather than playing twice.
+        function assignFsCamera(camId) {
+            if (!cameraById[camId]) return;
+            var target = fsSelectedSlot < fsSlots.length ? fsSelectedSlot : 0;
+            var at = fsSlotOf(camId);
+            if (at === target) return;
+            if (at !== -1) { swapFsSlots(target, at); return; }
+            if (target === 0) { switchFullscreenCamera(camId); return; }
+            setFsSlotCamera(target, camId);
+            refreshFsHighlights();
+        }
+
+        function setFsLayout(name) {
+            if (!FS_LAYOUTS[name]) return;
+            fsLayout = name;
+            if (!fsOpen() || !fsSlots.length) { applyFsLayout(); return; }
+            var n = FS_LAYOUTS[name].slots;
+            while (fsSlots.length > n) {
+                var gone = fsSlots.pop();
+                clearFsSlot(gone);
+                try { gone.el.parentNode.removeChild(gone.el); } catch (e) {}
+            }
+            while (fsSlots.length < n) {
+                var added = makeFsSlot();
+                fsSlots.push(added);
+                fsVideoContainer.appendChild(added.el);
+            }
+            if (fsSelectedSlot >= n) fsSelectedSlot = 0;
+            applyFsLayout();
+            fillFsSlots();
+            refreshFsHighlights();
+        }
+
+        // Markers on both maps and the overlay's camera list mark every camera on screen
+        function refreshFsHighlights() {
+            var ids = fsCameraIds();
+            highlightCameraMarker(ids);
+            try { updateMarkerActiveState(ids); } catch (e) {}
+            if (fsListEl && fsListEl.style.display !== 'none') renderFsList();
+        }
+
+        function toggleFsList() {
+            var show = fsListEl.style.display === 'none';
+            fsListEl.style.display = show ? 'block' : 'none';
+            fsListBtn.setAttribute('aria-pressed', String(show));
+            if (show) renderFsList();
+        }
+
+        // The legend's camera list, in its order, for picking cameras while the overlay covers it
+        function renderFsList() {
+            var onScreen = activeIdList(fsCameraIds());
+            fsListEl.innerHTML = '';
+            var head = document.createElement('strong');
+            head.textContent = 'Cameras';
+            head.style.display = 'block'; head.style.marginBottom = '4px';
+            fsListEl.appendChild(head);
+            var entries = document.querySelectorAll('#camera-list-entries [data-camera-id]');
+            Array.prototype.forEach.call(entries, function (src) {
+                var o = cameraById[src.dataset.cameraId];
+                if (!o) return;
+                var camId = o.id != null ? o.id : src.dataset.cameraId;
+                var entry = document.createElement('div');
+                entry.className = 'camera-list-entry';
+                entry.dataset.cameraId = src.dataset.cameraId;
+                entry.textContent = src.textContent;
+                entry.style.padding = '4px 2px'; entry.style.borderBottom = '1px solid rgba(0,0,0,0.06)'; entry.style.cursor = 'pointer';
+                if (onScreen.indexOf(String(camId)) !== -1) { entry.style.fontWeight = '600'; entry.style.color = '#0b66ff'; }
+                entry.addEventListener('click', function () { assignFsCamera(camId); });
+                fsListEl.appendChild(entry);
+            });
+        }
+
+        // Enlarge the main map markers of one camera id or a list of them
+        function highlightCameraMarker(camIds) {
             try {
+                var ids = activeIdList(camIds);
                 for (var k in cameraById) {
                     var o = cameraById[k];
                     if (!o || !o.marker) continue;
                     var el = o.marker.getElement && o.marker.getElement();
                     if (el) {
-                        if (Number(k) === Number(camId)) el.style.transform = 'scale(1.4)'; else el.style.transform = '';
+                        if (ids.indexOf(String(k)) !== -1) el.style.transform = 'scale(1.4)'; else el.style.transform = '';
                     }
                 }
             } catch (e) { }
@@ -1284,9 +2207,14 @@
         function switchFullscreenCamera(camId) {
             try {
                 if (!fsOverlay || fsOverlay.style.display === 'none') return;
+                // a camera already playing in another slot trades places with the main view instead
+                var slot = fsSlotOf(camId);
+                if (slot > 0) { swapFsSlots(0, slot); return; }
                 currentFsCameraId = camId;
+                // the next camera starts live
+                try { if (fsReplay) fsReplay.reset(); } catch (e) {}
                 // update highlight
-                highlightCameraMarker(camId);
+                highlightCameraMarker(fsCameraIds());
 
                 // toggle prev/next visibility for cameras not in the ordered list
                 try {
@@ -1308,7 +2236,7 @@
                                 try { miniMap.invalidateSize(); } catch (e) {}
                                 try { miniMap.setView(coords, Math.max(map.getZoom(), 16)); } catch (e) {}
                                 try {
-                                    var mm = miniMarkersById && miniMarkersById[Number(camId)];
+                                    var mm = miniMarkersById && miniMarkersById[camId];
                                     if (mm && typeof mm.openPopup === 'function') mm.openPopup();
                                 } catch (e) {}
                             }
@@ -1326,8 +2254,10 @@
                     // Double-buffered swap: create a new video element and only remove the old one
                     // after the new stream has started playing. This reduces the visible black/white gap.
                     try {
+                        // a switch that hasn't shown a frame yet is superseded by this one
+                        cancelFsSwitch();
                         var oldFsVideo = fsVideoEl;
-                        var oldFsHls = fsHlsInstance;
+                        var oldFsPlayer = fsPlayer;
 
                         // lightweight loading spinner while we switch
                         var spinner = document.createElement('div');
@@ -1342,7 +2272,7 @@
                         spinner.style.borderRadius = '6px';
                         spinner.style.zIndex = 100010;
                         spinner.textContent = 'Loading…';
-                        try { if (fsVideoContainer) fsVideoContainer.appendChild(spinner); } catch (e) {}
+                        try { fsSlots[0].el.appendChild(spinner); } catch (e) {}
 
                         // create the new fullscreen video element (kept hidden until playing)
                         var newV = document.createElement('video');
@@ -1350,133 +2280,55 @@
                         try { newV.style.objectFit = 'contain'; newV.style.maxHeight = '100%'; newV.style.maxWidth = '100%'; } catch (e) {}
                         // position above the old video so we can see when frames arrive
                         newV.style.position = 'absolute'; newV.style.left = '0'; newV.style.top = '0'; newV.style.zIndex = 100005; newV.style.background = '#000';
-                        try { if (fsVideoContainer) fsVideoContainer.appendChild(newV); } catch (e) {}
+                        try { fsSlots[0].el.appendChild(newV); } catch (e) {}
+
+                        // a prewarm player (or an open popup) for this camera hands its running stream over
+                        var newPlayer = PlayerManager.acquire({ key: camId, url: newUrl, role: 'fullscreen', video: newV, takeover: true, onQuality: showFsQuality });
+                        var sw = fsSwitch = { player: newPlayer, video: newV, spinner: spinner, timers: [] };
 
                         // helper to finalize swap
-                        var swapDone = false;
                         function finalizeSwap(success) {
-                            if (swapDone) return; swapDone = true;
+                            if (fsSwitch !== sw) return;
+                            fsSwitch = null;
+                            sw.timers.forEach(function (t) { clearTimeout(t); });
                             try { if (spinner && spinner.parentNode) spinner.parentNode.removeChild(spinner); } catch (e) {}
-                            try {
-                                // remove old video element
-                                if (oldFsVideo && oldFsVideo.parentNode) { try { oldFsVideo.pause(); oldFsVideo.removeAttribute('src'); oldFsVideo.src = ''; oldFsVideo.load(); oldFsVideo.parentNode.removeChild(oldFsVideo); } catch (e) {} }
-                            } catch (e) {}
-                            try {
-                                // destroy old Hls instance if it was not reused
-                                if (oldFsHls && oldFsHls !== fsHlsInstance) { try { oldFsHls.destroy(); } catch (e) {} }
-                            } catch (e) {}
-                            try {
-                                // If the new video has a srcObject (from previous strategies), clear it when Hls is active
-                                try { if (newV && newV.srcObject && fsHlsInstance) { try { newV.srcObject = null; } catch (e) {} } } catch (e) {}
-                            } catch (e) {}
-                            // set the global fsVideoEl to the new one
+                            // release the old player and remove its video element
+                            try { if (oldFsPlayer && oldFsPlayer !== newPlayer) oldFsPlayer.release(); } catch (e) {}
+                            try { if (oldFsVideo && oldFsVideo.parentNode) oldFsVideo.parentNode.removeChild(oldFsVideo); } catch (e) {}
+                            // the new video and player are the fullscreen ones now
+                            fsPlayer = newPlayer;
                             fsVideoEl = newV;
+                            showFsQuality(newPlayer && newPlayer.quality, newPlayer);
+                            // keep recording, now the new camera
+                            try { if (fsRecorder && fsRecorder.recording()) { fsRecorder.stop(); fsRecorder.start(); } } catch (e) {}
                             // ensure the new video element is not absolutely positioned anymore
                             try { fsVideoEl.style.position = ''; fsVideoEl.style.left = ''; fsVideoEl.style.top = ''; fsVideoEl.style.zIndex = ''; } catch (e) {}
                         }
 
-                        // attempt to reuse an Hls instance attached to the marker first
-                        var reused = null;
-                        try { if (cameraById[camId] && cameraById[camId].raw && cameraById[camId].raw._hlsInstance) reused = cameraById[camId].raw._hlsInstance; } catch (e) {}
-                        // fall back to marker._hlsInstance as some code stored it directly on marker
-                        try { if (!reused && cameraById[camId] && cameraById[camId].marker && cameraById[camId].marker._hlsInstance) reused = cameraById[camId].marker._hlsInstance; } catch (e) {}
-                        // also try the prewarm pool
-                        try { if (!reused) reused = usePrewarm(camId); } catch (e) {}
-
-                        if (reused) {
-                            try {
-                                // detach from any previous media and attach to the new video
-                                try { if (typeof reused.detachMedia === 'function') reused.detachMedia(); } catch (e) {}
-                                fsHlsInstance = reused;
-                                fsHlsInstance.attachMedia(newV);
-                                // play and wait for playing event
-                                newV.play().catch(function () {});
-                            } catch (e) { fsHlsInstance = null; }
-                        }
-                        // Simpler/reliable reuse: if a prewarmed Hls instance exists, detach it from its hidden
-                        // video and attach it directly to the new fullscreen video element. This avoids captureStream
-                        // and snapshot complexities which can fail under autoplay/cross-origin constraints.
-                        try {
-                            var prewarmed = usePrewarm(camId);
-                            if (prewarmed) {
-                                try {
-                                    // detach from any previous media and attach to our new video element
-                                    if (typeof prewarmed.detachMedia === 'function') {
-                                        try { prewarmed.detachMedia(); } catch (e) {}
-                                    }
-                                    fsHlsInstance = prewarmed;
-                                    fsHlsInstance.attachMedia(newV);
-                                    newV.play().catch(function () {});
-                                } catch (e) { fsHlsInstance = null; }
-                            }
-                        } catch (e) {}
-
-                        if (!fsHlsInstance) {
-                            // init new Hls or native src on the new video element
-                            ensureHls().then(function (Hls) {
-                                try {
-                                    if (Hls && Hls.isSupported()) {
-                                        var h = new Hls();
-                                        h.loadSource(newUrl);
-                                        h.attachMedia(newV);
-                                        fsHlsInstance = h;
-                                        // play; wait for 'playing' event below
-                                        newV.play().catch(function () {});
-                                    } else {
-                                        newV.src = newUrl;
-                                        newV.play().catch(function () {});
-                                    }
-                                } catch (e) { console.warn('Failed to switch fullscreen HLS', e); }
-                            }).catch(function () { try { newV.src = newUrl; newV.play().catch(function () {}); } catch (e) {} });
-                        }
-
-                        // Safety attach timeout: if we haven't received frames quickly, force Hls/native fallback.
-                        var attachTimeout = setTimeout(function () {
+                        // Safety timeout: if we haven't received frames quickly, reload the stream once.
+                        sw.timers.push(setTimeout(function () {
                             try {
                                 var isPlaying = newV && !newV.paused && !newV.ended && newV.readyState > 2;
-                                if (!isPlaying) {
-                                    try {
-                                        // If an Hls instance is available (reused), re-attach to ensure it owns the element
-                                        if (fsHlsInstance) {
-                                            try { fsHlsInstance.detachMedia(); } catch (e) {}
-                                            try { fsHlsInstance.attachMedia(newV); newV.play().catch(function () {}); } catch (e) {}
-                                        } else {
-                                            // Try to initialize Hls now and attach
-                                            ensureHls().then(function (Hls) {
-                                                try {
-                                                    if (Hls && Hls.isSupported()) {
-                                                        var hh = new Hls({ enableWorker: true, lowLatencyMode: true, liveSyncDurationCount: 3, maxBufferLength: 30 });
-                                                        hh.loadSource(newUrl);
-                                                        hh.attachMedia(newV);
-                                                        fsHlsInstance = hh;
-                                                        try {
-                                                            var onFragFb = function () { try { hh.off && hh.off(Hls.Events.FRAG_BUFFERED, onFragFb); finalizeSwap(true); } catch (e) { finalizeSwap(true); } };
-                                                            if (hh && hh.on && Hls && Hls.Events && typeof Hls.Events.FRAG_BUFFERED !== 'undefined') hh.on(Hls.Events.FRAG_BUFFERED, onFragFb);
-                                                        } catch (e) {}
-                                                        newV.play().catch(function () {});
-                                                    } else {
-                                                        newV.src = newUrl; newV.play().catch(function () {});
-                                                    }
-                                                } catch (e) { try { newV.src = newUrl; newV.play().catch(function () {}); } catch (er) {} }
-                                            }).catch(function () { try { newV.src = newUrl; newV.play().catch(function () {}); } catch (e) {} });
-                                        }
-                                    } catch (e) {}
-                                }
+                                if (!isPlaying && newPlayer) newPlayer.restart();
                             } catch (e) {}
-                        }, 2200);
+                        }, 2200));
 
                         // When the new video reports playing (a frame rendered), finalize swap.
-                        var onPlaying = function () { try { clearTimeout(attachTimeout); newV.removeEventListener('playing', onPlaying); newV.removeEventListener('loadeddata', onLoaded); finalizeSwap(true); } catch (e) { try { clearTimeout(attachTimeout); } catch (er) {} finalizeSwap(true); } };
-                        var onLoaded = function () { try { clearTimeout(attachTimeout); newV.removeEventListener('playing', onPlaying); newV.removeEventListener('loadeddata', onLoaded); finalizeSwap(true); } catch (e) { try { clearTimeout(attachTimeout); } catch (er) {} finalizeSwap(true); } };
-                        newV.addEventListener('playing', onPlaying);
-                        newV.addEventListener('loadeddata', onLoaded);
+                        var onFirstFrame = function () {
+                            try { newV.removeEventListener('playing', onFirstFrame); newV.removeEventListener('loadeddata', onFirstFrame); } catch (e) {}
+                            finalizeSwap(true);
+                        };
+                        newV.addEventListener('playing', onFirstFrame);
+                        newV.addEventListener('loadeddata', onFirstFrame);
 
                         // safety fallback: finalize swap after 4s even if playing event didn't fire
-                        setTimeout(function () { finalizeSwap(false); }, 4000);
+                        sw.timers.push(setTimeout(function () { finalizeSwap(false); }, 4000));
                     } catch (e) { console.warn('Error while switching fullscreen camera video', e); }
                 } catch (e) { }
-                // update marker visuals on both maps
-                try { updateMarkerActiveState(camId); } catch (e) {}
+                // keep the neighbours of the new camera warm for the next switch
+                try { prewarmNearby(camId); } catch (e) {}
+                // update marker visuals on both maps and the overlay's camera list
+                try { refreshFsHighlights(); } catch (e) {}
 
                 // open a minimal popup on the main map marker and center the main map on it (non-FS only) to preserve the previous behavior
                 try {
@@ -1557,28 +2409,12 @@
                     // add markers
                     miniMarkersById = {};
                     try {
-                        for (var k in cameraById) {
-                            var cam = cameraById[k];
-                            if (!cam || !cam.coords) continue;
-                            var idnum = Number(k);
-                            var miniIcon = L.divIcon({ className: 'mini-camera-icon', html: '<div class="mini-dot" style="width:14px;height:14px;border-radius:50%;background:#ffffff;border:2px solid #666;box-shadow:0 1px 2px rgba(0,0,0,0.3)"></div>', iconSize: [18,18], iconAnchor: [9,9] });
-                            var m = L.marker(cam.coords, { icon: miniIcon, title: cam.title || ('Camera ' + k) }).addTo(miniMap);
-                            // bind a small, non-panning popup that shows ONLY the camera's name (title/location/roadway)
-                            try {
-                                // Prefer the stored, computed title (set when markers were created).
-                                var nameOnly = (cameraById && cameraById[k] && cameraById[k].title) || (cam && (cam.location || cam.roadway)) || ('Camera ' + k);
-                                m.bindPopup(escHtml(String(nameOnly)), { autoPan: false, closeOnClick: true });
-                            } catch (e) {}
-                            miniMarkersById[idnum] = m;
-                            (function (mid, mm) { mm.on('click', function () { try { switchFullscreenCamera(mid); } catch (e) {} }); })(idnum, m);
-                        }
+                        for (var k in cameraById) addMiniMarker(k);
                     } catch (e) {}
 
                     try {
-                        var trackEl = document.getElementById('track-geojson');
-                        if (trackEl) {
-                            var txt = trackEl.textContent || trackEl.innerText || '';
-                            var gj = JSON.parse(txt);
+                        var gj = trackGeoJson || readInlineTrack();
+                        if (gj) {
                             var miniTrack = L.geoJSON(gj, { style: function (feature) { return { color: '#d6336c', weight: 3, opacity: 0.9 }; } }).addTo(miniMap);
                             try { miniMap.fitBounds(miniTrack.getBounds().pad(0.12)); } catch (e) {}
                         }
@@ -1592,29 +2428,52 @@
                 } catch (e) {}
 
                 // apply active styling
-                try { updateMarkerActiveState(activeCamId); } catch (e) {}
+                try { updateMarkerActiveState(fsCameraIds()); } catch (e) {}
             } catch (e) { console.warn('createOrUpdateMiniMap failed', e); }
         }
 
-        // Update marker active styling on both the main map and the mini map
-        function updateMarkerActiveState(activeCamId) {
+        // Add the mini map marker for one camera (used on creation and when a refresh adds cameras)
+        function addMiniMarker(k) {
+            if (!miniMap) return null;
+            var cam = cameraById[k];
+            if (!cam || !cam.coords) return null;
+            var camId = cam.id != null ? cam.id : k;
+            var miniIcon = L.divIcon({ className: 'mini-camera-icon', html: '<div class="mini-dot" style="width:14px;height:14px;border-radius:50%;background:#ffffff;border:2px solid #666;box-shadow:0 1px 2px rgba(0,0,0,0.3)"></div>', iconSize: [18,18], iconAnchor: [9,9] });
+            var m = L.marker(cam.coords, { icon: miniIcon, title: cam.title || ('Camera ' + k) }).addTo(miniMap);
+            // bind a small, non-panning popup that shows ONLY the camera's name (title/location/roadway)
+            try {
+                m.bindPopup(escHtml(String(cam.title || ('Camera ' + k))), { autoPan: false, closeOnClick: true });
+            } catch (e) {}
+            miniMarkersById[k] = m;
+            m.on('click', function () { try { assignFsCamera(camId); } catch (e) {} });
+            return m;
+        }
+
+        // Ids as strings, for one camera id or a list of them
+        function activeIdList(camIds) {
+            return [].concat(camIds).filter(function (id) { return id != null; }).map(String);
+        }
+
+        // Update marker active styling on both the main map and the mini map (one camera id or a list)
+        function updateMarkerActiveState(activeCamIds) {
             try {
+                var ids = activeIdList(activeCamIds);
                 for (var k in cameraById) {
                     try {
-                        var idnum = Number(k);
+                        var isActive = ids.indexOf(String(k)) !== -1;
                         var o = cameraById[k];
                         var el = o && o.marker && o.marker.getElement && o.marker.getElement();
                         if (el) {
-                            if (idnum === Number(activeCamId)) el.style.boxShadow = '0 0 0 3px rgba(52,144,220,0.35)'; else el.style.boxShadow = '';
+                            if (isActive) el.style.boxShadow = '0 0 0 3px rgba(52,144,220,0.35)'; else el.style.boxShadow = '';
                         }
-                        var mm = miniMarkersById && miniMarkersById[idnum];
+                        var mm = miniMarkersById && miniMarkersById[k];
                         if (mm && mm.getElement) {
                             var mel = mm.getElement();
                             if (mel) {
                                 var dot = mel.querySelector && mel.querySelector('div');
                                 if (dot) {
-                                    if (idnum === Number(activeCamId)) dot.style.background = '#34a0ff'; else dot.style.background = '#fff';
-                                    if (idnum === Number(activeCamId)) dot.style.borderColor = '#0b66ff'; else dot.style.borderColor = '#666';
+                                    if (isActive) dot.style.background = '#34a0ff'; else dot.style.background = '#fff';
+                                    if (isActive) dot.style.borderColor = '#0b66ff'; else dot.style.borderColor = '#666';
                                 }
                             }
                         }
@@ -1663,7 +2522,8 @@
                         fetchImageryMetadata();
                     };
                 };
-                legendEl.appendChild(switchBtn);
+                // OSM tiles are remote too, so there's nothing to switch to offline
+                if (!fixtureMode) legendEl.appendChild(switchBtn);
 
                 // Add bounds relax button
                 var relaxBtn = document.createElement('button');
@@ -1784,14 +2644,17 @@
         }
 
         // Run metadata check once
-        try { fetchImageryMetadata(); } catch (e) { }
-
-        // Load the inline GeoJSON for the track
         try {
-            var geojsonEl = document.getElementById('track-geojson');
-            if (geojsonEl) {
-                var txt = geojsonEl.textContent || geojsonEl.innerText || '';
-                var gj = JSON.parse(txt);
+            if (fixtureMode) { var infoFx = document.getElementById('imagery-info'); if (infoFx) infoFx.textContent = 'Imagery: local fixture tiles'; }
+            else fetchImageryMetadata();
+        } catch (e) { }
+
+        // Track GeoJSON drawn on the main map; the fullscreen mini map reuses it
+        var trackGeoJson = null;
+
+        function addTrackToMap(gj) {
+            try {
+                trackGeoJson = gj;
                 var trackLayer = L.geoJSON(gj, {
                     style: function (feature) {
                         return { color: '#d6336c', weight: 3, opacity: 0.9 };
@@ -1807,9 +2670,36 @@
                 } catch (e) {
                     console.warn('Could not fit bounds to track:', e);
                 }
+            } catch (e) {
+                console.warn('Failed to draw track GeoJSON', e);
             }
-        } catch (e) {
-            console.warn('Failed to parse track GeoJSON', e);
+        }
+
+        function readInlineTrack() {
+            try {
+                var geojsonEl = document.getElementById('track-geojson');
+                if (!geojsonEl) return null;
+                var txt = geojsonEl.textContent || geojsonEl.innerText || '';
+                return JSON.parse(txt);
+            } catch (e) {
+                console.warn('Failed to parse track GeoJSON', e);
+                return null;
+            }
+        }
+
+        // Load the inline GeoJSON for the track (fixtures/track.geojson first in fixture mode)
+        if (fixtureMode) {
+            fetch(Fixtures.url('track.geojson'), { cache: 'no-store' }).then(function (r) {
+                if (!r.ok) throw new Error('track fixture responded ' + r.status);
+                return r.json();
+            }).then(addTrackToMap).catch(function (e) {
+                console.warn('Fixture track unavailable; using the inline track', e);
+                var inline = readInlineTrack();
+                if (inline) addTrackToMap(inline);
+            });
+        } else {
+            var inlineTrack = readInlineTrack();
+            if (inlineTrack) addTrackToMap(inlineTrack);
         }
 
         // Standings UI
@@ -1833,7 +2723,7 @@
         }
 
         // Fetch standings from endpoint
-        var api = ds.apiEndpoint || 'https://api.openf1.org/v1/position?session_key=latest';
+        var api = fixtureMode ? Fixtures.url('standings.json') : (ds.apiEndpoint || 'https://api.openf1.org/v1/position?session_key=latest');
 
         async function fetchStandings() {
             if (!standingsEl) return;
@@ -1941,7 +2831,7 @@
 
         // Clean up on unload
         window.addEventListener('unload', function () {
-            if (refreshId) clearInterval(refreshId);
+            if (catalogRefreshTimer) clearInterval(catalogRefreshTimer);
             try { map.remove(); } catch (e) { }
         });
     }
@@ -1964,28 +2854,33 @@
         console.warn('Leaflet (L) not found — attempting to load dynamically.');
         showMapDiagnostic('Leaflet map library not found. Attempting to load required assets…');
 
+        // Fixture mode loads the local copy (vendor/leaflet, see tools/fetch-vendor.js) instead of the CDN
+        var fixtureMode = !!(window.Fixtures && Fixtures.enabled);
+        var leafletBase = fixtureMode ? Fixtures.vendor('leaflet/') : 'https://unpkg.com/leaflet@1.9.4/dist/';
+
         // Try to add Leaflet CSS if missing or not actually applied (some CSP/SRI setups leave the link but it may be blocked)
         try {
             var cssLoaded = Array.prototype.slice.call(document.styleSheets).some(function (s) {
                 return s && s.href && s.href.indexOf('leaflet') !== -1;
             });
-            if (!cssLoaded) {
+            // the CDN stylesheet link is still in the page when it failed offline, so always add the local one
+            if (!cssLoaded || fixtureMode) {
                 var link = document.createElement('link');
                 link.rel = 'stylesheet';
-                link.href = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css';
+                link.href = leafletBase + 'leaflet.css';
                 document.head.appendChild(link);
             }
         } catch (e) {
             // Some browsers restrict access to document.styleSheets due to CORS; fall back to inserting the link
             var link = document.createElement('link');
             link.rel = 'stylesheet';
-            link.href = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css';
+            link.href = leafletBase + 'leaflet.css';
             document.head.appendChild(link);
         }
 
         // Load Leaflet JS without integrity attributes to avoid SRI/CSP mismatches during local testing
         var script = document.createElement('script');
-        script.src = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js';
+        script.src = leafletBase + 'leaflet.js';
         script.async = false; // preserve execution order
         script.onload = function () {
             console.info('Leaflet loaded dynamically; initializing app.');
@@ -1995,7 +2890,9 @@
         };
         script.onerror = function (e) {
             console.error('Failed to load Leaflet library dynamically', e);
-            showMapDiagnostic('Failed to load Leaflet library. Please check network or CDN availability and open the browser console for details.');
+            showMapDiagnostic(fixtureMode
+                ? 'Failed to load the local Leaflet copy from ' + leafletBase + '. Run tools/fetch-vendor.js once while online.'
+                : 'Failed to load Leaflet library. Please check network or CDN availability and open the browser console for details.');
         };
         document.head.appendChild(script);
     });
@@ -0,0 +1,1067 @@
+// player-manager.js — single owner of every hls.js instance and the <video> it plays into
+// Popups, the fullscreen overlay, prewarm players and the All Cameras grid ask for a player with
+// acquire() and give it back with release(); nothing else creates or destroys Hls instances.
+//
+// At most maxPlayers players hold a stream at once. When a request would go over the limit the
+// lowest-priority player gives up its slot (fullscreen > popup > grid > prewarm): prewarm players
+// are released, anything else is suspended and resumes by itself when a slot frees up. A request
+// that can't take a slot waits ('waiting' state) instead of failing.
+//
+// Reuse: acquiring a camera that already has a prewarm player (or any player, with takeover: true)
+// moves that Hls instance onto the new <video> instead of loading the stream again. The previous
+// owner's handle is released in the process, so calling release() on it later is harmless.
+// Background players (a time-lapse capture) are never taken over; they keep their own stream.
+//
+// Quality: every player's hls.js level cap (autoLevelCapping) is planned together. Each role has a
+// ceiling (fullscreen uncapped, popup 720p, grid 480p, prewarm the lowest rendition), and the
+// ceilings have to fit a bandwidth budget: the throughput hls.js measures for the players, summed,
+// with some headroom, or a fixed data-bandwidth-budget. When they don't fit, the lowest-priority
+// players step down first. player.quality describes the current cap; pass onQuality to hear about it.
+// A page can move one player's ceiling off its role's with setMaxHeight (e.g. a spotlighted grid cell
+// up, the filmstrip around it down).
+//
+// Visibility: a player whose <video> is scrolled off-screen (IntersectionObserver), or any player
+// while the tab is hidden (Page Visibility), stops loading and pauses at once. If it stays out of
+// sight for PARK_DELAY it is unloaded ('parked' state) and its slot goes to someone else; prewarm
+// players are released instead. Back in view it resumes at the live edge. Background players
+// (background: true, e.g. a time-lapse capture) keep playing while the tab is hidden.
+//
+// Watchdog: traffic cams often keep "playing" a picture that froze upstream, which raises no hls.js
+// error. Every playing player is checked for a currentTime that stopped advancing, a live playlist
+// that stopped gaining segments and (where the canvas can read the video) identical sampled frames.
+// A frozen player gets frozenSince/frozenReason and recovers step by step: startLoad, then
+// recoverMediaError, then a full re-create, then the cycle again after a pause. Pass onFrozen to
+// hear about it.
+//
+// Latency: latency(player) is how far the picture on screen is behind real time, taken from the
+// stream's EXT-X-PROGRAM-DATE-TIME when it has one (so it includes the camera's encoding delay) and
+// from the distance to the live edge otherwise.
+//
+// Diagnostics: diagnostics(player) gathers what the stats overlay shows (see stats-overlay.js): the
+// level playing, buffer, dropped frames, latency, recovery attempts, the last hls.js error and the
+// proxy streams go through. The manager's own hls.js listeners record the event-driven parts.
+//
+// Unavailable: a stream that fails in hls.js and then natively (or can't be played at all) gives its
+// slot up ('unavailable' state) and is tried again every LIVE_RETRY_DELAY. Pages show the camera's
+// still image meanwhile (see still-image.js) and hide it once the <video> plays.
+//
+// URL refresh: stream hosts rotate tokens and move playlists, which shows up as 401/403/404 responses.
+// A player that gets one asks the page's refresher (setUrlRefresher) for the camera's current URL;
+// when it changed, every player of that camera reloads from the new one (setUrl). A camera is looked
+// up at most once per URL_REFRESH_INTERVAL; meanwhile the usual error handling carries on.
+//
+// Configuration (page dataset, overridden by URL parameters):
+//   data-max-players / ?maxPlayers=   concurrent players (default 6)
+//   data-max-prewarm / ?maxPrewarm=   how many of those may be hidden prewarm players (default 2)
+//   data-bandwidth-budget / ?bandwidth=   fixed budget in kbit/s instead of the measured throughput
+(function () {
+    'use strict';
+
+    var DEFAULT_MAX_PLAYERS = 6;
+    var DEFAULT_MAX_PREWARM = 2;
+    // fatal hls.js errors tolerated (each followed by a recovery attempt) before falling back to native playback
+    var MAX_FATAL_ERRORS = 3;
+    // playlist/segment responses that mean the stream URL is out of date, and how often a camera's URL
+    // may be looked up again because of them
+    var STALE_URL_CODES = [401, 403, 404];
+    var URL_REFRESH_INTERVAL = 60000;
+    // how long an unplayable stream waits before live video is tried again
+    var LIVE_RETRY_DELAY = 30000;
+
+    var ROLE_PRIORITY = { fullscreen: 4, popup: 3, grid: 2, prewarm: 1 };
+    var LIVE_HLS = { enableWorker: true, lowLatencyMode: true, liveSyncDurationCount: 3, maxBufferLength: 30 };
+    var ROLE_HLS = {
+        fullscreen: LIVE_HLS,
+        popup: LIVE_HLS,
+        grid: { enableWorker: true },
+        prewarm: LIVE_HLS
+    };
+
+    // tallest rendition each role may pick; prewarm players stay on the lowest one
+    var ROLE_MAX_HEIGHT = { fullscreen: Infinity, popup: 720, grid: 480, prewarm: 0 };
+    // share of the measured throughput the players may plan to use
+    var BUDGET_HEADROOM = 0.8;
+    // how often the caps are re-planned from fresh throughput estimates
+    var QUALITY_INTERVAL = 5000;
+
+    // how long a player may sit paused out of sight before it's unloaded
+    var PARK_DELAY = 10000;
+
+    // watchdog: how often players are checked, and how long each signal must hold to count as frozen
+    var WATCH_INTERVAL = 2000;
+    var STALL_MS = 8000;
+    // a live playlist should gain a segment every target duration; allow three, and never less than this
+    var STALE_PLAYLIST_MS = 20000;
+    // a picture counts as still only when samples match pixel for pixel: a decoder repeating a frozen
+    // frame gives exactly the same pixels, while a dark or empty scene still differs in a few of them
+    var STILL_FRAME_MS = 30000;
+    var SAMPLE_WIDTH = 32, SAMPLE_HEIGHT = 18;
+    var RECOVERY_STEPS = ['startLoad', 'recoverMediaError', 'recreate'];
+    // time given to each recovery step, and the pause after a full cycle that didn't help
+    var RECOVERY_WAIT = 6000;
+    var RECOVERY_BACKOFF = 60000;
+
+    // seconds behind real time at which a player counts as behind, and as far behind
+    var LATENCY_BEHIND = 10;
+    var LATENCY_FAR = 30;
+
+    var config = { maxPlayers: DEFAULT_MAX_PLAYERS, maxPrewarm: DEFAULT_MAX_PREWARM, bandwidthKbps: null };
+    var lastPlan = { budget: null, demand: 0, measured: null };
+    var qualityTimer = null;
+    var watchTimer = null;
+    var sampleCanvas = null;
+    var pageHidden = !!document.hidden;
+    var observer = ('IntersectionObserver' in window) ? new IntersectionObserver(onIntersect) : null;
+    // every player that hasn't been released, active or waiting
+    var players = [];
+    var nextId = 1;
+    var listeners = [];
+    // fn(key, url) -> current URL of a camera (or a promise of it), null when unknown; see setUrlRefresher
+    var urlRefresher = null;
+    // key -> { at, pending, promise } of the latest URL lookup
+    var urlRefreshes = {};
+
+    function toCount(v) {
+        var n = parseInt(v, 10);
+        return isFinite(n) && n >= 0 ? n : null;
+    }
+
+    // Build the config for a page: defaults < dataset attributes < URL parameters
+    function resolveConfig(dataset, search) {
+        var ds = dataset || {};
+        var out = { maxPlayers: DEFAULT_MAX_PLAYERS, maxPrewarm: DEFAULT_MAX_PREWARM, bandwidthKbps: null };
+        if (toCount(ds.maxPlayers) != null) out.maxPlayers = toCount(ds.maxPlayers);
+        if (toCount(ds.maxPrewarm) != null) out.maxPrewarm = toCount(ds.maxPrewarm);
+        if (toCount(ds.bandwidthBudget)) out.bandwidthKbps = toCount(ds.bandwidthBudget);
+        var params = new URLSearchParams(search == null ? location.search : search);
+        if (toCount(params.get('maxPlayers')) != null) out.maxPlayers = toCount(params.get('maxPlayers'));
+        if (toCount(params.get('maxPrewarm')) != null) out.maxPrewarm = toCount(params.get('maxPrewarm'));
+        if (toCount(params.get('bandwidth'))) out.bandwidthKbps = toCount(params.get('bandwidth'));
+        out.maxPlayers = Math.max(1, out.maxPlayers);
+        return out;
+    }
+
+    function configure(cfg) {
+        config = Object.assign({}, config, cfg || {});
+        schedule();
+        notify();
+        return config;
+    }
+
+    function priority(p) { return ROLE_PRIORITY[p.role] || 0; }
+
+    function active() { return players.filter(function (p) { return p.state === 'active'; }); }
+
+    function setState(p, state) {
+        p.state = state;
+        try { if (p.onState) p.onState(state, p); } catch (e) { console.warn('Player state listener failed', e); }
+    }
+
+    // Stop whatever the <video> is playing without touching the element itself
+    function clearVideo(video) {
+        try { video.pause(); } catch (e) {}
+        try { video.removeAttribute('src'); video.load(); } catch (e) {}
+    }
+
+    function hiddenVideo() {
+        var v = document.createElement('video');
+        v.style.position = 'absolute'; v.style.left = '-9999px'; v.style.width = '1px'; v.style.height = '1px';
+        v.muted = true; v.playsInline = true; v.autoplay = true; v.preload = 'auto';
+        document.body.appendChild(v);
+        return v;
+    }
+
+    function makePlayer(opts) {
+        var p = {
+            id: nextId++,
+            key: opts.key,
+            url: opts.url,
+            role: ROLE_PRIORITY[opts.role] ? opts.role : 'popup',
+            video: opts.video || null,
+            hidden: !opts.video,
+            background: !!opts.background,
+            hls: null,
+            Hls: null,
+            native: false,
+            state: 'new',
+            fatalErrors: 0,
+            // diagnostics: recovery attempts since acquire(), the last error and the last fragment loaded
+            retries: 0,
+            lastError: null,
+            lastFrag: null,
+            hlsConfig: opts.hlsConfig || null,
+            // tallest rendition allowed instead of the role's (ROLE_MAX_HEIGHT), null for the role's
+            maxHeight: opts.maxHeight != null ? opts.maxHeight : null,
+            onState: opts.onState || null,
+            onQuality: opts.onQuality || null,
+            onFrozen: opts.onFrozen || null,
+            // { level, height, bitrate, limitedBy: null | 'role' | 'bandwidth' } once levels are known
+            quality: null,
+            capLevel: -1,
+            fragsLoaded: 0,
+            // visibility: inView comes from the IntersectionObserver; paused means loading is stopped
+            inView: true,
+            paused: false,
+            wasPlaying: false,
+            parkTimer: null,
+            retryTimer: null,
+            // watchdog: frozenSince is the time the picture froze, null while the feed is healthy
+            frozenSince: null,
+            frozenReason: null,
+            watch: freshWatch(),
+            // { pdt, start } of the fragment playing, when the stream carries program date times
+            fragTime: null,
+            hooks: [],
+            internal: []
+        };
+        if (p.hidden) p.video = hiddenVideo();
+        else if (observer) observer.observe(p.video);
+        // the browser's own playback is the last resort; when it fails too the stream is unavailable
+        p.onVideoError = function () {
+            if (!p.native || p.state !== 'active') return;
+            var err = p.video.error;
+            p.lastError = { type: 'nativeError', details: err ? 'code ' + err.code + (err.message ? ': ' + err.message : '') : 'unknown', fatal: true, at: Date.now() };
+            giveUp(p);
+        };
+        p.video.addEventListener('error', p.onVideoError);
+        p.ready = new Promise(function (resolve) { p.resolveReady = resolve; });
+        // hls.js event listener that survives suspend/resume and is removed on release
+        p.on = function (event, fn) {
+            p.hooks.push({ event: event, fn: fn });
+            try { if (p.hls) p.hls.on(event, fn); } catch (e) {}
+            return p;
+        };
+        p.release = function () { release(p); };
+        p.restart = function (url) { restart(p, url); };
+        return p;
+    }
+
+    function unhook(p) {
+        if (!p.hls) return;
+        p.internal.concat(p.hooks).forEach(function (h) { try { p.hls.off(h.event, h.fn); } catch (e) {} });
+        p.internal = [];
+    }
+
+    // The manager's own listeners go first so callers see the state they leave behind
+    function hook(p) {
+        var h = p.hls, Hls = p.Hls;
+        p.internal = [
+            { event: Hls.Events.ERROR, fn: function (ev, data) { onError(p, data); } },
+            // levels are known: the player needs a cap before ABR climbs
+            { event: Hls.Events.MANIFEST_PARSED, fn: function () { planQuality(); } },
+            { event: Hls.Events.FRAG_LOADED, fn: function (ev, data) { p.fragsLoaded++; noteFragLoad(p, data && data.frag); } },
+            { event: Hls.Events.LEVEL_LOADED, fn: function (ev, data) { notePlaylist(p, data && data.details); } },
+            { event: Hls.Events.FRAG_CHANGED, fn: function (ev, data) { noteFragment(p, data && data.frag); } }
+        ];
+        p.internal.concat(p.hooks).forEach(function (x) { try { h.on(x.event, x.fn); } catch (e) {} });
+        p.capLevel = -1;
+        p.fragsLoaded = 0;
+    }
+
+    // Destroy the Hls instance (if any) and stop the video
+    function teardown(p) {
+        unhook(p);
+        try { if (p.hls) p.hls.destroy(); } catch (e) {}
+        p.hls = null;
+        p.native = false;
+        p.capLevel = -1;
+        p.quality = null;
+        p.fragTime = null;
+        p.lastFrag = null;
+        p.paused = false;
+        if (p.video) clearVideo(p.video);
+    }
+
+    function playNative(p) {
+        p.native = true;
+        try { p.video.src = p.url; p.video.load(); p.video.play().catch(function () {}); } catch (e) {}
+    }
+
+    // Load the stream into the player's video; called once a slot has been granted
+    function start(p) {
+        setState(p, 'active');
+        CameraCatalog.ensureHls().then(function (Hls) {
+            if (p.state !== 'active' || p.hls || p.native) return;
+            // a new stream: what the watchdog saw of the last one (e.g. before parking) doesn't apply
+            resetWatch(p);
+            try {
+                if (Hls && Hls.isSupported()) {
+                    var cfg = Object.assign({}, ROLE_HLS[p.role], p.hlsConfig || {});
+                    p.Hls = Hls;
+                    p.hls = new Hls(ProxyChain.hlsConfig(Hls, cfg));
+                    hook(p);
+                    p.hls.loadSource(p.url);
+                    p.hls.attachMedia(p.video);
+                    p.video.play().catch(function () {});
+                } else {
+                    // Safari / browsers with native HLS support
+                    playNative(p);
+                }
+            } catch (e) {
+                console.warn('Could not start player for camera ' + p.key, e);
+                teardown(p);
+                playNative(p);
+            }
+            p.resolveReady(p);
+            notify();
+        }).catch(function () {
+            if (p.state !== 'active') return;
+            playNative(p);
+            p.resolveReady(p);
+            notify();
+        });
+    }
+
+    function onError(p, data) {
+        if (!data) return;
+        p.lastError = { type: data.type, details: data.details, fatal: !!data.fatal, at: Date.now() };
+        var code = data.response && data.response.code;
+        if (STALE_URL_CODES.indexOf(code) !== -1) {
+            p.lastError.details += ' (' + code + ')';
+            refreshUrl(p.key, p.url);
+        }
+        if (!data.fatal || !p.hls) return;
+        p.fatalErrors++;
+        console.warn('HLS error (' + p.role + ' player, camera ' + p.key + ')', data);
+        if (p.fatalErrors >= MAX_FATAL_ERRORS) {
+            // hls.js can't recover this stream; let the browser try it directly
+            teardown(p);
+            playNative(p);
+            try { if (p.onState) p.onState('fallback', p); } catch (e) {}
+            notify();
+            return;
+        }
+        p.retries++;
+        try {
+            if (data.type === 'mediaError') p.hls.recoverMediaError();
+            else p.hls.startLoad();
+        } catch (e) { console.warn('HLS recovery attempt failed', e); }
+    }
+
+    // Neither hls.js nor the browser can play the stream: free the slot and try again later
+    function giveUp(p) {
+        if (p.role === 'prewarm') { release(p); return; }
+        console.warn('Stream unavailable for camera ' + p.key + '; retrying in ' + (LIVE_RETRY_DELAY / 1000) + ' s');
+        // native playback doesn't tell why it failed; the stream may have moved
+        refreshUrl(p.key, p.url);
+        teardown(p);
+        p.fatalErrors = 0;
+        setState(p, 'unavailable');
+        clearTimeout(p.retryTimer);
+        p.retryTimer = setTimeout(function () {
+            p.retryTimer = null;
+            if (p.state !== 'unavailable') return;
+            setState(p, 'waiting');
+            schedule();
+            notify();
+        }, LIVE_RETRY_DELAY);
+        schedule();
+        notify();
+    }
+
+    // Give up the slot but keep the request: the player starts again when a slot is free
+    function suspend(p) {
+        teardown(p);
+        p.fatalErrors = 0;
+        setState(p, 'waiting');
+    }
+
+    // Hand the playing Hls instance from one player to another (new) one
+    function transfer(from, to) {
+        var h = from.hls, Hls = from.Hls, fragTime = from.fragTime, lastFrag = from.lastFrag;
+        unhook(from);
+        from.hls = null;
+        try { h.detachMedia(); } catch (e) {}
+        // a prewarm player paused while the tab was hidden stopped loading
+        if (from.paused) { try { h.startLoad(-1); } catch (e) {} }
+        remove(from);
+        to.hls = h;
+        to.Hls = Hls;
+        to.fatalErrors = 0;
+        hook(to);
+        // the stream already ran, so its throughput estimate is still good
+        to.fragsLoaded = from.fragsLoaded || 1;
+        to.fragTime = fragTime;
+        to.lastFrag = lastFrag;
+        to.retries = from.retries;
+        to.lastError = from.lastError;
+        setState(to, 'active');
+        try { h.attachMedia(to.video); } catch (e) { console.warn('Could not move player to the new video', e); }
+        try { to.video.play().catch(function () {}); } catch (e) {}
+        to.resolveReady(to);
+        planQuality();
+    }
+
+    // Drop a player from the table and free its video
+    function remove(p) {
+        var i = players.indexOf(p);
+        if (i !== -1) players.splice(i, 1);
+        teardown(p);
+        clearTimeout(p.parkTimer);
+        clearTimeout(p.retryTimer);
+        if (p.video) p.video.removeEventListener('error', p.onVideoError);
+        if (p.hidden && p.video && p.video.parentNode) p.video.parentNode.removeChild(p.video);
+        else if (observer && p.video) observer.unobserve(p.video);
+        setState(p, 'released');
+    }
+
+    // Prewarm players live off-screen by design, so only the tab's visibility counts for them;
+    // background players don't mind that either
+    function onScreen(p) { return (p.background || !pageHidden) && (p.hidden || p.inView); }
+
+    // Stop loading and pause, keeping the slot and the buffer for a quick return
+    function pause(p) {
+        p.paused = true;
+        p.wasPlaying = !p.video.paused;
+        try { if (p.hls) p.hls.stopLoad(); } catch (e) {}
+        try { p.video.pause(); } catch (e) {}
+    }
+
+    // Pick up where the live stream is now, not where it was paused
+    function resume(p) {
+        p.paused = false;
+        try {
+            if (p.hls) {
+                p.hls.startLoad(-1);
+                if (typeof p.hls.liveSyncPosition === 'number') p.video.currentTime = p.hls.liveSyncPosition;
+            } else if (p.native && p.video.seekable && p.video.seekable.length) {
+                p.video.currentTime = p.video.seekable.end(p.video.seekable.length - 1);
+            }
+        } catch (e) {}
+        if (p.wasPlaying) { try { p.video.play().catch(function () {}); } catch (e) {} }
+    }
+
+    // Out of sight for a while: unload and give the slot up until it's visible again
+    function park(p) {
+        if (p.role === 'prewarm') { release(p); return; }
+        teardown(p);
+        p.fatalErrors = 0;
+        setState(p, 'parked');
+        schedule();
+        notify();
+    }
+
+    function updateVisibility(p) {
+        if (p.state === 'released') return;
+        if (onScreen(p)) {
+            clearTimeout(p.parkTimer);
+            p.parkTimer = null;
+            if (p.state === 'parked') { setState(p, 'waiting'); schedule(); notify(); }
+            else if (p.paused) { resume(p); planQuality(); }
+            return;
+        }
+        // waiting players out of sight don't compete for a slot
+        if (p.state === 'waiting') { setState(p, 'parked'); return; }
+        if (p.state !== 'active') return;
+        if (!p.paused) { pause(p); planQuality(); }
+        if (!p.parkTimer) {
+            p.parkTimer = setTimeout(function () {
+                p.parkTimer = null;
+                if (p.state === 'active' && !onScreen(p)) park(p);
+            }, PARK_DELAY);
+        }
+    }
+
+    function onIntersect(entries) {
+        entries.forEach(function (en) {
+            players.forEach(function (p) {
+                if (p.video !== en.target || p.inView === en.isIntersecting) return;
+                p.inView = en.isIntersecting;
+                updateVisibility(p);
+            });
+        });
+    }
+
+    document.addEventListener('visibilitychange', function () {
+        pageHidden = !!document.hidden;
+        players.slice().forEach(updateVisibility);
+    });
+
+    // Lowest-priority active player below the given priority, or null. Among equals a paused
+    // (out of sight) one goes first, then the newest, so the earliest requests keep playing.
+    function victimFor(prio) {
+        var best = null;
+        active().forEach(function (p) {
+            if (priority(p) >= prio) return;
+            if (!best || priority(p) < priority(best)) { best = p; return; }
+            if (priority(p) > priority(best)) return;
+            if (p.paused !== best.paused) { if (p.paused) best = p; return; }
+            if (p.id > best.id) best = p;
+        });
+        return best;
+    }
+
+    function evict(p) {
+        if (p.role === 'prewarm') remove(p); else suspend(p);
+    }
+
+    // Grant free slots to waiting players, highest priority first, evicting lower-priority ones
+    function schedule() {
+        // a lowered limit takes effect immediately
+        var act = active();
+        while (act.length > config.maxPlayers) {
+            evict(victimFor(Infinity));
+            act = active();
+        }
+        var prewarm = act.filter(function (p) { return p.role === 'prewarm'; });
+        while (prewarm.length > config.maxPrewarm) { remove(prewarm.shift()); }
+
+        var waiting = players.filter(function (p) { return p.state === 'waiting'; });
+        waiting.sort(function (a, b) { return (priority(b) - priority(a)) || (a.id - b.id); });
+        for (var i = 0; i < waiting.length; i++) {
+            var p = waiting[i];
+            if (p.state !== 'waiting') continue;
+            // out of sight by the time its turn came
+            if (!onScreen(p)) { setState(p, 'parked'); continue; }
+            if (active().length >= config.maxPlayers) {
+                var v = victimFor(priority(p));
+                if (!v) continue;
+                evict(v);
+            }
+            start(p);
+        }
+        planQuality();
+    }
+
+    function levelsOf(p) {
+        try { return (p.hls && p.hls.levels) || []; } catch (e) { return []; }
+    }
+
+    function bitrateAt(p, i) {
+        var l = levelsOf(p)[i];
+        return (l && l.bitrate) || 0;
+    }
+
+    // Highest level index the player's role (or its own maxHeight) allows
+    function roleCeiling(p) {
+        var levels = levelsOf(p), max = p.maxHeight != null ? p.maxHeight : ROLE_MAX_HEIGHT[p.role], best = 0;
+        if (max === Infinity) return levels.length - 1;
+        if (!max) return 0;
+        levels.forEach(function (l, i) { if (!l.height || l.height <= max) best = i; });
+        return best;
+    }
+
+    // Link throughput in bit/s: each player's hls.js estimate covers its own downloads, which share
+    // the connection, so their sum tracks the link when it's busy (and overshoots when it's idle).
+    function measuredThroughput(list) {
+        var total = 0, any = false;
+        list.forEach(function (p) {
+            var bw = p.fragsLoaded ? Number(p.hls.bandwidthEstimate) : NaN;
+            if (isFinite(bw) && bw > 0) { total += bw; any = true; }
+        });
+        return any ? total : null;
+    }
+
+    function describeQuality(p, level, limitedBy) {
+        var l = levelsOf(p)[level] || {};
+        return { level: level, height: l.height || null, bitrate: l.bitrate || null, limitedBy: limitedBy };
+    }
+
+    // Choose every player's level cap: role ceiling first, then step the lowest-priority players
+    // down one level at a time (the most expensive, then the newest, first) until the plan fits the budget
+    function planQuality() {
+        var list = active().filter(function (p) { return !p.paused && levelsOf(p).length; });
+        var measured = measuredThroughput(list);
+        var budget = config.bandwidthKbps ? config.bandwidthKbps * 1000 : (measured != null ? measured * BUDGET_HEADROOM : null);
+        var cap = {}, demand = 0;
+        list.forEach(function (p) { cap[p.id] = roleCeiling(p); demand += bitrateAt(p, cap[p.id]); });
+        var ceiling = Object.assign({}, cap);
+        while (budget != null && demand > budget) {
+            var next = null;
+            list.forEach(function (p) {
+                if (cap[p.id] <= 0) return;
+                if (!next || priority(p) < priority(next) ||
+                    (priority(p) === priority(next) && bitrateAt(p, cap[p.id]) >= bitrateAt(next, cap[next.id]))) next = p;
+            });
+            if (!next) break;
+            demand -= bitrateAt(next, cap[next.id]) - bitrateAt(next, cap[next.id] - 1);
+            cap[next.id]--;
+        }
+        lastPlan = { budget: budget, demand: demand, measured: measured };
+
+        var changed = false;
+        list.forEach(function (p) {
+            var top = levelsOf(p).length - 1;
+            var level = cap[p.id];
+            var limitedBy = level < ceiling[p.id] ? 'bandwidth' : (level < top ? 'role' : null);
+            if (level !== p.capLevel) {
+                p.capLevel = level;
+                try { p.hls.autoLevelCapping = level >= top ? -1 : level; } catch (e) {}
+            }
+            var q = describeQuality(p, level, limitedBy);
+            if (!p.quality || p.quality.level !== q.level || p.quality.limitedBy !== q.limitedBy) {
+                p.quality = q;
+                changed = true;
+                try { if (p.onQuality) p.onQuality(q, p); } catch (e) { console.warn('Player quality listener failed', e); }
+            }
+        });
+
+        // re-plan while anything plays, so a slower connection is noticed
+        if (players.length && !qualityTimer) qualityTimer = setInterval(planQuality, QUALITY_INTERVAL);
+        if (!players.length && qualityTimer) { clearInterval(qualityTimer); qualityTimer = null; }
+        if (players.length && !watchTimer) watchTimer = setInterval(checkFeeds, WATCH_INTERVAL);
+        if (!players.length && watchTimer) { clearInterval(watchTimer); watchTimer = null; }
+        if (changed) notify();
+    }
+
+    // Short label for a player's current cap, e.g. "480p" or "720p (bandwidth)"
+    function qualityLabel(q) {
+        if (!q) return '';
+        var text = q.height ? q.height + 'p' : (q.bitrate ? Math.round(q.bitrate / 1000) + ' kbit/s' : 'auto');
+        return q.limitedBy === 'bandwidth' ? text + ' (bandwidth)' : text;
+    }
+
+    // Tooltip sentence for the same cap
+    function qualityTitle(q) {
+        if (!q) return '';
+        if (q.limitedBy === 'bandwidth') {
+            var b = lastPlan.budget;
+            return 'Quality lowered to fit the available bandwidth' + (b ? ' (about ' + (b / 1e6).toFixed(1) + ' Mbit/s for all players)' : '');
+        }
+        if (q.limitedBy === 'role') return 'Quality capped for this view';
+        return 'Full quality';
+    }
+
+    function freshWatch() {
+        return {
+            lastTime: null, lastTimeAt: 0,
+            lastSN: null, lastSNAt: 0, targetDuration: 0,
+            lastFrame: null, lastFrameAt: 0, sameFrameSince: null, canSample: true,
+            step: 0, nextStepAt: 0, healthyChecks: 0
+        };
+    }
+
+    // Forget what the watchdog observed, keeping the player's place on the recovery ladder so a
+    // re-create still waits its backoff
+    function resetWatch(p) {
+        var w = freshWatch();
+        w.step = p.watch.step;
+        w.nextStepAt = p.watch.nextStepAt;
+        p.watch = w;
+    }
+
+    // A live playlist that keeps coming back with the same last segment isn't moving
+    function notePlaylist(p, details) {
+        if (!details || !details.live) return;
+        var w = p.watch;
+        w.targetDuration = details.targetduration || 0;
+        if (details.endSN !== w.lastSN) { w.lastSN = details.endSN; w.lastSNAt = Date.now(); }
+    }
+
+    // Compare a tiny copy of the current frame with the previous one. Returns false when the
+    // picture can't be read: no frame yet, or a cross-origin (native) stream tainting the canvas.
+    function sampleFrame(p, now) {
+        var w = p.watch, v = p.video, px;
+        if (!w.canSample || v.readyState < 2 || !v.videoWidth) return false;
+        try {
+            if (!sampleCanvas) {
+                sampleCanvas = document.createElement('canvas');
+                sampleCanvas.width = SAMPLE_WIDTH;
+                sampleCanvas.height = SAMPLE_HEIGHT;
+            }
+            var ctx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(v, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+            px = ctx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT).data;
+        } catch (e) {
+            w.canSample = false;
+            return false;
+        }
+        if (w.lastFrame) {
+            var same = true, prev = w.lastFrame;
+            for (var i = 0; i < px.length && same; i += 4) {
+                same = px[i] === prev[i] && px[i + 1] === prev[i + 1] && px[i + 2] === prev[i + 2];
+            }
+            if (same) { if (!w.sameFrameSince) w.sameFrameSince = w.lastFrameAt; }
+            else w.sameFrameSince = null;
+        }
+        w.lastFrame = new Uint8ClampedArray(px);
+        w.lastFrameAt = now;
+        return true;
+    }
+
+    function setFrozen(p, since, reason) {
+        p.frozenSince = since;
+        p.frozenReason = reason;
+        try { if (p.onFrozen) p.onFrozen(since ? { since: since, reason: reason } : null, p); } catch (e) { console.warn('Player frozen listener failed', e); }
+        notify();
+    }
+
+    // Next step of the recovery ladder; after a full re-create the ladder starts over, after a pause
+    function recover(p, now) {
+        var w = p.watch, step = RECOVERY_STEPS[w.step];
+        console.warn('Frozen feed on camera ' + p.key + ' (' + p.frozenReason + '), trying ' + step);
+        p.retries++;
+        try {
+            if (step === 'recreate') restart(p);
+            else if (p.hls && step === 'startLoad') p.hls.startLoad(-1);
+            else if (p.hls) p.hls.recoverMediaError();
+            else if (p.native) { p.video.load(); p.video.play().catch(function () {}); }
+        } catch (e) { console.warn('Frozen feed recovery failed', e); }
+        w.step = (w.step + 1) % RECOVERY_STEPS.length;
+        w.nextStepAt = now + (w.step ? RECOVERY_WAIT : RECOVERY_BACKOFF);
+    }
+
+    function checkFeed(p, now) {
+        var w = p.watch, v = p.video;
+        // a player that lost its stream (suspended, parked, unavailable) starts over when it's back
+        if (p.state !== 'active' && p.frozenSince) {
+            w.step = 0;
+            w.nextStepAt = 0;
+            setFrozen(p, null, null);
+        }
+        // nothing to judge while out of sight, stopped by the user or not loaded yet
+        if (p.state !== 'active' || p.paused || (!p.hls && !p.native) || v.paused) {
+            w.lastTimeAt = now;
+            w.sameFrameSince = null;
+            return;
+        }
+        var advanced = v.currentTime !== w.lastTime;
+        if (advanced) { w.lastTime = v.currentTime; w.lastTimeAt = now; }
+        var sampled = sampleFrame(p, now);
+
+        var staleAfter = Math.max(STALE_PLAYLIST_MS, 3 * w.targetDuration * 1000);
+        var reason = null, since = null;
+        if (now - w.lastTimeAt > STALL_MS) { reason = 'stalled'; since = w.lastTimeAt; }
+        else if (p.hls && w.lastSNAt && now - w.lastSNAt > staleAfter) { reason = 'stale playlist'; since = w.lastSNAt; }
+        else if (sampled && w.sameFrameSince && now - w.sameFrameSince > STILL_FRAME_MS) { reason = 'still picture'; since = w.sameFrameSince; }
+
+        if (reason) {
+            w.healthyChecks = 0;
+            if (!p.frozenSince || p.frozenReason !== reason) setFrozen(p, p.frozenSince || since, reason);
+            if (now >= w.nextStepAt) recover(p, now);
+            return;
+        }
+        // healthy again once playback keeps moving and, when we can see it, the picture changes;
+        // one check isn't enough, a re-created player jumps to a new position before it plays
+        if (!p.frozenSince) return;
+        w.healthyChecks = advanced && (!sampled || !w.sameFrameSince) ? w.healthyChecks + 1 : 0;
+        if (w.healthyChecks >= 2) {
+            console.info('Feed on camera ' + p.key + ' recovered');
+            w.step = 0;
+            w.nextStepAt = 0;
+            w.healthyChecks = 0;
+            setFrozen(p, null, null);
+        }
+    }
+
+    function checkFeeds() {
+        var now = Date.now();
+        players.slice().forEach(function (p) { try { checkFeed(p, now); } catch (e) {} });
+    }
+
+    // Status text for a frozen player, e.g. "Frozen since 14:03:12"
+    function frozenLabel(p) {
+        if (!p || !p.frozenSince) return '';
+        return 'Frozen since ' + new Date(p.frozenSince).toLocaleTimeString();
+    }
+
+    // Tooltip sentence for the same state
+    function frozenTitle(p) {
+        if (!p || !p.frozenSince) return '';
+        var why = { stalled: 'Playback stopped advancing', 'stale playlist': 'The stream stopped publishing new segments', 'still picture': 'The picture stopped changing' }[p.frozenReason] || 'The feed froze';
+        return why + '; reconnecting automatically';
+    }
+
+    function noteFragment(p, frag) {
+        if (frag && frag.programDateTime && isFinite(frag.start)) p.fragTime = { pdt: frag.programDateTime, start: frag.start };
+    }
+
+    // How far the player's picture is behind real time: { seconds, pictureTime (ms), source }, or null
+    // while nothing plays. source is 'program-date-time' when the stream dates its segments (Safari
+    // exposes that for native playback too), 'live-edge' when only the playlist's end is known.
+    function latency(p) {
+        if (!p || p.state !== 'active' || p.paused || !p.video) return null;
+        var v = p.video, now = Date.now(), pictureTime = null, behind = null;
+        try {
+            if (p.fragTime) pictureTime = p.fragTime.pdt + (v.currentTime - p.fragTime.start) * 1000;
+            else if (p.native && typeof v.getStartDate === 'function') pictureTime = v.getStartDate().getTime() + v.currentTime * 1000;
+        } catch (e) {}
+        // a camera clock running fast would otherwise give a negative delay
+        if (pictureTime != null && isFinite(pictureTime)) {
+            return { seconds: Math.max(0, (now - pictureTime) / 1000), pictureTime: Math.min(pictureTime, now), source: 'program-date-time' };
+        }
+        try {
+            if (p.hls && typeof p.hls.latency === 'number' && isFinite(p.hls.latency)) behind = p.hls.latency;
+            else if (v.seekable && v.seekable.length) behind = v.seekable.end(v.seekable.length - 1) - v.currentTime;
+        } catch (e) {}
+        if (behind == null || !isFinite(behind) || !v.currentTime) return null;
+        behind = Math.max(0, behind);
+        return { seconds: behind, pictureTime: now - behind * 1000, source: 'live-edge' };
+    }
+
+    // 'ok' | 'behind' | 'far' for a latency() result, null when there is none
+    function latencyLevel(l) {
+        if (!l) return null;
+        return l.seconds >= LATENCY_FAR ? 'far' : (l.seconds >= LATENCY_BEHIND ? 'behind' : 'ok');
+    }
+
+    // Badge text, e.g. "LIVE −4.2s"
+    function latencyLabel(l) {
+        return l ? 'LIVE −' + l.seconds.toFixed(1) + 's' : 'LIVE';
+    }
+
+    // Size and timing of the fragment hls.js just loaded: its bitrate and how fast it came in
+    function noteFragLoad(p, frag) {
+        var st = frag && frag.stats;
+        if (!st || !st.loaded) return;
+        var ms = st.loading && st.loading.end > st.loading.start ? st.loading.end - st.loading.start : 0;
+        p.lastFrag = { bytes: st.loaded, duration: frag.duration || 0, loadMs: ms, at: Date.now() };
+    }
+
+    // Everything the stats overlay shows about a player, read fresh from hls.js and the <video>
+    function diagnostics(p) {
+        if (!p) return null;
+        var v = p.video, h = p.hls;
+        var d = {
+            key: p.key,
+            role: p.role,
+            state: p.state,
+            paused: p.paused,
+            native: p.native,
+            level: -1,
+            levels: 0,
+            capLevel: p.capLevel,
+            width: (v && v.videoWidth) || 0,
+            height: (v && v.videoHeight) || 0,
+            levelBitrate: null,
+            bandwidthEstimate: null,
+            // bit/s of the last fragment's media, and the speed it downloaded at
+            fragBitrate: null,
+            fragThroughput: null,
+            buffer: 0,
+            droppedFrames: null,
+            decodedFrames: null,
+            latency: latency(p),
+            retries: p.retries,
+            fatalErrors: p.fatalErrors,
+            maxFatalErrors: MAX_FATAL_ERRORS,
+            lastError: p.lastError,
+            frozenReason: p.frozenReason,
+            proxy: null
+        };
+        try {
+            if (h) {
+                d.level = h.currentLevel;
+                d.levels = (h.levels || []).length;
+                var lv = h.levels && h.levels[h.currentLevel];
+                if (lv) d.levelBitrate = lv.bitrate || null;
+                if (isFinite(h.bandwidthEstimate)) d.bandwidthEstimate = h.bandwidthEstimate;
+            }
+        } catch (e) {}
+        var f = p.lastFrag;
+        if (f) {
+            if (f.duration) d.fragBitrate = f.bytes * 8 / f.duration;
+            if (f.loadMs) d.fragThroughput = f.bytes * 8 / (f.loadMs / 1000);
+        }
+        try {
+            for (var i = 0; v && i < v.buffered.length; i++) {
+                if (v.buffered.start(i) <= v.currentTime + 0.1 && v.buffered.end(i) >= v.currentTime) d.buffer = v.buffered.end(i) - v.currentTime;
+            }
+        } catch (e) {}
+        try {
+            if (v && v.getVideoPlaybackQuality) {
+                var q = v.getVideoPlaybackQuality();
+                d.droppedFrames = q.droppedVideoFrames;
+                d.decodedFrames = q.totalVideoFrames;
+            } else if (v && typeof v.webkitDroppedFrameCount === 'number') {
+                d.droppedFrames = v.webkitDroppedFrameCount;
+                d.decodedFrames = v.webkitDecodedFrameCount;
+            }
+        } catch (e) {}
+        try { d.proxy = ProxyChain.streamProxy() || 'direct'; } catch (e) {}
+        return d;
+    }
+
+    // Request a player. opts: { key, url, role, video, hlsConfig, onState, onQuality, onFrozen, takeover, background, maxHeight }
+    //   key        camera id; players with the same key and url can hand their stream over
+    //   role       'fullscreen' | 'popup' | 'grid' | 'prewarm' (decides priority and hls.js tuning)
+    //   video      <video> to play into; prewarm players get a hidden one when omitted
+    //   onState    called with 'waiting' | 'active' | 'parked' | 'fallback' | 'unavailable' | 'released'
+    //   onQuality  called with player.quality whenever the level cap changes
+    //   onFrozen   called with { since, reason } when the watchdog finds the feed frozen, null when it recovers
+    //   takeover   reuse any live player of this camera, not only a prewarm one
+    //   background keep playing while the tab is hidden
+    //   maxHeight  tallest rendition to pick instead of the role's (Infinity: any, 0: the lowest)
+    // Returns the player (player.ready resolves once the stream is attached), or null when a
+    // prewarm player isn't worth a slot right now.
+    function acquire(opts) {
+        opts = opts || {};
+        if (!opts.url) return null;
+        var same = players.filter(function (p) { return String(p.key) === String(opts.key); });
+
+        if (opts.role === 'prewarm') {
+            var existing = same.filter(function (p) { return p.role === 'prewarm'; })[0];
+            if (existing && existing.url === opts.url) return existing;
+            if (existing) remove(existing);
+            // already on screen somewhere, or no room left for background players
+            if (same.some(function (p) { return p.state !== 'released'; })) return null;
+            var act = active();
+            if (act.length >= config.maxPlayers) return null;
+            if (act.filter(function (p) { return p.role === 'prewarm'; }).length >= config.maxPrewarm) return null;
+        }
+
+        var p = makePlayer(opts);
+        var donor = same.filter(function (d) {
+            return d.state === 'active' && d.hls && d.url === opts.url && !d.background && (d.role === 'prewarm' || opts.takeover);
+        }).sort(function (a, b) { return priority(b) - priority(a); })[0];
+
+        players.push(p);
+        if (donor) {
+            transfer(donor, p);
+        } else {
+            setState(p, 'waiting');
+            schedule();
+        }
+        notify();
+        return p;
+    }
+
+    function release(p) {
+        if (!p || p.state === 'released') return;
+        remove(p);
+        schedule();
+        notify();
+    }
+
+    // Reload a player's stream from scratch, optionally from a new URL
+    function restart(p, url) {
+        if (!p || p.state === 'released') return;
+        if (url) p.url = url;
+        // don't sit out the rest of the retry delay
+        if (p.state === 'unavailable') {
+            clearTimeout(p.retryTimer);
+            p.retryTimer = null;
+            setState(p, 'waiting');
+            schedule();
+            notify();
+            return;
+        }
+        if (p.state !== 'active') return;
+        teardown(p);
+        p.fatalErrors = 0;
+        start(p);
+    }
+
+    // Point every player of a camera at a new stream URL; the ones holding a stream reload from it
+    function setUrl(key, url) {
+        if (!url) return;
+        players.slice().forEach(function (p) {
+            if (String(p.key) !== String(key) || p.url === url) return;
+            if (p.state === 'active' || p.state === 'unavailable') restart(p, url);
+            else p.url = url;
+        });
+        notify();
+    }
+
+    // fn(key, failedUrl) returns the camera's current stream URL, a promise of it, or null
+    function setUrlRefresher(fn) { urlRefresher = typeof fn === 'function' ? fn : null; }
+
+    // Look a camera's stream URL up again (see setUrlRefresher) and move its players over when it
+    // changed. Resolves with the current URL, or null when the refresher doesn't know one. Lookups
+    // of the same camera within URL_REFRESH_INTERVAL share the first one's answer.
+    function refreshUrl(key, url) {
+        if (!urlRefresher) return Promise.resolve(null);
+        var r = urlRefreshes[key];
+        if (r && (r.pending || Date.now() - r.at < URL_REFRESH_INTERVAL)) return r.promise;
+        r = urlRefreshes[key] = { at: Date.now(), pending: true, promise: null };
+        r.promise = Promise.resolve().then(function () { return urlRefresher(key, url); }).then(function (fresh) {
+            r.pending = false;
+            if (fresh && fresh !== url) {
+                console.info('Stream URL of camera ' + key + ' changed; reloading its players', fresh);
+                setUrl(key, fresh);
+            }
+            return fresh || null;
+        }, function (e) {
+            r.pending = false;
+            console.warn('Could not look up the stream URL of camera ' + key, e);
+            return null;
+        });
+        return r.promise;
+    }
+
+    // Release every player matching fn(player)
+    function releaseWhere(fn) {
+        players.slice().forEach(function (p) { if (fn(p)) remove(p); });
+        schedule();
+        notify();
+    }
+
+    function releaseKey(key) { releaseWhere(function (p) { return String(p.key) === String(key); }); }
+
+    function releaseRole(role) { releaseWhere(function (p) { return p.role === role; }); }
+
+    // Change a player's quality ceiling (see maxHeight in acquire); null goes back to its role's
+    function setMaxHeight(p, maxHeight) {
+        if (!p || players.indexOf(p) === -1) return;
+        maxHeight = maxHeight != null ? maxHeight : null;
+        if (p.maxHeight === maxHeight) return;
+        p.maxHeight = maxHeight;
+        planQuality();
+    }
+
+    function find(key, role) {
+        return players.filter(function (p) { return String(p.key) === String(key) && (!role || p.role === role); })[0] || null;
+    }
+
+    // Snapshot for diagnostics (stats overlay, console)
+    function list() {
+        return players.map(function (p) {
+            return { id: p.id, key: p.key, role: p.role, state: p.state, paused: p.paused, url: p.url, native: p.native, fatalErrors: p.fatalErrors, retries: p.retries, lastError: p.lastError, quality: p.quality, frozenSince: p.frozenSince, frozenReason: p.frozenReason };
+        });
+    }
+
+    function stats() {
+        var act = active();
+        return {
+            maxPlayers: config.maxPlayers,
+            maxPrewarm: config.maxPrewarm,
+            active: act.length,
+            prewarm: act.filter(function (p) { return p.role === 'prewarm'; }).length,
+            waiting: players.filter(function (p) { return p.state === 'waiting'; }).length,
+            parked: players.filter(function (p) { return p.state === 'parked'; }).length,
+            unavailable: players.filter(function (p) { return p.state === 'unavailable'; }).length,
+            paused: act.filter(function (p) { return p.paused; }).length,
+            frozen: players.filter(function (p) { return p.frozenSince; }).length,
+            // bit/s; budget is null until a throughput measurement (or a fixed budget) exists
+            budget: lastPlan.budget,
+            demand: lastPlan.demand,
+            measured: lastPlan.measured
+        };
+    }
+
+    // Call fn() whenever players are added, released, suspended or resumed
+    function onChange(fn) { if (typeof fn === 'function') listeners.push(fn); }
+
+    function notify() {
+        listeners.forEach(function (fn) { try { fn(); } catch (e) { console.warn('Player manager listener failed', e); } });
+    }
+
+    // start from the URL parameters alone; pages call configure(resolveConfig(dataset)) to add theirs
+    try { config = resolveConfig(null); } catch (e) {}
+
+    window.PlayerManager = {
+        resolveConfig: resolveConfig,
+        configure: configure,
+        acquire: acquire,
+        release: release,
+        restart: restart,
+        setUrl: setUrl,
+        setUrlRefresher: setUrlRefresher,
+        refreshUrl: refreshUrl,
+        releaseKey: releaseKey,
+        releaseRole: releaseRole,
+        setMaxHeight: setMaxHeight,
+        find: find,
+        qualityLabel: qualityLabel,
+        qualityTitle: qualityTitle,
+        frozenLabel: frozenLabel,
+        frozenTitle: frozenTitle,
+        latency: latency,
+        latencyLevel: latencyLevel,
+        latencyLabel: latencyLabel,
+        diagnostics: diagnostics,
+        list: list,
+        stats: stats,
+        onChange: onChange
+    };
+})();
@@ -0,0 +1,265 @@
+// proxy-chain.js — ordered list of CORS proxies with health checks and failover
+// Catalog requests (and, optionally, HLS playlist/segment requests) go through the first healthy
+// proxy; a proxy that errors or times out is benched for a while and the next one is tried.
+//
+// Configuration (page dataset, overridden by URL parameters):
+//   data-proxies / ?proxy=      comma-separated proxy bases, in order. A base either ends where the
+//                               target URL is appended (".../?url=") or contains a {url} placeholder
+//                               that receives the encoded target. "direct" means no proxy.
+//   data-proxy-streams / ?proxyStreams=1   also route m3u8 and segment requests through the proxy
+//   data-proxy-timeout          per-request timeout in ms (default 8000)
+//   data-proxy-health-url       small resource fetched through each proxy as a health check
+//
+// For self-hosting during heavy traffic, tools/local-proxy.js is a drop-in stand-in:
+//   node tools/local-proxy.js 8787   then   ?proxy=http://127.0.0.1:8787/?url=
+(function () {
+    'use strict';
+
+    var DEFAULT_PROXIES = ['https://wispy-flower-cdf3.100brightli.workers.dev/?url='];
+    var DEFAULT_TIMEOUT = 8000;
+    var DEFAULT_HEALTH_URL = 'https://www.nvroads.com/robots.txt';
+    // how long a failing proxy is skipped before it gets another chance
+    var BENCH_MS = 60000;
+
+    var config = { proxies: DEFAULT_PROXIES.slice(), routeStreams: false, timeoutMs: DEFAULT_TIMEOUT, healthUrl: DEFAULT_HEALTH_URL };
+    // per-proxy state: { healthy: true|false|null, benchedUntil, failures, lastError }
+    var state = {};
+    var current = null;
+
+    function isDirect(proxy) { return !proxy || proxy === 'direct'; }
+
+    function stateFor(proxy) {
+        if (!state[proxy]) state[proxy] = { healthy: null, benchedUntil: 0, failures: 0, lastError: null };
+        return state[proxy];
+    }
+
+    function splitList(v) {
+        return String(v || '').split(',').map(function (s) { return s.trim(); }).filter(Boolean);
+    }
+
+    function truthy(v) { return v === true || v === '' || /^(1|true|yes|on)$/i.test(String(v)); }
+
+    // Build the config for a page: defaults < dataset attributes < URL parameters
+    function resolveConfig(dataset, search) {
+        var ds = dataset || {};
+        var out = { proxies: DEFAULT_PROXIES.slice(), routeStreams: false, timeoutMs: DEFAULT_TIMEOUT, healthUrl: DEFAULT_HEALTH_URL };
+        if (ds.proxies) out.proxies = splitList(ds.proxies);
+        if (ds.proxyStreams != null) out.routeStreams = truthy(ds.proxyStreams);
+        if (ds.proxyTimeout && Number(ds.proxyTimeout) > 0) out.timeoutMs = Number(ds.proxyTimeout);
+        if (ds.proxyHealthUrl) out.healthUrl = ds.proxyHealthUrl;
+        var params = new URLSearchParams(search == null ? location.search : search);
+        var fromUrl = [];
+        params.getAll('proxy').forEach(function (p) { fromUrl = fromUrl.concat(splitList(p)); });
+        if (fromUrl.length) out.proxies = fromUrl;
+        if (params.has('proxyStreams')) out.routeStreams = truthy(params.get('proxyStreams'));
+        if (!out.proxies.length) out.proxies = ['direct'];
+        // fixture mode serves everything from this origin, so there's nothing to proxy
+        if (window.Fixtures && Fixtures.enabled) {
+            out.proxies = ['direct'];
+            out.routeStreams = false;
+        }
+        return out;
+    }
+
+    function configure(cfg) {
+        config = Object.assign({}, config, cfg || {});
+        state = {};
+        current = null;
+        return config;
+    }
+
+    // Target URL as seen through a given proxy
+    function wrap(proxy, url) {
+        if (isDirect(proxy)) return url;
+        if (proxy.indexOf('{url}') !== -1) return proxy.replace('{url}', encodeURIComponent(url));
+        return proxy + url;
+    }
+
+    // True when a URL already points at one of the configured proxies (e.g. a raw
+    // data-camera-endpoint with the proxy baked in), so it must not be wrapped again.
+    function isProxied(url) {
+        url = String(url || '');
+        return config.proxies.some(function (p) {
+            if (isDirect(p)) return false;
+            var base = p.split('{url}')[0];
+            return base && url.indexOf(base) === 0;
+        });
+    }
+
+    function available(proxy) {
+        var st = stateFor(proxy);
+        return st.healthy !== false || Date.now() >= st.benchedUntil;
+    }
+
+    // Proxies in failover order: usable ones first (config order), benched ones last as a final resort
+    function ordered() {
+        var ok = [], benched = [];
+        config.proxies.forEach(function (p) { (available(p) ? ok : benched).push(p); });
+        return ok.concat(benched);
+    }
+
+    function reportFailure(proxy, err) {
+        var st = stateFor(proxy);
+        st.healthy = false;
+        st.failures++;
+        st.lastError = err ? String(err.message || err) : 'error';
+        st.benchedUntil = Date.now() + BENCH_MS;
+        if (current === proxy) current = null;
+        console.warn('Proxy failed, failing over: ' + (isDirect(proxy) ? 'direct' : proxy), err);
+    }
+
+    function reportSuccess(proxy) {
+        var st = stateFor(proxy);
+        st.healthy = true;
+        st.benchedUntil = 0;
+        current = proxy;
+    }
+
+    // fetch() with a timeout; rejects with a timeout error when it elapses
+    function fetchWithTimeout(url, opts, timeoutMs) {
+        var ctrl = (typeof AbortController !== 'undefined') ? new AbortController() : null;
+        var o = Object.assign({}, opts || {});
+        if (ctrl) o.signal = ctrl.signal;
+        return new Promise(function (resolve, reject) {
+            var timer = setTimeout(function () {
+                try { if (ctrl) ctrl.abort(); } catch (e) {}
+                reject(new Error('timeout after ' + timeoutMs + 'ms'));
+            }, timeoutMs);
+            fetch(url, o).then(function (r) { clearTimeout(timer); resolve(r); }, function (e) { clearTimeout(timer); reject(e); });
+        });
+    }
+
+    // fetch(url) through the chain. Network errors, timeouts and 5xx responses (the proxy itself
+    // failing) move on to the next proxy; any other response is returned as-is.
+    async function proxiedFetch(url, opts) {
+        if (isProxied(url)) return fetchWithTimeout(url, opts, config.timeoutMs);
+        var lastErr = null;
+        var list = ordered();
+        for (var i = 0; i < list.length; i++) {
+            var proxy = list[i];
+            try {
+                var r = await fetchWithTimeout(wrap(proxy, url), opts, config.timeoutMs);
+                if (r.status >= 500) throw new Error('proxy responded ' + r.status);
+                reportSuccess(proxy);
+                return r;
+            } catch (e) {
+                lastErr = e;
+                reportFailure(proxy, e);
+            }
+        }
+        throw lastErr || new Error('No proxy configured');
+    }
+
+    // Health check one proxy by fetching the (small) health URL through it
+    function checkHealth(proxy) {
+        if (isDirect(proxy)) { stateFor(proxy).healthy = true; return Promise.resolve(true); }
+        return fetchWithTimeout(wrap(proxy, config.healthUrl), { cache: 'no-store', mode: 'cors' }, config.timeoutMs).then(function (r) {
+            if (r.status >= 500) throw new Error('health check responded ' + r.status);
+            var st = stateFor(proxy);
+            st.healthy = true;
+            st.benchedUntil = 0;
+            return true;
+        }).catch(function (e) {
+            reportFailure(proxy, e);
+            return false;
+        });
+    }
+
+    function checkAll() {
+        return Promise.all(config.proxies.map(checkHealth));
+    }
+
+    // The proxy streams should use right now (null when streams aren't routed)
+    function streamProxy() {
+        if (!config.routeStreams) return null;
+        if (current && available(current)) return current;
+        return ordered()[0] || null;
+    }
+
+    // Stream URL as the player should request it
+    function streamUrl(url) {
+        var p = streamProxy();
+        if (p == null || isProxied(url)) return url;
+        return wrap(p, url);
+    }
+
+    // hls.js loader that routes every playlist/segment/key request through the chain while
+    // reporting the original URL back to hls.js, so relative segment URLs still resolve against
+    // the real playlist location rather than the proxy.
+    var loaderCache = null;
+    function hlsLoader(Hls) {
+        if (loaderCache && loaderCache.Hls === Hls) return loaderCache.Loader;
+        var Base = Hls.DefaultConfig.loader;
+        function ProxyLoader(cfg) {
+            this._inner = new Base(cfg);
+            this.context = null;
+        }
+        ProxyLoader.prototype.load = function (context, loadConfig, callbacks) {
+            var original = context.url;
+            var proxy = streamProxy();
+            this.context = context;
+            var inner = Object.assign({}, context, { url: (proxy == null || isProxied(original)) ? original : wrap(proxy, original) });
+            var wrapped = Object.assign({}, callbacks, {
+                onSuccess: function (response, stats, c, details) {
+                    if (proxy != null) reportSuccess(proxy);
+                    response.url = original;
+                    callbacks.onSuccess(response, stats, context, details);
+                },
+                onError: function (error, c, details, stats) {
+                    if (proxy != null && !isDirect(proxy) && (!error || !error.code || error.code >= 500)) reportFailure(proxy, new Error('stream request failed' + (error && error.code ? ' (' + error.code + ')' : '')));
+                    callbacks.onError(error, context, details, stats);
+                },
+                onTimeout: function (stats, c, details) {
+                    if (proxy != null && !isDirect(proxy)) reportFailure(proxy, new Error('stream request timed out'));
+                    callbacks.onTimeout(stats, context, details);
+                }
+            });
+            if (callbacks.onProgress) wrapped.onProgress = function (stats, c, data, details) { callbacks.onProgress(stats, context, data, details); };
+            this._inner.load(inner, loadConfig, wrapped);
+        };
+        ProxyLoader.prototype.abort = function () { this._inner.abort(); };
+        ProxyLoader.prototype.destroy = function () { this._inner.destroy(); };
+        ProxyLoader.prototype.getCacheAge = function () { return this._inner.getCacheAge ? this._inner.getCacheAge() : null; };
+        ProxyLoader.prototype.getResponseHeader = function (name) { return this._inner.getResponseHeader ? this._inner.getResponseHeader(name) : null; };
+        Object.defineProperty(ProxyLoader.prototype, 'stats', { get: function () { return this._inner.stats; } });
+        loaderCache = { Hls: Hls, Loader: ProxyLoader };
+        return ProxyLoader;
+    }
+
+    // Merge the proxy loader into an hls.js config when streams are routed
+    function hlsConfig(Hls, cfg) {
+        var out = Object.assign({}, cfg || {});
+        if (config.routeStreams && Hls && Hls.DefaultConfig && Hls.DefaultConfig.loader) out.loader = hlsLoader(Hls);
+        return out;
+    }
+
+    // Snapshot for diagnostics (stats overlay, console)
+    function status() {
+        return {
+            current: current,
+            routeStreams: config.routeStreams,
+            proxies: config.proxies.map(function (p) {
+                var st = stateFor(p);
+                return { proxy: p, healthy: st.healthy, failures: st.failures, lastError: st.lastError, benched: !available(p) };
+            })
+        };
+    }
+
+    // start from the URL parameters alone; pages call configure(resolveConfig(dataset)) to add theirs
+    try { configure(resolveConfig(null)); } catch (e) {}
+
+    window.ProxyChain = {
+        resolveConfig: resolveConfig,
+        configure: configure,
+        wrap: wrap,
+        isProxied: isProxied,
+        fetch: proxiedFetch,
+        checkHealth: checkHealth,
+        checkAll: checkAll,
+        streamUrl: streamUrl,
+        streamProxy: streamProxy,
+        hlsConfig: hlsConfig,
+        current: function () { return current; },
+        status: status
+    };
+})();
@@ -0,0 +1,176 @@
+// replay-bar.js — instant replay inside the live HLS window
+// A live playlist keeps the last minute or so of video seekable. attach() builds a bar with −30s/−10s/−5s
+// buttons, a scrub bar over that window, slow motion and "Back to live". Rewinding or scrubbing puts
+// the bar in replay mode; the page's own live-edge syncing must hold off while replaying() is true
+// (onChange tells it when that flips). "Back to live" returns to the live edge at normal speed.
+(function () {
+    'use strict';
+
+    var REWIND_STEPS = [30, 10, 5];
+    var SPEEDS = [1, 0.5, 0.25];
+    var UPDATE_INTERVAL = 250;
+    // keep clear of the window's ends: the oldest segment is about to drop out of the playlist
+    var WINDOW_MARGIN = 0.5;
+
+    function button(text, title) {
+        var b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = text;
+        b.title = title;
+        b.style.padding = '2px 6px';
+        b.style.fontSize = '12px';
+        b.style.borderRadius = '4px';
+        b.style.cursor = 'pointer';
+        return b;
+    }
+
+    function speedLabel(rate) { return rate === 1 ? '1×' : (rate === 0.5 ? '½×' : '¼×'); }
+
+    // opts: { host, video: fn returning the <video>, player: fn returning its player (see
+    // player-manager.js), onChange: fn(replaying), style: styles for the bar }
+    // Returns { el, replaying(), rewind(seconds), exit(), reset(), destroy() }
+    function attach(opts) {
+        opts = opts || {};
+        var getVideo = typeof opts.video === 'function' ? opts.video : function () { return opts.video || null; };
+        var getPlayer = typeof opts.player === 'function' ? opts.player : function () { return opts.player || null; };
+        var replaying = false, speed = 0, scrubbing = false;
+
+        var el = document.createElement('div');
+        el.className = 'replay-bar';
+        el.style.display = 'flex';
+        el.style.alignItems = 'center';
+        el.style.gap = '4px';
+        el.style.fontSize = '12px';
+        Object.keys(opts.style || {}).forEach(function (k) { el.style[k] = opts.style[k]; });
+
+        REWIND_STEPS.forEach(function (n) {
+            var b = button('−' + n + 's', 'Replay the last ' + n + ' seconds');
+            b.addEventListener('click', function () { rewind(n); });
+            el.appendChild(b);
+        });
+
+        var range = document.createElement('input');
+        range.type = 'range';
+        range.min = '0'; range.max = '0'; range.step = '0.1'; range.value = '0';
+        range.title = 'Scrub through the available replay window';
+        range.style.flex = '1 1 auto';
+        range.style.minWidth = '60px';
+        el.appendChild(range);
+
+        var pos = document.createElement('span');
+        pos.style.minWidth = '48px';
+        pos.style.textAlign = 'right';
+        pos.style.fontVariantNumeric = 'tabular-nums';
+        pos.textContent = 'LIVE';
+        el.appendChild(pos);
+
+        var speedBtn = button('1×', 'Slow motion');
+        speedBtn.style.display = 'none';
+        el.appendChild(speedBtn);
+
+        var liveBtn = button('Back to live', 'Return to the live picture');
+        liveBtn.style.display = 'none';
+        liveBtn.style.fontWeight = '600';
+        el.appendChild(liveBtn);
+
+        if (opts.host) opts.host.appendChild(el);
+
+        // Seekable window of the stream: { start, end, live } in media time, or null before it's known
+        function windowOf(v) {
+            try {
+                if (!v || !v.seekable || !v.seekable.length) return null;
+                var start = v.seekable.start(0), end = v.seekable.end(v.seekable.length - 1);
+                var p = getPlayer(), live = end;
+                if (p && p.hls && typeof p.hls.liveSyncPosition === 'number') live = Math.min(end, p.hls.liveSyncPosition);
+                return isFinite(start) && isFinite(end) && end > start ? { start: start, end: end, live: live } : null;
+            } catch (e) { return null; }
+        }
+
+        function setReplaying(on) {
+            if (replaying === on) return;
+            replaying = on;
+            speedBtn.style.display = on ? '' : 'none';
+            liveBtn.style.display = on ? '' : 'none';
+            try { if (opts.onChange) opts.onChange(on); } catch (e) { console.warn('Replay listener failed', e); }
+        }
+
+        function seek(v, t, w) {
+            try { v.currentTime = Math.max(w.start + WINDOW_MARGIN, Math.min(t, w.end)); } catch (e) {}
+        }
+
+        function rewind(seconds) {
+            var v = getVideo(), w = windowOf(v);
+            if (!w) return;
+            setReplaying(true);
+            seek(v, v.currentTime - seconds, w);
+            try { v.play().catch(function () {}); } catch (e) {}
+            update();
+        }
+
+        function setSpeed(i) {
+            speed = i;
+            speedBtn.textContent = speedLabel(SPEEDS[i]);
+            var v = getVideo();
+            try { if (v) v.playbackRate = SPEEDS[i]; } catch (e) {}
+        }
+
+        // Leave replay mode without seeking, e.g. when a different stream takes over the view
+        function reset() {
+            setSpeed(0);
+            setReplaying(false);
+            update();
+        }
+
+        function exit() {
+            var v = getVideo(), w = windowOf(v);
+            setSpeed(0);
+            if (v && w) seek(v, w.live, w);
+            try { if (v) v.play().catch(function () {}); } catch (e) {}
+            setReplaying(false);
+            update();
+        }
+
+        function update() {
+            var v = getVideo(), w = windowOf(v);
+            range.disabled = !w;
+            if (!w) { pos.textContent = replaying ? '' : 'LIVE'; return; }
+            range.min = String(w.start);
+            range.max = String(w.end);
+            if (!scrubbing) range.value = String(replaying ? v.currentTime : w.end);
+            if (!replaying) { pos.textContent = 'LIVE'; return; }
+            // the window slides on; don't let the replay position fall out of it
+            if (v.currentTime < w.start) seek(v, w.start, w);
+            pos.textContent = '−' + Math.max(0, w.live - v.currentTime).toFixed(1) + 's';
+        }
+
+        range.addEventListener('input', function () {
+            var v = getVideo(), w = windowOf(v);
+            if (!w) return;
+            scrubbing = true;
+            setReplaying(true);
+            seek(v, parseFloat(range.value), w);
+            update();
+        });
+        range.addEventListener('change', function () { scrubbing = false; });
+        speedBtn.addEventListener('click', function () { setSpeed((speed + 1) % SPEEDS.length); });
+        liveBtn.addEventListener('click', exit);
+
+        var timer = setInterval(function () { if (el.style.display !== 'none') update(); }, UPDATE_INTERVAL);
+
+        return {
+            el: el,
+            replaying: function () { return replaying; },
+            rewind: rewind,
+            exit: exit,
+            reset: reset,
+            destroy: function () {
+                clearInterval(timer);
+                if (el.parentNode) el.parentNode.removeChild(el);
+            }
+        };
+    }
+
+    window.ReplayBar = {
+        attach: attach
+    };
+})();
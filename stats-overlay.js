@@ -0,0 +1,105 @@
+// stats-overlay.js — "stats for nerds" overlay for a player
+// attach() lays a small monospace panel over a player's picture with what PlayerManager.diagnostics()
+// reports: level and resolution, bitrates, buffer, dropped/decoded frames, latency, recovery attempts,
+// the last hls.js error and the proxy streams go through. It refreshes while it's shown and costs
+// nothing while it's hidden.
+(function () {
+    'use strict';
+
+    var UPDATE_INTERVAL = 500;
+
+    function mbit(bps) { return bps == null ? '–' : (bps / 1e6).toFixed(bps >= 1e7 ? 0 : 1) + ' Mbit/s'; }
+
+    function ago(ms) {
+        var s = Math.round(ms / 1000);
+        return s < 60 ? s + ' s ago' : Math.round(s / 60) + ' min ago';
+    }
+
+    function proxyName(p) {
+        if (!p || p === 'direct') return 'direct';
+        try { return new URL(p.replace('{url}', '')).host; } catch (e) { return p; }
+    }
+
+    // Lines of "label  value" for a diagnostics snapshot
+    function lines(d) {
+        if (!d) return [['Player', 'none']];
+        var out = [];
+        out.push(['Camera', d.key + ' · ' + d.role + ' · ' + d.state + (d.paused ? ' (paused)' : '')]);
+        var res = d.width ? d.width + '×' + d.height : '–';
+        if (d.native) out.push(['Level', 'native playback · ' + res]);
+        else out.push(['Level', (d.level >= 0 ? (d.level + 1) + '/' + d.levels : 'auto') + ' · ' + res + (d.capLevel >= 0 ? ' (cap ' + (d.capLevel + 1) + ')' : '')]);
+        out.push(['Bitrate', mbit(d.levelBitrate) + ' level · ' + mbit(d.fragBitrate) + ' last frag']);
+        out.push(['Network', mbit(d.fragThroughput) + ' last frag · ' + mbit(d.bandwidthEstimate) + ' est.']);
+        out.push(['Buffer', d.buffer.toFixed(1) + ' s']);
+        out.push(['Frames', d.droppedFrames == null ? '–' : d.droppedFrames + ' dropped / ' + d.decodedFrames + ' decoded']);
+        out.push(['Latency', d.latency ? d.latency.seconds.toFixed(1) + ' s (' + d.latency.source + ')' : '–']);
+        out.push(['Retries', d.retries + ' · fatal ' + d.fatalErrors + '/' + d.maxFatalErrors + (d.frozenReason ? ' · frozen: ' + d.frozenReason : '')]);
+        var e = d.lastError;
+        out.push(['Error', e ? e.type + ': ' + e.details + (e.fatal ? ' (fatal)' : '') + ' · ' + ago(Date.now() - e.at) : 'none']);
+        out.push(['Proxy', proxyName(d.proxy)]);
+        return out;
+    }
+
+    // opts: { host: positioned element to overlay, player: fn returning the current player (or the
+    // player itself), style: styles for the panel, shown: start visible }
+    // Returns { el, shown(), show(), hide(), toggle(), destroy() }
+    function attach(opts) {
+        opts = opts || {};
+        var getPlayer = typeof opts.player === 'function' ? opts.player : function () { return opts.player || null; };
+        var timer = null;
+
+        var el = document.createElement('div');
+        el.className = 'stats-overlay';
+        el.style.position = 'absolute';
+        el.style.left = '8px'; el.style.top = '8px';
+        el.style.zIndex = 5;
+        el.style.background = 'rgba(0,0,0,0.72)';
+        el.style.color = '#e6e6e6';
+        el.style.font = '11px/1.35 ui-monospace, Menlo, Consolas, monospace';
+        el.style.padding = '6px 8px';
+        el.style.borderRadius = '4px';
+        el.style.whiteSpace = 'pre';
+        el.style.pointerEvents = 'none';
+        el.style.maxWidth = 'calc(100% - 16px)';
+        el.style.overflow = 'hidden';
+        el.style.display = 'none';
+        Object.keys(opts.style || {}).forEach(function (k) { el.style[k] = opts.style[k]; });
+        if (opts.host) opts.host.appendChild(el);
+
+        function update() {
+            var d = null;
+            try { d = PlayerManager.diagnostics(getPlayer()); } catch (e) {}
+            el.textContent = lines(d).map(function (l) { return (l[0] + '        ').slice(0, 9) + l[1]; }).join('\n');
+        }
+
+        function show() {
+            el.style.display = 'block';
+            update();
+            if (!timer) timer = setInterval(update, UPDATE_INTERVAL);
+        }
+
+        function hide() {
+            el.style.display = 'none';
+            clearInterval(timer);
+            timer = null;
+        }
+
+        if (opts.shown) show();
+
+        return {
+            el: el,
+            shown: function () { return !!timer; },
+            show: show,
+            hide: hide,
+            toggle: function () { if (timer) hide(); else show(); return !!timer; },
+            destroy: function () {
+                hide();
+                if (el.parentNode) el.parentNode.removeChild(el);
+            }
+        };
+    }
+
+    window.StatsOverlay = {
+        attach: attach
+    };
+})();
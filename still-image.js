@@ -0,0 +1,134 @@
+// still-image.js — periodically refreshed still JPEG shown in place of live video
+// NV Roads cameras publish a still image (images[0].imageUrl, carried as cam.imageUrl) next to the
+// HLS stream. When the stream can't be played the popup and grid cells lay it over the <video>,
+// reload it every refresh interval and label it "Snapshot" so it's never mistaken for live video.
+// The player manager keeps retrying the stream meanwhile; callers hide the still once video plays.
+//
+// Configuration (page dataset, overridden by URL parameters):
+//   data-still-refresh / ?stillRefresh=   seconds between reloads of the still (default 10)
+(function () {
+    'use strict';
+
+    var DEFAULT_REFRESH = 10;
+    // don't let a typo hammer the camera server
+    var MIN_REFRESH = 2;
+
+    var config = { refreshMs: DEFAULT_REFRESH * 1000 };
+
+    function toSeconds(v) {
+        var n = parseFloat(v);
+        return isFinite(n) && n > 0 ? Math.max(MIN_REFRESH, n) : null;
+    }
+
+    // Build the config for a page: defaults < dataset attributes < URL parameters
+    function resolveConfig(dataset, search) {
+        var ds = dataset || {};
+        var out = { refreshMs: DEFAULT_REFRESH * 1000 };
+        if (toSeconds(ds.stillRefresh)) out.refreshMs = toSeconds(ds.stillRefresh) * 1000;
+        var params = new URLSearchParams(search == null ? location.search : search);
+        if (toSeconds(params.get('stillRefresh'))) out.refreshMs = toSeconds(params.get('stillRefresh')) * 1000;
+        return out;
+    }
+
+    function configure(cfg) {
+        config = Object.assign({}, config, cfg || {});
+        return config;
+    }
+
+    // The camera servers cache stills aggressively; a throwaway parameter forces a fresh one
+    function freshUrl(url) {
+        return url + (url.indexOf('?') === -1 ? '?' : '&') + '_=' + Date.now();
+    }
+
+    // Lay a still-image overlay into host (which must be positioned), before the given child if any.
+    // Returns { show(), hide(), shown(), destroy() }, or null when the camera has no image.
+    function attach(host, imageUrl, before) {
+        if (!host || !imageUrl) return null;
+        var timer = null, visible = false, loading = false, lastLoaded = null;
+
+        var el = document.createElement('div');
+        el.className = 'still-image';
+        el.style.position = 'absolute';
+        el.style.left = '0'; el.style.top = '0'; el.style.right = '0'; el.style.bottom = '0';
+        el.style.background = '#000';
+        el.style.display = 'none';
+
+        var img = document.createElement('img');
+        img.alt = '';
+        img.style.width = '100%'; img.style.height = '100%'; img.style.objectFit = 'cover'; img.style.display = 'block';
+        el.appendChild(img);
+
+        var badge = document.createElement('span');
+        badge.className = 'still-badge';
+        badge.style.position = 'absolute';
+        badge.style.left = '8px'; badge.style.bottom = '8px';
+        badge.style.background = 'rgba(30,30,30,0.8)';
+        badge.style.color = '#fff';
+        badge.style.fontSize = '11px';
+        badge.style.padding = '3px 6px';
+        badge.style.borderRadius = '4px';
+        badge.textContent = 'SNAPSHOT';
+        badge.title = 'Live video is unavailable; showing a still image that refreshes every ' + Math.round(config.refreshMs / 1000) + ' s. Live video is retried in the background.';
+        el.appendChild(badge);
+
+        host.insertBefore(el, before || null);
+
+        function describe(failed) {
+            var text = 'SNAPSHOT';
+            if (lastLoaded) text += ' · ' + new Date(lastLoaded).toLocaleTimeString();
+            if (failed) text += ' (stale)';
+            badge.textContent = text;
+        }
+
+        // Load into a detached image first so a failed or slow reload keeps the last picture up
+        function refresh() {
+            if (loading || document.hidden) return;
+            loading = true;
+            var next = new Image();
+            next.onload = function () {
+                loading = false;
+                if (!visible) return;
+                img.src = next.src;
+                lastLoaded = Date.now();
+                describe(false);
+            };
+            next.onerror = function () {
+                loading = false;
+                if (visible) describe(true);
+            };
+            next.src = freshUrl(imageUrl);
+        }
+
+        function show() {
+            if (visible) return;
+            visible = true;
+            el.style.display = 'block';
+            refresh();
+            timer = setInterval(refresh, config.refreshMs);
+        }
+
+        function hide() {
+            if (!visible) return;
+            visible = false;
+            el.style.display = 'none';
+            clearInterval(timer);
+            timer = null;
+        }
+
+        return {
+            show: show,
+            hide: hide,
+            shown: function () { return visible; },
+            destroy: function () { hide(); if (el.parentNode) el.parentNode.removeChild(el); }
+        };
+    }
+
+    // start from the URL parameters alone; pages call configure(resolveConfig(dataset)) to add theirs
+    try { config = resolveConfig(null); } catch (e) {}
+
+    window.StillImage = {
+        resolveConfig: resolveConfig,
+        configure: configure,
+        attach: attach
+    };
+})();
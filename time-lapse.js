@@ -0,0 +1,477 @@
+// time-lapse.js — session-long time-lapse of one camera
+// A capture samples a frame from the camera every few seconds into IndexedDB (see idb-store.js), so a
+// whole session fits without holding it in memory and survives a reload. Afterwards the frames are
+// encoded into a WebM time-lapse at the chosen frame rate: MediaRecorder records a canvas the frames
+// are drawn onto one by one, so encoding takes as long as the finished video.
+// The camera plays on a hidden player of its own (see player-manager.js), acquired with background: true
+// so it keeps going while the tab is hidden. Browsers may still slow timers down in a background tab;
+// frames are then taken less often than asked, never more.
+// There is one time-lapse at a time; a small panel at the top shows its progress.
+//
+// Configuration (page dataset, overridden by URL parameters):
+//   data-timelapse-interval / ?timelapseInterval=   seconds between frames (default 10)
+//   data-timelapse-fps / ?timelapseFps=             frame rate of the encoded video (default 24)
+(function () {
+    'use strict';
+
+    var DEFAULT_INTERVAL = 10;
+    var MIN_INTERVAL = 1;
+    var MAX_INTERVAL = 3600;
+    var DEFAULT_FPS = 24;
+    var MIN_FPS = 1;
+    var MAX_FPS = 60;
+    // frames are scaled down to this width; a session of full-HD frames fills the storage quota fast
+    var MAX_WIDTH = 1280;
+    var JPEG_QUALITY = 0.85;
+    var TICK_INTERVAL = 1000;
+    var SESSION_KEY = 'session';
+
+    var store = new IdbStore('f1lv-timelapse', 'frames');
+    var config = { interval: DEFAULT_INTERVAL, fps: DEFAULT_FPS };
+    // { key, title, url, interval, startedAt, lastAt, frames, bytes, width, height }, stored under SESSION_KEY
+    var session = null;
+    var capturing = false;
+    var player = null, timer = null, sampling = false, nextAt = 0;
+    // camera the panel offers to capture: { key, title, url }
+    var target = null;
+    // { done, total } while encoding
+    var encoding = null;
+    var lastError = '';
+    var panel = null, ui = {};
+
+    function clamp(v, min, max) {
+        var n = parseFloat(v);
+        return isFinite(n) && n > 0 ? Math.max(min, Math.min(max, n)) : null;
+    }
+
+    // Build the config for a page: defaults < dataset attributes < URL parameters
+    function resolveConfig(dataset, search) {
+        var ds = dataset || {};
+        var out = { interval: DEFAULT_INTERVAL, fps: DEFAULT_FPS };
+        if (clamp(ds.timelapseInterval, MIN_INTERVAL, MAX_INTERVAL)) out.interval = clamp(ds.timelapseInterval, MIN_INTERVAL, MAX_INTERVAL);
+        if (clamp(ds.timelapseFps, MIN_FPS, MAX_FPS)) out.fps = Math.round(clamp(ds.timelapseFps, MIN_FPS, MAX_FPS));
+        var params = new URLSearchParams(search == null ? location.search : search);
+        if (clamp(params.get('timelapseInterval'), MIN_INTERVAL, MAX_INTERVAL)) out.interval = clamp(params.get('timelapseInterval'), MIN_INTERVAL, MAX_INTERVAL);
+        if (clamp(params.get('timelapseFps'), MIN_FPS, MAX_FPS)) out.fps = Math.round(clamp(params.get('timelapseFps'), MIN_FPS, MAX_FPS));
+        return out;
+    }
+
+    function configure(cfg) {
+        config = Object.assign({}, config, cfg || {});
+        render();
+        return config;
+    }
+
+    function supported() {
+        return !!(window.indexedDB && window.ClipRecorder && ClipRecorder.mimeType() && HTMLCanvasElement.prototype.captureStream);
+    }
+
+    function pad(n) { return (n < 10 ? '0' : '') + n; }
+
+    function frameKey(i) {
+        var s = String(i);
+        while (s.length < 6) s = '0' + s;
+        return 'frame-' + s;
+    }
+
+    // "Las Vegas Blvd at Harmon Ave" + date -> "las-vegas-blvd-at-harmon-ave-timelapse-20231118-221503.webm"
+    function fileName(title, d) {
+        var slug = String(title || 'camera').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'camera';
+        return slug + '-timelapse-' + d.getFullYear() + pad(d.getMonth() + 1) + pad(d.getDate()) + '-' +
+            pad(d.getHours()) + pad(d.getMinutes()) + pad(d.getSeconds()) + '.webm';
+    }
+
+    function formatDuration(ms) {
+        var s = Math.max(0, Math.round(ms / 1000));
+        var h = Math.floor(s / 3600), m = Math.floor(s / 60) % 60;
+        return (h ? h + ':' + pad(m) : m) + ':' + pad(s % 60);
+    }
+
+    function formatSize(bytes) {
+        return bytes >= 1048576 ? (bytes / 1048576).toFixed(1) + ' MB' : Math.max(1, Math.round(bytes / 1024)) + ' KB';
+    }
+
+    function saveSession() {
+        return store.put(SESSION_KEY, session);
+    }
+
+    function toBlob(canvas) {
+        return new Promise(function (resolve, reject) {
+            try {
+                canvas.toBlob(function (blob) {
+                    if (blob) resolve(blob);
+                    else reject(new Error('Could not encode the frame'));
+                }, 'image/jpeg', JPEG_QUALITY);
+            } catch (e) {
+                // SecurityError: the canvas is tainted by a cross-origin picture
+                reject(new Error('This camera\'s picture can\'t be captured'));
+            }
+        });
+    }
+
+    function loadImage(blob) {
+        if (!blob) return Promise.resolve(null);
+        if (window.createImageBitmap) return createImageBitmap(blob);
+        return new Promise(function (resolve) {
+            var url = URL.createObjectURL(blob);
+            var img = new Image();
+            img.onload = function () { URL.revokeObjectURL(url); resolve(img); };
+            img.onerror = function () { URL.revokeObjectURL(url); resolve(null); };
+            img.src = url;
+        });
+    }
+
+    // Grab the player's current frame into the store; skipped until the stream shows a picture
+    function sample() {
+        if (!capturing || sampling) return;
+        var v = player && player.state === 'active' ? player.video : null;
+        if (!v || v.readyState < 2 || !v.videoWidth) return;
+        nextAt = Date.now() + session.interval * 1000;
+        if (!session.width) {
+            var scale = Math.min(1, MAX_WIDTH / v.videoWidth);
+            session.width = Math.round(v.videoWidth * scale);
+            session.height = Math.round(v.videoHeight * scale);
+        }
+        var canvas = document.createElement('canvas');
+        canvas.width = session.width;
+        canvas.height = session.height;
+        canvas.getContext('2d').drawImage(v, 0, 0, canvas.width, canvas.height);
+        var s = session;
+        sampling = true;
+        toBlob(canvas).then(function (blob) {
+            var n = s.frames + 1;
+            return store.put(frameKey(n), blob).then(function () {
+                s.frames = n;
+                s.bytes += blob.size;
+                s.lastAt = Date.now();
+                return saveSession();
+            });
+        }).catch(function (e) {
+            // a tainted picture or a full storage quota won't get better by trying again
+            lastError = (e && e.name === 'QuotaExceededError' ? 'Storage is full' : (e && e.message) || String(e)) + '; the capture stopped';
+            console.warn('Time-lapse frame failed', e);
+            stop();
+        }).then(function () {
+            sampling = false;
+            render();
+        });
+    }
+
+    function tick() {
+        if (Date.now() >= nextAt) sample();
+        render();
+    }
+
+    // popup priority: a capture the user started shouldn't give its slot up to grid cells or prewarming.
+    // Should the player be released from under a running capture anyway, a new one is acquired.
+    function acquirePlayer() {
+        player = PlayerManager.acquire({ key: session.key, url: session.url, role: 'popup', background: true, onState: function (state, p) {
+            if (state === 'released' && capturing && p === player) {
+                player = null;
+                setTimeout(function () { if (capturing && !player) acquirePlayer(); }, 0);
+            }
+            render();
+        } });
+    }
+
+    // Start capturing a camera ({ key, title, url }; the one the panel shows by default). Frames of an
+    // earlier time-lapse are discarded.
+    function start(cam) {
+        cam = cam || target;
+        if (!cam || !cam.url || capturing || encoding) return Promise.resolve(false);
+        lastError = '';
+        return store.clear().then(function () {
+            session = {
+                key: cam.key,
+                title: cam.title || ('Camera ' + cam.key),
+                url: cam.url,
+                interval: config.interval,
+                startedAt: Date.now(),
+                lastAt: null,
+                frames: 0,
+                bytes: 0,
+                width: 0,
+                height: 0
+            };
+            capturing = true;
+            nextAt = 0;
+            acquirePlayer();
+            timer = setInterval(tick, TICK_INTERVAL);
+            render();
+            return saveSession().then(function () { return true; });
+        }).catch(function (e) {
+            lastError = 'This browser can\'t store the frames';
+            console.warn('Could not start the time-lapse', e);
+            stop();
+            return false;
+        });
+    }
+
+    function stop() {
+        if (!capturing) return;
+        capturing = false;
+        clearInterval(timer);
+        timer = null;
+        if (player) { try { player.release(); } catch (e) {} player = null; }
+        render();
+    }
+
+    // Encode the stored frames at fps frames per second and download the WebM.
+    // Resolves with { name, size } once the file has been handed to the browser.
+    function encode(fps) {
+        if (!session || !session.frames || capturing || encoding) return Promise.reject(new Error('Nothing to encode'));
+        var mime = ClipRecorder.mimeType();
+        if (!mime) return Promise.reject(new Error('This browser can\'t record video'));
+        fps = Math.round(clamp(fps, MIN_FPS, MAX_FPS) || config.fps);
+        var total = session.frames, title = session.title;
+        var canvas = document.createElement('canvas');
+        canvas.width = session.width;
+        canvas.height = session.height;
+        var ctx = canvas.getContext('2d');
+        // frames are pushed by hand (requestFrame), each held for 1/fps of a second of recording
+        var stream = canvas.captureStream(0);
+        var track = stream.getVideoTracks()[0];
+        var chunks = [];
+        var recorder;
+        try { recorder = new MediaRecorder(stream, { mimeType: mime }); } catch (e) { return Promise.reject(e); }
+        recorder.ondataavailable = function (e) { if (e.data && e.data.size) chunks.push(e.data); };
+        encoding = { done: 0, total: total };
+        lastError = '';
+        render();
+
+        return new Promise(function (resolve, reject) {
+            function fail(e) {
+                try { recorder.stop(); } catch (er) {}
+                try { track.stop(); } catch (er) {}
+                encoding = null;
+                lastError = 'Encoding failed: ' + ((e && e.message) || e);
+                render();
+                reject(e);
+            }
+
+            function finish() {
+                try { track.stop(); } catch (e) {}
+                var blob = new Blob(chunks, { type: 'video/webm' });
+                var name = fileName(title, new Date());
+                var url = URL.createObjectURL(blob);
+                var a = document.createElement('a');
+                a.href = url;
+                a.download = name;
+                document.body.appendChild(a);
+                a.click();
+                a.parentNode.removeChild(a);
+                setTimeout(function () { URL.revokeObjectURL(url); }, 60000);
+                encoding = null;
+                render();
+                resolve({ name: name, size: blob.size });
+            }
+
+            function step(i) {
+                if (i > total) {
+                    recorder.onstop = finish;
+                    recorder.stop();
+                    return;
+                }
+                store.get(frameKey(i)).then(loadImage).then(function (img) {
+                    // a missing frame holds the previous one a little longer
+                    if (img) {
+                        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                        if (img.close) img.close();
+                    }
+                    if (track.requestFrame) track.requestFrame();
+                    encoding.done = i;
+                    render();
+                    setTimeout(function () { step(i + 1); }, 1000 / fps);
+                }).catch(fail);
+            }
+
+            try { recorder.start(); } catch (e) { fail(e); return; }
+            step(1);
+        });
+    }
+
+    // Throw the stored frames away
+    function discard() {
+        if (capturing || encoding) return Promise.resolve(false);
+        session = null;
+        lastError = '';
+        render();
+        return store.clear().then(function () { return true; }, function () { return false; });
+    }
+
+    function button(text, title) {
+        var b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = text;
+        b.title = title || '';
+        b.style.padding = '2px 8px';
+        b.style.borderRadius = '4px';
+        b.style.cursor = 'pointer';
+        return b;
+    }
+
+    function numberInput(value, min, max, title) {
+        var i = document.createElement('input');
+        i.type = 'number';
+        i.min = String(min); i.max = String(max); i.value = String(value);
+        i.title = title;
+        i.style.width = '56px';
+        return i;
+    }
+
+    function row() {
+        var r = document.createElement('div');
+        r.style.display = 'flex'; r.style.alignItems = 'center'; r.style.gap = '6px'; r.style.marginTop = '6px';
+        return r;
+    }
+
+    // Panel at the top centre, above the fullscreen overlay; built once and kept up to date by render()
+    function ensurePanel() {
+        if (panel) return panel;
+        panel = document.createElement('div');
+        panel.className = 'timelapse-panel';
+        panel.style.position = 'fixed';
+        panel.style.left = '50%'; panel.style.top = '12px'; panel.style.transform = 'translateX(-50%)';
+        panel.style.zIndex = 100004;
+        panel.style.background = '#fff'; panel.style.color = '#222';
+        panel.style.borderRadius = '8px';
+        panel.style.boxShadow = '0 6px 18px rgba(0,0,0,0.25)';
+        panel.style.padding = '6px 10px';
+        panel.style.fontSize = '12px';
+        panel.style.minWidth = '300px'; panel.style.maxWidth = '420px';
+
+        var head = document.createElement('div');
+        head.style.display = 'flex'; head.style.justifyContent = 'space-between'; head.style.alignItems = 'center'; head.style.gap = '8px';
+        ui.title = document.createElement('strong');
+        ui.title.style.overflow = 'hidden'; ui.title.style.textOverflow = 'ellipsis'; ui.title.style.whiteSpace = 'nowrap';
+        var close = button('✕', 'Hide (a running capture carries on)');
+        close.style.border = 'none'; close.style.background = 'transparent';
+        close.addEventListener('click', function () { panel.style.display = 'none'; });
+        head.appendChild(ui.title);
+        head.appendChild(close);
+        panel.appendChild(head);
+
+        var capture = row();
+        ui.interval = numberInput(config.interval, MIN_INTERVAL, MAX_INTERVAL, 'Seconds between frames');
+        ui.interval.addEventListener('change', function () {
+            var n = clamp(ui.interval.value, MIN_INTERVAL, MAX_INTERVAL);
+            if (n) config.interval = n;
+            ui.interval.value = String(config.interval);
+        });
+        ui.start = button('● Start', 'Start sampling this camera');
+        ui.start.addEventListener('click', function () {
+            if (session && session.frames && !confirm('Discard the ' + session.frames + ' frames of the earlier time-lapse?')) return;
+            start();
+        });
+        ui.stop = button('■ Stop', 'Stop sampling; the frames stay until you discard them');
+        ui.stop.addEventListener('click', stop);
+        capture.appendChild(document.createTextNode('A frame every'));
+        capture.appendChild(ui.interval);
+        capture.appendChild(document.createTextNode('s'));
+        capture.appendChild(ui.start);
+        capture.appendChild(ui.stop);
+        panel.appendChild(capture);
+
+        ui.status = document.createElement('div');
+        ui.status.style.marginTop = '6px';
+        panel.appendChild(ui.status);
+
+        ui.output = row();
+        ui.fps = numberInput(config.fps, MIN_FPS, MAX_FPS, 'Frames per second of the time-lapse');
+        ui.fps.addEventListener('change', function () {
+            var n = clamp(ui.fps.value, MIN_FPS, MAX_FPS);
+            if (n) config.fps = Math.round(n);
+            ui.fps.value = String(config.fps);
+            render();
+        });
+        ui.encode = button('Encode WebM', 'Turn the frames into a video and download it');
+        ui.encode.addEventListener('click', function () {
+            encode(config.fps).catch(function (e) { console.warn('Time-lapse encoding failed', e); });
+        });
+        ui.discard = button('Discard', 'Delete the stored frames');
+        ui.discard.addEventListener('click', function () {
+            if (session && confirm('Discard the ' + session.frames + ' frames of this time-lapse?')) discard();
+        });
+        ui.output.appendChild(document.createTextNode('Encode at'));
+        ui.output.appendChild(ui.fps);
+        ui.output.appendChild(document.createTextNode('fps'));
+        ui.output.appendChild(ui.encode);
+        ui.output.appendChild(ui.discard);
+        panel.appendChild(ui.output);
+
+        ui.progress = document.createElement('progress');
+        ui.progress.style.width = '100%'; ui.progress.style.marginTop = '6px';
+        panel.appendChild(ui.progress);
+
+        document.body.appendChild(panel);
+        return panel;
+    }
+
+    function render() {
+        if (!panel) return;
+        var s = session;
+        var cam = capturing || !target ? s : target;
+        ui.title.textContent = 'Time-lapse' + (cam ? ' · ' + cam.title : '');
+        ui.interval.disabled = capturing;
+        if (document.activeElement !== ui.interval) ui.interval.value = String(capturing ? s.interval : config.interval);
+        if (document.activeElement !== ui.fps) ui.fps.value = String(config.fps);
+        ui.start.style.display = !capturing && target ? '' : 'none';
+        ui.start.disabled = !!encoding;
+        ui.stop.style.display = capturing ? '' : 'none';
+
+        var text = '';
+        if (capturing) {
+            // no frames are taken while the player waits for a slot or is parked
+            var live = player && player.state === 'active';
+            text = (!live ? 'Waiting for the camera… ' : s.frames ? '' : 'Waiting for the first frame… ') + s.frames + ' frames · ' +
+                formatDuration(Date.now() - s.startedAt) + ' · ' + formatSize(s.bytes) + ' · ' +
+                (s.frames / config.fps).toFixed(1) + ' s of video at ' + config.fps + ' fps';
+        } else if (s && s.frames) {
+            text = s.frames + ' frames of ' + s.title + ' over ' + formatDuration((s.lastAt || s.startedAt) - s.startedAt) +
+                ' (' + new Date(s.startedAt).toLocaleTimeString() + '–' + new Date(s.lastAt || s.startedAt).toLocaleTimeString() + '), ' +
+                formatSize(s.bytes) + ' · ' + (s.frames / config.fps).toFixed(1) + ' s of video at ' + config.fps + ' fps';
+        } else {
+            text = 'Frames are kept in this browser until you encode or discard them.';
+        }
+        ui.status.textContent = lastError || text;
+        ui.status.style.color = lastError ? '#c0392b' : '';
+
+        ui.output.style.display = !capturing && s && s.frames ? '' : 'none';
+        ui.encode.disabled = !!encoding;
+        ui.discard.disabled = !!encoding;
+        ui.encode.textContent = encoding ? 'Encoding ' + encoding.done + '/' + encoding.total + '…' : 'Encode WebM';
+        ui.progress.style.display = encoding ? '' : 'none';
+        if (encoding) { ui.progress.max = encoding.total; ui.progress.value = encoding.done; }
+    }
+
+    // Show the panel for a camera ({ key, title, url }) so it can be captured
+    function open(cam) {
+        target = cam && cam.url ? { key: cam.key, title: cam.title || ('Camera ' + cam.key), url: cam.url } : null;
+        ensurePanel();
+        panel.style.display = '';
+        render();
+    }
+
+    // frames of a time-lapse from before a reload are still there to encode or discard
+    try {
+        config = resolveConfig(null);
+        store.get(SESSION_KEY).then(function (s) {
+            if (!s || !s.frames || session) return;
+            session = s;
+            ensurePanel();
+            render();
+        }).catch(function () {});
+    } catch (e) {}
+
+    window.TimeLapse = {
+        resolveConfig: resolveConfig,
+        configure: configure,
+        supported: supported,
+        open: open,
+        start: start,
+        stop: stop,
+        encode: encode,
+        discard: discard,
+        capturing: function () { return capturing; }
+    };
+})();
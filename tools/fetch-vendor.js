@@ -0,0 +1,40 @@
+// tools/fetch-vendor.js — download the local Leaflet and hls.js copies used by fixture mode
+// Usage: node tools/fetch-vendor.js        (Node 18+, run once while online)
+// Writes vendor/leaflet/ and vendor/hls.js/ at the repository root; the versions match the CDN
+// URLs in index.html and camera-catalog.js. vendor/ is not committed.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const FILES = [
+    ['https://unpkg.com/leaflet@1.9.4/dist/leaflet.js', 'vendor/leaflet/leaflet.js'],
+    ['https://unpkg.com/leaflet@1.9.4/dist/leaflet.css', 'vendor/leaflet/leaflet.css'],
+    ['https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon.png', 'vendor/leaflet/images/marker-icon.png'],
+    ['https://unpkg.com/leaflet@1.9.4/dist/images/marker-icon-2x.png', 'vendor/leaflet/images/marker-icon-2x.png'],
+    ['https://unpkg.com/leaflet@1.9.4/dist/images/marker-shadow.png', 'vendor/leaflet/images/marker-shadow.png'],
+    ['https://unpkg.com/leaflet@1.9.4/dist/images/layers.png', 'vendor/leaflet/images/layers.png'],
+    ['https://unpkg.com/leaflet@1.9.4/dist/images/layers-2x.png', 'vendor/leaflet/images/layers-2x.png'],
+    ['https://cdn.jsdelivr.net/npm/hls.js@1.4.2/dist/hls.min.js', 'vendor/hls.js/hls.min.js']
+];
+
+async function main() {
+    let failed = 0;
+    for (const [url, rel] of FILES) {
+        const dest = path.join(ROOT, rel);
+        try {
+            const r = await fetch(url);
+            if (!r.ok) throw new Error('HTTP ' + r.status);
+            fs.mkdirSync(path.dirname(dest), { recursive: true });
+            fs.writeFileSync(dest, Buffer.from(await r.arrayBuffer()));
+            console.log('saved', rel);
+        } catch (e) {
+            failed++;
+            console.error('failed', url, e.message);
+        }
+    }
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
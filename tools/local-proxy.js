@@ -0,0 +1,72 @@
+// tools/local-proxy.js — self-hosted stand-in for the workers.dev CORS proxy
+// Usage: node tools/local-proxy.js [port] [host]        (Node 18+, no dependencies)
+// It listens on 127.0.0.1 only. Pass a host (or PROXY_HOST), e.g. 0.0.0.0, to serve other machines,
+// but anyone who can reach it can then make it fetch any URL, internal addresses included.
+// Then point the site at it, ahead of or instead of the hosted proxy:
+//   /?proxy=http://127.0.0.1:8787/?url=,https://wispy-flower-cdf3.100brightli.workers.dev/?url=
+// Add &proxyStreams=1 to route HLS playlists and segments through it as well.
+//
+// Same request shape as the hosted proxy: everything after "?url=" is the target, either raw
+// (query string included) or URL-encoded. GET /health answers 200 for health checks.
+'use strict';
+
+const http = require('http');
+
+const port = Number(process.argv[2] || process.env.PORT || 8787);
+const host = process.argv[3] || process.env.PROXY_HOST || '127.0.0.1';
+// only forward to http(s) targets; this is a CORS shim, not an open relay for other schemes
+const TARGET_RE = /^https?:\/\//i;
+// response headers worth passing through to the browser
+const PASS_HEADERS = ['content-type', 'content-length', 'cache-control', 'last-modified', 'etag', 'content-range', 'accept-ranges'];
+
+function cors(res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Range, Content-Type');
+    res.setHeader('Access-Control-Expose-Headers', PASS_HEADERS.join(', '));
+}
+
+function targetOf(reqUrl) {
+    const idx = reqUrl.indexOf('url=');
+    if (idx === -1) return null;
+    let target = reqUrl.slice(idx + 4);
+    if (/^https?%3A/i.test(target)) {
+        try { target = decodeURIComponent(target); } catch (e) { return null; }
+    }
+    return TARGET_RE.test(target) ? target : null;
+}
+
+const server = http.createServer(async (req, res) => {
+    cors(res);
+    if (req.method === 'OPTIONS') { res.writeHead(204); return res.end(); }
+    if (req.url === '/health') { res.writeHead(200, { 'Content-Type': 'text/plain' }); return res.end('ok'); }
+    if (req.method !== 'GET' && req.method !== 'HEAD') { res.writeHead(405); return res.end(); }
+
+    const target = targetOf(req.url);
+    if (!target) { res.writeHead(400, { 'Content-Type': 'text/plain' }); return res.end('missing or invalid ?url= target'); }
+
+    try {
+        const headers = {};
+        if (req.headers.range) headers.range = req.headers.range;
+        const upstream = await fetch(target, { method: req.method, headers, redirect: 'follow' });
+        const out = {};
+        PASS_HEADERS.forEach((h) => { const v = upstream.headers.get(h); if (v) out[h] = v; });
+        // fetch() already decoded any content-encoding, so the upstream length no longer applies
+        delete out['content-length'];
+        res.writeHead(upstream.status, out);
+        if (req.method === 'HEAD' || !upstream.body) return res.end();
+        const reader = upstream.body.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            res.write(Buffer.from(value));
+        }
+        res.end();
+    } catch (e) {
+        console.warn('upstream failed', target, e.message);
+        if (!res.headersSent) res.writeHead(502, { 'Content-Type': 'text/plain' });
+        res.end('upstream request failed');
+    }
+});
+
+server.listen(port, host, () => console.log('local CORS proxy on http://' + (host.indexOf(':') === -1 ? host : '[' + host + ']') + ':' + port + '/?url='));
@@ -0,0 +1,56 @@
+// tools/make-fixture-streams.js — generate the local HLS streams fixture mode plays
+// Usage: node tools/make-fixture-streams.js [seconds]      (needs ffmpeg on PATH; default 60s)
+// Reads fixtures/cameras.json and, for every camera whose videoUrl points into /fixtures/hls/,
+// writes a test-pattern stream (playlist plus 2s segments) labelled with the camera id.
+// Segments carry EXT-X-PROGRAM-DATE-TIME so wall-clock features have something to read.
+// The generated fixtures/hls/<id>/ directories are not committed.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.resolve(__dirname, '..');
+const seconds = Number(process.argv[2] || 60);
+const catalog = JSON.parse(fs.readFileSync(path.join(ROOT, 'fixtures/cameras.json'), 'utf8'));
+
+function hasFfmpeg() {
+    const r = spawnSync('ffmpeg', ['-version'], { stdio: 'ignore' });
+    return !r.error && r.status === 0;
+}
+
+if (!hasFfmpeg()) {
+    console.error('ffmpeg not found on PATH; install it and run again.');
+    process.exit(1);
+}
+
+let made = 0;
+(catalog.data || []).forEach((cam, i) => {
+    const url = cam.images && cam.images[0] && cam.images[0].videoUrl;
+    if (!url || url.indexOf('/fixtures/hls/') !== 0) return;
+    const playlist = path.join(ROOT, url.replace(/^\//, ''));
+    const dir = path.dirname(playlist);
+    fs.mkdirSync(dir, { recursive: true });
+    // different test-pattern hue per camera so switching between them is visible
+    const hue = (i * 47) % 360;
+    const label = 'drawtext=text=\'Camera ' + cam.id + '  %{localtime\\:%T}\':x=20:y=20:fontsize=36:fontcolor=white:box=1:boxcolor=black@0.6';
+    const args = [
+        '-y', '-loglevel', 'error',
+        '-f', 'lavfi', '-i', 'testsrc2=size=640x360:rate=25',
+        '-t', String(seconds),
+        '-vf', 'hue=h=' + hue + ',' + label,
+        '-c:v', 'libx264', '-preset', 'veryfast', '-g', '50', '-sc_threshold', '0', '-pix_fmt', 'yuv420p',
+        '-f', 'hls', '-hls_time', '2', '-hls_playlist_type', 'vod', '-hls_flags', 'program_date_time',
+        '-hls_segment_filename', path.join(dir, 'seg%03d.ts'),
+        playlist
+    ];
+    let r = spawnSync('ffmpeg', args, { stdio: 'inherit' });
+    if (r.status !== 0) {
+        // ffmpeg builds without libfreetype have no drawtext; fall back to the bare pattern
+        args[args.indexOf('-vf') + 1] = 'hue=h=' + hue;
+        r = spawnSync('ffmpeg', args, { stdio: 'inherit' });
+    }
+    if (r.status === 0) { made++; console.log('wrote', path.relative(ROOT, playlist)); }
+    else console.error('ffmpeg failed for camera', cam.id);
+});
+console.log(made + ' fixture stream(s) ready');